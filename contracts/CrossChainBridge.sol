@@ -2,15 +2,17 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 
 contract CrossChainTokenBridge is Ownable, Pausable, ReentrancyGuard {
     using SafeERC20 for IERC20;
     using ECDSA for bytes32;
+    using MessageHashUtils for bytes32;
 
     IERC20 public immutable token;
     uint256 public immutable thisChainId;
@@ -136,9 +138,4 @@ contract CrossChainTokenBridge is Ownable, Pausable, ReentrancyGuard {
 
         revert("threshold not met");
     }
-    function addValidator(address v) external onlyOwner {
-    require(!isValidator[v], "exists");
-    isValidator[v] = true;
-    validatorCount++;
-    }
 }
@@ -1,10 +1,10 @@
-# base-crosschain-token-bridge/contracts/CrossChainTokenBridge.sol
+// base-crosschain-token-bridge/contracts/CrossChainTokenBridge.sol
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.0;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 
 contract CrossChainTokenBridge is Ownable, ReentrancyGuard {
     struct BridgeTransaction {
@@ -59,7 +59,7 @@ contract CrossChainTokenBridge is Ownable, ReentrancyGuard {
     constructor(
         uint256 _feePercentage,
         uint256 _minimumAmount
-    ) {
+    ) Ownable(msg.sender) {
         feePercentage = _feePercentage;
         minimumAmount = _minimumAmount;
     }
@@ -1,79 +0,0 @@
-// base-crosschain-token-bridge/scripts/insights.js
-const { ethers } = require("hardhat");
-const fs = require("fs");
-
-async function generateBridgeInsights() {
-  console.log("Generating insights for Base Cross-Chain Token Bridge...");
-  
-  const bridgeAddress = "0x...";
-  const bridge = await ethers.getContractAt("CrossChainBridgeV3", bridgeAddress);
-  
-  // Получение инсайтов
-  const insights = {
-    timestamp: new Date().toISOString(),
-    bridgeAddress: bridgeAddress,
-    transactionMetrics: {},
-    networkPerformance: {},
-    securityMetrics: {},
-    costAnalysis: {},
-    improvementOpportunities: []
-  };
-  
-  // Метрики транзакций
-  const transactionMetrics = await bridge.getTransactionMetrics();
-  insights.transactionMetrics = {
-    totalTransactions: transactionMetrics.totalTransactions.toString(),
-    successfulTransactions: transactionMetrics.successfulTransactions.toString(),
-    failedTransactions: transactionMetrics.failedTransactions.toString(),
-    successRate: transactionMetrics.successRate.toString()
-  };
-  
-  // Производительность сети
-  const networkPerformance = await bridge.getNetworkPerformance();
-  insights.networkPerformance = {
-    avgProcessingTime: networkPerformance.avgProcessingTime.toString(),
-    maxProcessingTime: networkPerformance.maxProcessingTime.toString(),
-    throughput: networkPerformance.throughput.toString(),
-    uptime: networkPerformance.uptime.toString()
-  };
-  
-  // Метрики безопасности
-  const securityMetrics = await bridge.getSecurityMetrics();
-  insights.securityMetrics = {
-    securityScore: securityMetrics.securityScore.toString(),
-    vulnerabilityCount: securityMetrics.vulnerabilityCount.toString(),
-    auditScore: securityMetrics.auditScore.toString(),
-    complianceRate: securityMetrics.complianceRate.toString()
-  };
-  
-  // Анализ затрат
-  const costAnalysis = await bridge.getCostAnalysis();
-  insights.costAnalysis = {
-    totalGasCost: costAnalysis.totalGasCost.toString(),
-    avgTransactionCost: costAnalysis.avgTransactionCost.toString(),
-    costPerTransaction: costAnalysis.costPerTransaction.toString(),
-    costEfficiency: costAnalysis.costEfficiency.toString()
-  };
-  
-  // Возможности улучшения
-  if (parseFloat(insights.transactionMetrics.successRate) < 95) {
-    insights.improvementOpportunities.push("Improve transaction success rate");
-  }
-  
-  if (parseFloat(insights.costAnalysis.costPerTransaction) > 100000000000000000) { // 0.1 ETH
-    insights.improvementOpportunities.push("Reduce transaction costs");
-  }
-  
-  // Сохранение инсайтов
-  const fileName = `bridge-insights-${Date.now()}.json`;
-  fs.writeFileSync(`./insights/${fileName}`, JSON.stringify(insights, null, 2));
-  
-  console.log("Bridge insights generated successfully!");
-  console.log("File saved:", fileName);
-}
-
-generateBridgeInsights()
-  .catch(error => {
-    console.error("Insights error:", error);
-    process.exit(1);
-  });
@@ -0,0 +1,220 @@
+// Offline admin transactions for the bridge owner (a multisig or a cold key), kept in a portable JSON batch.
+// Usage: node scripts/bridge-admin.js <command> --batch <file> [options]
+//
+//   add --network <name> [--fee-bridge] <method> [args...]   append an unsigned call (target, calldata, chain, description)
+//   show                                                     decode every call from its calldata and check it against deployments.json
+//   simulate                                                 run the batch against local replicas of the live state
+//   export-safe --out <dir>                                  Safe Transaction Builder file per network
+//   prepare --from <address>                                 simulate, then fill nonces, gas and fees for an EOA owner
+//   sign --keystore <file>                                   offline: sign with an encrypted JSON keystore (KEYSTORE_PASSWORD or prompt)
+//   broadcast                                                send the signed transactions; rerunning skips mined ones
+//
+// Bridge methods: pause, unpause, setThreshold, addValidator, removeValidator, transferOwnership.
+// Fee bridge methods: configureChain, withdrawTokens, setFeePercentage, setMinimumAmount, transferOwnership.
+// No command reads PRIVATE_KEY or the accounts in hardhat.config.js; simulate runs on the in-process network.
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline/promises");
+const { parseArgs } = require("util");
+const { ethers } = require("ethers");
+const hre = require("hardhat");
+const { FEE_BRIDGE_ABI } = require("./lib/abi");
+const { readJson, writeJson } = require("./lib/json-store");
+const { readRegistry, getDeployment } = require("./lib/deployments");
+const { connectDeployment } = require("./lib/networks");
+const { encodeAdminCall, newBatch, checkBatch, prepareBatch, signBatch, verifySigned, toSafeBuilder } = require("./lib/admin-batch");
+const { simulateBatch } = require("./lib/admin-sim");
+const { explainRevert } = require("./lib/revert-reasons");
+
+const { values: opts, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    batch: { type: "string" },
+    network: { type: "string" },
+    "fee-bridge": { type: "boolean" },
+    from: { type: "string" },
+    keystore: { type: "string" },
+    out: { type: "string" }
+  }
+});
+
+// prepare pads the simulated gas, since the replica state is close to but not byte-identical with the chain.
+const GAS_MARGIN_PERCENT = 30n;
+
+function usage(message) {
+  throw new Error(`${message}\nSee the header of scripts/bridge-admin.js.`);
+}
+
+function loadBatch() {
+  const batch = readJson(opts.batch, null);
+  if (!batch) throw new Error(`Batch file not found: ${opts.batch}`);
+  return batch;
+}
+
+function assertChecked(batch) {
+  const problems = checkBatch(batch, readRegistry());
+  if (problems.length) throw new Error(`The batch does not match its calldata or deployments.json:\n  ${problems.join("\n  ")}`);
+}
+
+// Read-only connections to the deployments a batch touches; nothing here can sign.
+function liveConnections(batch) {
+  const live = {};
+  for (const network of new Set(batch.transactions.map((tx) => tx.network))) {
+    const record = getDeployment(network);
+    const { bridge, provider } = connectDeployment(record, hre.config);
+    live[network] = {
+      provider,
+      fromBlock: record.blockNumber || 0,
+      connect: (kind) => (kind === "bridge" ? bridge : new ethers.Contract(record.contracts.FeeBridge, FEE_BRIDGE_ABI, provider))
+    };
+  }
+  return live;
+}
+
+function closeAll(live) {
+  Object.values(live).forEach((l) => l.provider.destroy());
+}
+
+async function runSimulation(batch) {
+  const live = liveConnections(batch);
+  try {
+    const simulation = await simulateBatch(hre, batch, live);
+    for (const r of simulation.results) {
+      console.log(`  #${r.index} ${r.network} ${r.description}: ${r.ok ? `ok (gas ${r.gasUsed})` : `REVERTS: ${explainRevert({ reason: r.reason })}`}`);
+    }
+    for (const s of simulation.states) {
+      console.log(`  ${s.network} ${s.contract} after the batch: ${JSON.stringify(s.after)}`);
+    }
+    return { simulation, live };
+  } catch (e) {
+    closeAll(live);
+    throw e;
+  }
+}
+
+async function password() {
+  if (process.env.KEYSTORE_PASSWORD) return process.env.KEYSTORE_PASSWORD;
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  try {
+    return await rl.question("Keystore password: ");
+  } finally {
+    rl.close();
+  }
+}
+
+const commands = {
+  async add([method, ...args]) {
+    if (!opts.network || !method) usage("add needs --network <name> <method> [args...]");
+    const batch = readJson(opts.batch, null) || newBatch();
+    const tx = encodeAdminCall({ deployment: getDeployment(opts.network), kind: opts["fee-bridge"] ? "feeBridge" : "bridge", method, args });
+    batch.transactions.push(tx);
+    // Appending invalidates any earlier preparation and signatures.
+    if (batch.from) batch.transactions.forEach((t) => ["nonce", "gasLimit", "maxFeePerGas", "maxPriorityFeePerGas", "signed", "hash"].forEach((f) => delete t[f]));
+    batch.from = null;
+    writeJson(opts.batch, batch);
+    console.log(`#${batch.transactions.length} ${tx.network} (chain ${tx.chainId}) ${tx.to}: ${tx.description}`);
+  },
+
+  async show() {
+    const batch = loadBatch();
+    batch.transactions.forEach((tx, i) => {
+      const signed = tx.signed ? ` signed ${tx.hash}` : "";
+      const nonce = tx.nonce !== undefined ? ` nonce ${tx.nonce}` : "";
+      console.log(`#${i + 1} ${tx.network} (chain ${tx.chainId}) ${tx.contract} ${tx.to}: ${tx.description}${nonce}${signed}`);
+    });
+    const problems = checkBatch(batch, readRegistry());
+    if (problems.length) {
+      problems.forEach((p) => console.error(`PROBLEM ${p}`));
+      process.exitCode = 1;
+    }
+  },
+
+  async simulate() {
+    const batch = loadBatch();
+    assertChecked(batch);
+    const { simulation, live } = await runSimulation(batch);
+    closeAll(live);
+    if (!simulation.ok) process.exitCode = 1;
+  },
+
+  async "export-safe"() {
+    if (!opts.out) usage("export-safe needs --out <dir>");
+    const batch = loadBatch();
+    assertChecked(batch);
+    for (const [network, file] of Object.entries(toSafeBuilder(batch))) {
+      const out = path.join(opts.out, `${path.basename(opts.batch, ".json")}-${network}.safe.json`);
+      writeJson(out, file);
+      console.log(`${network} (chain ${file.chainId}): ${out} (${file.transactions.length} transactions)`);
+    }
+  },
+
+  async prepare() {
+    if (!opts.from) usage("prepare needs --from <owner address>");
+    const batch = loadBatch();
+    assertChecked(batch);
+    batch.from = ethers.getAddress(opts.from);
+    const { simulation, live } = await runSimulation(batch);
+    try {
+      if (!simulation.ok) throw new Error(`The batch reverts when sent from ${batch.from}; nothing prepared`);
+      const nonces = {};
+      const fees = {};
+      for (const tx of batch.transactions) {
+        if (nonces[tx.network] !== undefined) continue;
+        const { provider } = live[tx.network];
+        nonces[tx.network] = await provider.getTransactionCount(batch.from, "pending");
+        const feeData = await provider.getFeeData();
+        fees[tx.network] = { maxFeePerGas: feeData.maxFeePerGas || feeData.gasPrice, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas || 0n };
+      }
+      const gas = simulation.results.map((r) => (BigInt(r.gasUsed) * (100n + GAS_MARGIN_PERCENT)) / 100n);
+      writeJson(opts.batch, prepareBatch(batch, { from: batch.from, nonces, gas, fees }));
+      console.log(`Prepared ${batch.transactions.length} transactions for ${batch.from}; sign them offline with: sign --keystore <file>`);
+    } finally {
+      closeAll(live);
+    }
+  },
+
+  async sign() {
+    if (!opts.keystore) usage("sign needs --keystore <encrypted JSON keystore>");
+    const batch = loadBatch();
+    assertChecked(batch);
+    const wallet = await ethers.Wallet.fromEncryptedJson(fs.readFileSync(opts.keystore, "utf8"), await password());
+    writeJson(opts.batch, await signBatch(batch, wallet));
+    batch.transactions.forEach((tx, i) => console.log(`#${i + 1} ${tx.network} nonce ${tx.nonce}: ${tx.description} -> ${tx.hash}`));
+  },
+
+  async broadcast() {
+    const batch = loadBatch();
+    assertChecked(batch);
+    const problems = batch.transactions.map((tx, i) => [i + 1, verifySigned(batch, tx)]).filter(([, p]) => p);
+    if (problems.length) throw new Error(`Refusing to broadcast:\n  ${problems.map(([i, p]) => `#${i}: ${p}`).join("\n  ")}`);
+
+    const live = liveConnections(batch);
+    try {
+      for (const [i, tx] of batch.transactions.entries()) {
+        const { provider } = live[tx.network];
+        let receipt = await provider.getTransactionReceipt(tx.hash);
+        if (!receipt) {
+          await provider.broadcastTransaction(tx.signed);
+          receipt = await provider.waitForTransaction(tx.hash);
+        }
+        console.log(`#${i + 1} ${tx.network} ${tx.description}: ${receipt.status === 1 ? "mined" : "REVERTED"} in block ${receipt.blockNumber} (${tx.hash})`);
+        if (receipt.status !== 1) throw new Error(`Transaction #${i + 1} reverted; later transactions were not sent`);
+      }
+    } finally {
+      closeAll(live);
+    }
+  }
+};
+
+async function main() {
+  const [command, ...args] = positionals;
+  if (!commands[command]) usage(command ? `unknown command "${command}"` : "missing command");
+  if (!opts.batch) usage("--batch <file> is required");
+  await commands[command](args);
+}
+
+main().catch((e) => {
+  console.error("Error:", explainRevert(e));
+  process.exit(1);
+});
@@ -0,0 +1,225 @@
+// Emergency circuit breaker: pauses the bridge on every recorded deployment at once.
+// Usage: node scripts/bridge-breaker.js <command>
+//   watch [--every <seconds>]                      check for anomalies (one round without --every)
+//   panic --reason <text> --operator <name>        trip the breaker by hand
+//   status                                         open incidents and the paused state of each chain
+//   unpause --ack <incident id,...> --operator <name>
+// Anomalies: a Released without a matching Locked, a release above the configured size, a sudden escrow drop,
+// a validator or threshold change that the declared validator set (validators.json) does not explain, and an
+// unpause while incidents are open. Configured by breaker.config.json (BREAKER_CONFIG); every trip, pause and
+// acknowledgement goes to the incident log with its evidence. The first watch round only records a baseline.
+require("dotenv").config();
+const path = require("path");
+const { parseArgs } = require("util");
+const hre = require("hardhat");
+const { createEventStore } = require("./lib/event-store");
+const { DEFAULT_STORE, createIndexer, registrySources, sourceKey } = require("./lib/indexer");
+const { reconcile } = require("./lib/reconcile");
+const { createSinks, createAlerter } = require("./lib/alerts");
+const { readJson, writeJson } = require("./lib/json-store");
+const { signerFor, withTimeout } = require("./lib/networks");
+const { parseValidatorSet } = require("./lib/rotation");
+const { resolveTriggers, detectAnomalies, pauseAll, unpauseAll, readIncidentLog, appendIncidentLog, openIncidents } = require("./lib/breaker");
+
+const { values: opts, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    every: { type: "string" },
+    reason: { type: "string" },
+    operator: { type: "string" },
+    ack: { type: "string" },
+    store: { type: "string" }
+  }
+});
+
+const log = (...args) => console.error(...args);
+
+function loadConfig() {
+  const configPath = process.env.BREAKER_CONFIG || path.join(__dirname, "..", "breaker.config.json");
+  const config = readJson(configPath, {});
+  const baseDir = path.dirname(configPath);
+  const validatorSetFile = path.resolve(baseDir, config.validatorSet || "validators.json");
+  const validatorSet = readJson(validatorSetFile, null);
+  return {
+    triggers: resolveTriggers(config.triggers),
+    stateFile: path.resolve(baseDir, config.stateFile || "breaker-state.json"),
+    incidentLog: path.resolve(baseDir, config.incidentLog || "breaker/incidents.jsonl"),
+    expected: validatorSet && parseValidatorSet(validatorSet),
+    rpcTimeoutMs: config.rpcTimeoutMs || 10000,
+    pauseTimeoutMs: config.pauseTimeoutMs || 120000,
+    alerter: createAlerter({ sinks: createSinks(config.sinks || [{ type: "stdout" }]), dedupSeconds: 0, log })
+  };
+}
+
+// A chain whose signer cannot be reached is passed on with the error, so the other chains are still paused.
+async function ownerBridges(config, sources) {
+  return Promise.all(
+    sources.map(async (src) => {
+      try {
+        const signer = await withTimeout(signerFor(src.provider, hre.config, src.network), config.rpcTimeoutMs, "owner signer");
+        return { network: src.network, bridge: src.deployment.bridge.connect(signer) };
+      } catch (e) {
+        return { network: src.network, bridge: null, error: e.shortMessage || e.message };
+      }
+    })
+  );
+}
+
+function logPauses(results) {
+  results.forEach((p) => log(`  ${p.network}: ${p.status}${p.txHash ? ` ${p.txHash}` : ""}${p.error ? ` (${p.error})` : ""}`));
+}
+
+// Logs the incident before pausing so the evidence survives even if a pause hangs or the process dies.
+async function trip(config, sources, { source, operator = null, trips }) {
+  const incident = { type: "incident", id: `incident-${Date.now()}`, trippedAt: new Date().toISOString(), source, operator, trips };
+  appendIncidentLog(config.incidentLog, incident);
+  trips.forEach((t) => log(`TRIP ${t.trigger}${t.network ? ` [${t.network}]` : ""}: ${t.message}`));
+
+  const pauses = await pauseAll(await ownerBridges(config, sources), config.pauseTimeoutMs);
+  appendIncidentLog(config.incidentLog, { type: "pause", id: incident.id, at: new Date().toISOString(), results: pauses });
+  logPauses(pauses);
+
+  await config.alerter.emit({
+    ruleId: "breaker.tripped",
+    severity: "critical",
+    key: incident.id,
+    message: `Circuit breaker tripped (${incident.id}): ${trips.map((t) => t.message).join("; ")}`,
+    details: { ...incident, pauses }
+  });
+  return { incident, pauses };
+}
+
+async function watchRound(config, store, indexer, sources) {
+  const state = { watermarks: {}, escrow: {}, seenOrphans: [], ...readJson(config.stateFile, {}) };
+  const baseline = !state.initialized;
+  const unreachable = new Set();
+  const fresh = [];
+  const escrow = [];
+
+  for (const src of sources) {
+    const key = sourceKey(src.network, src.bridge);
+    try {
+      await withTimeout(src.provider.getBlockNumber(), config.rpcTimeoutMs, "eth_blockNumber");
+      await indexer.indexSource(src);
+      const balance = await withTimeout(src.deployment.token.balanceOf(src.bridge), config.rpcTimeoutMs, "escrow balance");
+      escrow.push({ network: src.network, balance });
+    } catch (e) {
+      log(`[${src.network}] unreachable: ${e.shortMessage || e.message}`);
+      unreachable.add(src.thisChainId);
+      continue;
+    }
+    const cursor = store.cursor(key);
+    const head = cursor ? cursor.block : src.startBlock - 1;
+    if (state.watermarks[key] !== undefined) fresh.push(...store.events({ source: key, fromBlock: Math.min(state.watermarks[key], head) + 1 }));
+    state.watermarks[key] = head;
+  }
+
+  const seenOrphans = new Set(state.seenOrphans);
+  if (baseline) {
+    for (const t of reconcile(store).transfers.filter((t) => t.status === "orphaned")) {
+      log(`Existing orphaned release ${t.id} recorded in the baseline`);
+      seenOrphans.add(t.id);
+    }
+  }
+  const trips = baseline
+    ? []
+    : detectAnomalies({
+        store,
+        fresh,
+        unreachable,
+        escrow,
+        previousEscrow: state.escrow,
+        seenOrphans,
+        expected: config.expected,
+        incidentsOpen: openIncidents(readIncidentLog(config.incidentLog)).length > 0,
+        triggers: config.triggers
+      });
+
+  trips.filter((t) => t.trigger === "orphan-release").forEach((t) => seenOrphans.add(t.evidence.transfer));
+  for (const { network, balance } of escrow) state.escrow[network] = balance.toString();
+  writeJson(config.stateFile, { ...state, initialized: true, seenOrphans: [...seenOrphans] });
+
+  if (trips.length) {
+    await trip(config, sources, { source: "watchdog", trips });
+    return;
+  }
+  log(`[${new Date().toISOString()}] ${baseline ? "baseline recorded" : "no anomalies"}`);
+
+  // A pause that failed, or a chain that was unreachable when the breaker tripped, is retried every round
+  // until the incidents are acknowledged. Bridges that are already paused are skipped.
+  const open = openIncidents(readIncidentLog(config.incidentLog));
+  if (!open.length) return;
+  const pauses = await pauseAll(await ownerBridges(config, sources), config.pauseTimeoutMs);
+  if (pauses.some((p) => p.status !== "already paused")) {
+    appendIncidentLog(config.incidentLog, { type: "pause", id: open[open.length - 1].id, at: new Date().toISOString(), results: pauses });
+    log(`Incident ${open[open.length - 1].id} is open; pausing the chains that are not paused yet:`);
+    logPauses(pauses);
+  }
+}
+
+const commands = {
+  async watch(config, sources) {
+    const store = createEventStore(opts.store || process.env.INDEXER_STORE || DEFAULT_STORE);
+    const indexer = createIndexer({ store, sources, log });
+    if (!opts.every) return watchRound(config, store, indexer, sources);
+    for (;;) {
+      try {
+        await watchRound(config, store, indexer, sources);
+      } catch (e) {
+        log("Breaker round failed:", e.message);
+      }
+      await new Promise((r) => setTimeout(r, Number(opts.every) * 1000));
+    }
+  },
+
+  async panic(config, sources) {
+    if (!opts.reason || !opts.operator) throw new Error("panic needs --reason <text> --operator <name>");
+    const { incident } = await trip(config, sources, {
+      source: "panic",
+      operator: opts.operator,
+      trips: [{ trigger: "manual", network: null, message: opts.reason, evidence: { operator: opts.operator } }]
+    });
+    console.log(`Breaker tripped: ${incident.id}`);
+  },
+
+  async status(config, sources) {
+    const open = openIncidents(readIncidentLog(config.incidentLog));
+    console.log(open.length ? `Open incidents (${open.length}):` : "No open incidents.");
+    for (const i of open) console.log(`  ${i.id} ${i.trippedAt} ${i.source}: ${i.trips.map((t) => t.message).join("; ")}`);
+    for (const src of sources) {
+      const paused = await src.deployment.bridge.paused().catch((e) => `unreachable (${e.shortMessage || e.message})`);
+      console.log(`  ${src.network}: ${paused === true ? "paused" : paused === false ? "running" : paused}`);
+    }
+  },
+
+  // Every open incident must be acknowledged by id; the acknowledgement is logged before anything is unpaused.
+  async unpause(config, sources) {
+    if (!opts.ack || !opts.operator) throw new Error("unpause needs --ack <incident id,...> --operator <name>");
+    const open = openIncidents(readIncidentLog(config.incidentLog)).map((i) => i.id);
+    if (!open.length) throw new Error("No open incidents; a pause from outside the breaker is lifted with bridge-cli unpause");
+    const ids = opts.ack.split(",").map((s) => s.trim());
+    const unknown = ids.filter((id) => !open.includes(id));
+    const missing = open.filter((id) => !ids.includes(id));
+    if (unknown.length) throw new Error(`Not open incidents: ${unknown.join(", ")}`);
+    if (missing.length) throw new Error(`Acknowledge every open incident before unpausing; missing: ${missing.join(", ")}`);
+
+    appendIncidentLog(config.incidentLog, { type: "ack", ids, operator: opts.operator, at: new Date().toISOString() });
+    const results = await unpauseAll(await ownerBridges(config, sources), config.pauseTimeoutMs);
+    appendIncidentLog(config.incidentLog, { type: "unpause", ids, at: new Date().toISOString(), results });
+    results.forEach((r) => console.log(`  ${r.network}: ${r.status}${r.txHash ? ` ${r.txHash}` : ""}${r.error ? ` (${r.error})` : ""}`));
+    if (results.some((r) => r.status === "failed")) process.exitCode = 1;
+  }
+};
+
+async function main() {
+  const [command] = positionals;
+  if (!commands[command]) throw new Error(`Usage: bridge-breaker.js watch|panic|status|unpause (see the header of scripts/bridge-breaker.js)`);
+  const sources = await registrySources(hre.config);
+  if (!sources.length) throw new Error("No deployments recorded in deployments.json");
+  await commands[command](loadConfig(), sources);
+}
+
+main().catch((e) => {
+  console.error("Circuit breaker error:", e.message);
+  process.exit(1);
+});
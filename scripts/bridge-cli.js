@@ -0,0 +1,304 @@
+// Day-to-day operations against the bridge recorded in deployments.json for the selected network.
+// Usage: node scripts/bridge-cli.js --network <name> <command> [args]
+//
+//   lock <amount> --to <address> --to-chain <thisChainId> [--nonce <n> | --nonce-strategy derived|random]
+//   release --file <release.json>        {to, amount, fromChainId, nonce, signatures[]}, amount in wei
+//   status <nonce>
+//   inspect <txHash> | inspect --data <calldata>   replays a release() against the bridge's state
+//   validators list | add <address> | remove <address>
+//   threshold [set <n>]
+//   pause | unpause
+//   balance [address]
+//   quote <amount> --to-chain <chainId> [--token <address>]                 fee bridge (contracts.FeeBridge)
+//   transfer <amount> --to <address> --to-chain <chainId> [--token <address>] [--yes]
+const { parseArgs } = require("util");
+
+const { values: opts, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    network: { type: "string" },
+    to: { type: "string" },
+    "to-chain": { type: "string" },
+    nonce: { type: "string" },
+    "nonce-strategy": { type: "string", default: "derived" },
+    file: { type: "string" },
+    data: { type: "string" },
+    token: { type: "string" },
+    yes: { type: "boolean" }
+  }
+});
+
+// Must be set before Hardhat loads so hre.network and the signers match the chosen network.
+if (opts.network) process.env.HARDHAT_NETWORK = opts.network;
+
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = require("ethers");
+const readline = require("readline/promises");
+const { BRIDGE_ABI, ERC20_ABI, FEE_BRIDGE_ABI } = require("./lib/abi");
+const { getDeployment } = require("./lib/deployments");
+const { readValidatorSet } = require("./lib/validator-set");
+const { aggregateSignatures, explainAggregation } = require("./lib/aggregator");
+const { queryInChunks } = require("./lib/events");
+const { explainRevert } = require("./lib/revert-reasons");
+const { quoteTransfer, assertQuoteCurrent } = require("./lib/fees");
+const { createNonceAllocator, withFreshNonce } = require("./lib/nonces");
+const { decodeRelease, inspectRelease } = require("./lib/release-inspector");
+
+function usage(message) {
+  throw new Error(`${message}\nRun with --network <name> <command>; see the header of scripts/bridge-cli.js.`);
+}
+
+async function send(label, txPromise) {
+  const tx = await txPromise;
+  console.log(`${label}: ${tx.hash}`);
+  const receipt = await tx.wait();
+  console.log(`  confirmed in block ${receipt.blockNumber} (gas ${receipt.gasUsed})`);
+  return receipt;
+}
+
+async function context() {
+  const deployment = getDeployment(hre.network.name);
+  const [signer] = await hre.ethers.getSigners();
+  const bridge = new ethers.Contract(deployment.contracts.CrossChainTokenBridge, BRIDGE_ABI, signer);
+  const token = new ethers.Contract(await bridge.token(), ERC20_ABI, signer);
+  return { deployment, signer, bridge, token, decimals: Number(await token.decimals()) };
+}
+
+// Counters for derived lock nonces, per bridge, sender and destination.
+const NONCE_STATE = process.env.NONCE_STATE || path.join(__dirname, "..", "nonce-state.json");
+
+function feeBridgeOf(deployment, signer) {
+  if (!deployment.contracts.FeeBridge) {
+    throw new Error(`No fee bridge recorded for ${deployment.network}; add a "fee" entry to the chain in config/ and deploy, or add contracts.FeeBridge`);
+  }
+  return new ethers.Contract(deployment.contracts.FeeBridge, FEE_BRIDGE_ABI, signer);
+}
+
+async function feeQuote({ deployment, signer }, amountArg) {
+  if (!amountArg || !opts["to-chain"]) usage("needs <amount> --to-chain <chainId>");
+  const feeBridge = feeBridgeOf(deployment, signer);
+  const tokenAddress = ethers.getAddress(opts.token || deployment.contracts.Token);
+  const token = new ethers.Contract(tokenAddress, ERC20_ABI, signer);
+  const [decimals, symbol] = await Promise.all([token.decimals(), token.symbol()]);
+  const quote = await quoteTransfer({
+    feeBridge,
+    from: signer.address,
+    toChainId: opts["to-chain"],
+    token: tokenAddress,
+    amount: ethers.parseUnits(amountArg, decimals)
+  });
+
+  const fmt = (v) => `${ethers.formatUnits(v, decimals)} ${symbol}`;
+  console.log(`Quote ${quote.sourceChainId} -> ${quote.destinationChainId} via ${quote.feeBridge}`);
+  console.log(`  amount     ${fmt(quote.amount)}`);
+  console.log(`  fee        ${fmt(quote.fee)} (${quote.feeBps} bps)`);
+  console.log(`  receiver   ${fmt(quote.netAmount)}`);
+  console.log(`  minimum    ${fmt(quote.minimumAmount)}`);
+  console.log(
+    `  gas        ${quote.gas.initiateBridge + quote.gas.approve}${quote.gas.estimated ? "" : " (approx.)"}` +
+      `${quote.needsApproval ? " incl. approve" : ""}, ~${ethers.formatEther(quote.gas.cost)} native`
+  );
+  quote.problems.forEach((p) => console.log(`  problem:   ${p}`));
+  return { quote, feeBridge, token };
+}
+
+async function confirm(question) {
+  if (opts.yes) return true;
+  if (!process.stdin.isTTY) throw new Error("not a terminal; pass --yes to submit without confirmation");
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    return /^y(es)?$/i.test((await rl.question(`${question} [y/N] `)).trim());
+  } finally {
+    rl.close();
+  }
+}
+
+const commands = {
+  async lock({ bridge, token, signer, decimals }, [amountArg]) {
+    if (!amountArg || !opts.to || !opts["to-chain"]) usage("lock needs <amount> --to <address> --to-chain <id>");
+    const amount = ethers.parseUnits(amountArg, decimals);
+    const to = ethers.getAddress(opts.to);
+    const toChainId = BigInt(opts["to-chain"]);
+
+    if (toChainId === (await bridge.thisChainId())) throw new Error(explainRevert({ reason: "same chain" }));
+    if (await bridge.paused()) throw new Error(explainRevert({ reason: "EnforcedPause" }));
+
+    const explicit = opts.nonce !== undefined ? BigInt(opts.nonce) : null;
+    if (explicit !== null && (await bridge.usedNonce(explicit))) throw new Error(explainRevert({ reason: "nonce used" }));
+
+    const allowance = await token.allowance(signer.address, bridge.target);
+    if (allowance < amount) await send("approve", token.approve(bridge.target, amount));
+
+    const lockWith = async (nonce) => {
+      await send("lock", bridge.lock(amount, toChainId, to, nonce));
+      return nonce;
+    };
+    let nonce;
+    if (explicit !== null) {
+      nonce = await lockWith(explicit);
+    } else {
+      const allocator = createNonceAllocator({
+        bridge,
+        sourceChainId: await bridge.thisChainId(),
+        from: signer.address,
+        toChainId,
+        strategy: opts["nonce-strategy"],
+        stateFile: NONCE_STATE
+      });
+      nonce = await withFreshNonce(allocator, lockWith, { onRetry: (n) => console.log(`Nonce ${n} was taken before the lock landed; retrying`) });
+    }
+    console.log(`Locked ${amountArg} for ${to} on chain ${toChainId}, nonce ${nonce}`);
+  },
+
+  async release({ bridge }) {
+    if (!opts.file) usage("release needs --file <release.json>");
+    const req = JSON.parse(fs.readFileSync(opts.file, "utf8"));
+
+    const aggregated = await aggregateSignatures(bridge, req, req.signatures || []);
+    console.log(explainAggregation(aggregated));
+    if (!aggregated.ok) throw new Error("signatures would not pass the threshold check; not submitting");
+
+    await send("release", bridge.release(req.to, req.amount, req.fromChainId, req.nonce, aggregated.signatures));
+  },
+
+  async status({ bridge, deployment, decimals }, [nonceArg]) {
+    if (nonceArg === undefined) usage("status needs <nonce>");
+    const nonce = BigInt(nonceArg);
+    const head = await bridge.runner.provider.getBlockNumber();
+    const from = deployment.blockNumber || 0;
+    const [locks, releases] = await Promise.all([
+      queryInChunks(bridge, bridge.filters.Locked(), from, head),
+      queryInChunks(bridge, bridge.filters.Released(), from, head)
+    ]);
+
+    console.log(`Nonce ${nonce} used: ${await bridge.usedNonce(nonce)}`);
+    for (const ev of locks.filter((e) => e.args.nonce === nonce)) {
+      console.log(`  Locked   ${ethers.formatUnits(ev.args.amount, decimals)} ${ev.args.from} -> ${ev.args.to} on chain ${ev.args.toChainId} (tx ${ev.transactionHash})`);
+    }
+    for (const ev of releases.filter((e) => e.args.nonce === nonce)) {
+      console.log(`  Released ${ethers.formatUnits(ev.args.amount, decimals)} to ${ev.args.to} from chain ${ev.args.fromChainId} (tx ${ev.transactionHash})`);
+    }
+  },
+
+  // A mined transaction is replayed against the block before it; raw calldata against the latest block.
+  async inspect({ bridge, token, decimals }, [txHash]) {
+    if (Boolean(txHash) === Boolean(opts.data)) usage("inspect needs <txHash> or --data <calldata>");
+    const provider = bridge.runner.provider;
+    let target = bridge.target;
+    let blockTag;
+    let from;
+    let data = opts.data;
+    if (txHash) {
+      const tx = await provider.getTransaction(txHash);
+      if (!tx || !tx.to) throw new Error(`no call to a contract with hash ${txHash} on ${hre.network.name}`);
+      const receipt = await provider.getTransactionReceipt(txHash);
+      ({ data, from } = tx);
+      target = tx.to;
+      if (receipt) blockTag = receipt.blockNumber - 1;
+      console.log(`Transaction ${txHash}: ${!receipt ? "pending" : receipt.status === 1 ? "succeeded" : "reverted"}${receipt ? ` in block ${receipt.blockNumber}` : ""}`);
+      if (target.toLowerCase() !== bridge.target.toLowerCase()) console.log(`  note: sent to ${target}, not the recorded bridge ${bridge.target}`);
+    }
+
+    const call = decodeRelease(data);
+    const view = new ethers.Contract(target, BRIDGE_ABI, provider);
+    const r = await inspectRelease(view, call, { blockTag, from });
+    const symbol = await token.symbol();
+
+    console.log(`Release on ${hre.network.name} (${target}), state at ${blockTag === undefined ? "latest block" : `block ${blockTag}`}`);
+    console.log(`  to           ${call.to}`);
+    console.log(`  amount       ${ethers.formatUnits(call.amount, decimals)} ${symbol} (${call.amount} base units)`);
+    console.log(`  fromChainId  ${call.fromChainId} -> thisChainId ${r.thisChainId}`);
+    console.log(`  nonce        ${call.nonce} (usedNonce: ${r.nonceUsed})`);
+    console.log(`  paused       ${r.paused}`);
+    console.log(`  threshold    ${r.threshold} of ${r.validatorCount} validators`);
+    console.log(`  digest       ${r.digest} (signed message hash ${r.messageHash})`);
+    console.log(`  signatures   ${call.signatures.length}`);
+    for (const s of r.signatures) {
+      console.log(`    #${s.index} ${s.status.padEnd(13)} ${s.signer || `(${s.reason})`}`);
+    }
+    if (r.failure) {
+      console.log(`Would revert: ${r.failure.explanation}`);
+      if (r.failure.detail) console.log(`  ${r.failure.detail}`);
+    } else {
+      console.log("Would pass the bridge's checks.");
+    }
+    if (r.simulated && !(r.failure && r.simulated.startsWith(r.failure.reason))) console.log(`Node reports: ${r.simulated}`);
+  },
+
+  async validators({ bridge, deployment }, [action, address]) {
+    if (!action || action === "list") {
+      const set = await readValidatorSet(bridge, deployment.blockNumber || 0);
+      console.log(`Validators (${await bridge.validatorCount()}), threshold ${await bridge.threshold()}:`);
+      set.forEach((v) => console.log(`  ${v}`));
+      return;
+    }
+    if (!address) usage(`validators ${action} needs <address>`);
+    if (action === "add") return send("addValidator", bridge.addValidator(ethers.getAddress(address)));
+    if (action === "remove") {
+      const [threshold, count] = await Promise.all([bridge.threshold(), bridge.validatorCount()]);
+      if (count > 1n && threshold >= count) {
+        console.log(`Note: removing a validator lowers threshold from ${threshold} to ${threshold - 1n}`);
+      }
+      return send("removeValidator", bridge.removeValidator(ethers.getAddress(address)));
+    }
+    usage(`unknown validators action "${action}"`);
+  },
+
+  async threshold({ bridge }, [action, value]) {
+    if (!action) {
+      console.log(`Threshold: ${await bridge.threshold()} of ${await bridge.validatorCount()}`);
+      return;
+    }
+    if (action !== "set" || value === undefined) usage("threshold set <n>");
+    await send("setThreshold", bridge.setThreshold(BigInt(value)));
+  },
+
+  async pause({ bridge }) {
+    await send("pause", bridge.pause());
+  },
+
+  async unpause({ bridge }) {
+    await send("unpause", bridge.unpause());
+  },
+
+  async quote(ctx, [amountArg]) {
+    await feeQuote(ctx, amountArg);
+  },
+
+  // The fee bridge takes no maximum fee, so the settings are re-read right before submitting.
+  async transfer(ctx, [amountArg]) {
+    if (!opts.to) usage("transfer needs <amount> --to <address> --to-chain <chainId>");
+    const to = ethers.getAddress(opts.to);
+    const { quote, feeBridge, token } = await feeQuote(ctx, amountArg);
+    if (!quote.ok) throw new Error("the transfer would revert; not submitting");
+    if (!(await confirm(`Send to ${to} on chain ${quote.destinationChainId}?`))) {
+      console.log("Aborted.");
+      return;
+    }
+
+    if (quote.needsApproval) await send("approve", token.approve(feeBridge.target, quote.amount));
+    await assertQuoteCurrent(feeBridge, quote);
+    await send("initiateBridge", feeBridge.initiateBridge(quote.destinationChainId, to, quote.token, quote.amount));
+  },
+
+  async balance({ bridge, token, signer, decimals }, [address]) {
+    const symbol = await token.symbol();
+    const holder = address ? ethers.getAddress(address) : signer.address;
+    console.log(`Escrow (${bridge.target}): ${ethers.formatUnits(await token.balanceOf(bridge.target), decimals)} ${symbol}`);
+    console.log(`${holder}: ${ethers.formatUnits(await token.balanceOf(holder), decimals)} ${symbol}`);
+  }
+};
+
+async function main() {
+  const [command, ...args] = positionals;
+  if (!commands[command]) usage(command ? `unknown command "${command}"` : "missing command");
+  await commands[command](await context(), args);
+}
+
+main().catch((e) => {
+  console.error("Error:", explainRevert(e));
+  process.exit(1);
+});
@@ -1,98 +1,9 @@
-// base-crosschain-token-bridge/scripts/community-analysis.js
-const { ethers } = require("hardhat");
-const fs = require("fs");
+// User analysis: unique senders and recipients, new and returning senders, volume concentration.
+// Same options as bridge-report.js (--format, --out, --rules, --network, --no-index, --strict).
+require("dotenv").config();
+const { runReportCli } = require("./lib/report-cli");
 
-async function analyzeBridgeCommunity() {
-  console.log("Analyzing community for Base Cross-Chain Token Bridge...");
-  
-  const bridgeAddress = "0x...";
-  const bridge = await ethers.getContractAt("CrossChainBridgeV3", bridgeAddress);
-  
-  // Анализ сообщества
-  const communityReport = {
-    timestamp: new Date().toISOString(),
-    bridgeAddress: bridgeAddress,
-    communityMetrics: {},
-    engagementTrends: {},
-    sentimentAnalysis: {},
-    networkAnalysis: {},
-    recommendations: []
-  };
-  
-  try {
-    // Метрики сообщества
-    const communityMetrics = await bridge.getCommunityMetrics();
-    communityReport.communityMetrics = {
-      totalCommunityMembers: communityMetrics.totalCommunityMembers.toString(),
-      activeCommunity: communityMetrics.activeCommunity.toString(),
-      socialMediaFollowers: communityMetrics.socialMediaFollowers.toString(),
-      forumParticipants: communityMetrics.forumParticipants.toString(),
-      communityGrowth: communityMetrics.communityGrowth.toString()
-    };
-    
-    // Тренды вовлеченности
-    const engagementTrends = await bridge.getEngagementTrends();
-    communityReport.engagementTrends = {
-      socialMediaEngagement: engagementTrends.socialMediaEngagement.toString(),
-      forumActivity: engagementTrends.forumActivity.toString(),
-      documentationUsage: engagementTrends.documentationUsage.toString(),
-      supportTickets: engagementTrends.supportTickets.toString(),
-      featureRequests: engagementTrends.featureRequests.toString()
-    };
-    
-    // Анализ настроений
-    const sentimentAnalysis = await bridge.getSentimentAnalysis();
-    communityReport.sentimentAnalysis = {
-      positiveSentiment: sentimentAnalysis.positiveSentiment.toString(),
-      neutralSentiment: sentimentAnalysis.neutralSentiment.toString(),
-      negativeSentiment: sentimentAnalysis.negativeSentiment.toString(),
-      overallSentiment: sentimentAnalysis.overallSentiment,
-      sentimentTrend: sentimentAnalysis.sentimentTrend
-    };
-    
-    // Анализ сети
-    const networkAnalysis = await bridge.getNetworkAnalysis();
-    communityReport.networkAnalysis = {
-      networkReach: networkAnalysis.networkReach.toString(),
-      communityInfluence: networkAnalysis.communityInfluence.toString(),
-      partnershipCount: networkAnalysis.partnershipCount.toString(),
-      ecosystemIntegration: networkAnalysis.ecosystemIntegration.toString(),
-      networkGrowth: networkAnalysis.networkGrowth.toString()
-    };
-    
-    // Рекомендации по сообществу
-    if (parseFloat(communityReport.communityMetrics.communityGrowth) < 5) { // 5%
-      communityReport.recommendations.push("Boost community growth initiatives");
-    }
-    
-    if (parseFloat(communityReport.engagementTrends.socialMediaEngagement) < 30) { // 30%
-      communityReport.recommendations.push("Increase social media engagement efforts");
-    }
-    
-    if (parseFloat(communityReport.sentimentAnalysis.negativeSentiment) > 15) { // 15%
-      communityReport.recommendations.push("Address negative community feedback");
-    }
-    
-    if (parseFloat(communityReport.networkAnalysis.networkGrowth) < 10) { // 10%
-      communityReport.recommendations.push("Expand ecosystem partnerships");
-    }
-    
-    // Сохранение отчета
-    const communityFileName = `bridge-community-${Date.now()}.json`;
-    fs.writeFileSync(`./community/${communityFileName}`, JSON.stringify(communityReport, null, 2));
-    console.log(`Community report created: ${communityFileName}`);
-    
-    console.log("Bridge community analysis completed successfully!");
-    console.log("Recommendations:", communityReport.recommendations);
-    
-  } catch (error) {
-    console.error("Community analysis error:", error);
-    throw error;
-  }
-}
-
-analyzeBridgeCommunity()
-  .catch(error => {
-    console.error("Community analysis failed:", error);
-    process.exit(1);
-  });
+runReportCli(["community"]).catch((e) => {
+  console.error("Community analysis failed:", e.message);
+  process.exit(1);
+});
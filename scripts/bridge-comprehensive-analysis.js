@@ -1,106 +1,9 @@
-// base-crosschain-token-bridge/scripts/comprehensive-analysis.js
-const { ethers } = require("hardhat");
-const fs = require("fs");
+// Comprehensive analysis: the audit, performance, security, scalability and regulatory reports in one run.
+// Same options as bridge-report.js (--format, --out, --rules, --network, --no-index, --strict).
+require("dotenv").config();
+const { runReportCli } = require("./lib/report-cli");
 
-async function comprehensiveBridgeAnalysis() {
-  console.log("Performing comprehensive analysis for Base Cross-Chain Token Bridge...");
-  
-  const bridgeAddress = "0x...";
-  const bridge = await ethers.getContractAt("CrossChainBridgeV3", bridgeAddress);
-  
-
-  const comprehensiveReport = {
-    timestamp: new Date().toISOString(),
-    bridgeAddress: bridgeAddress,
-    performance: {},
-    security: {},
-    scalability: {},
-    compliance: {},
-    riskAssessment: {},
-    recommendations: []
-  };
-  
-  try {
-   
-    const performance = await bridge.getPerformanceMetrics();
-    comprehensiveReport.performance = {
-      responseTime: performance.responseTime.toString(),
-      transactionSpeed: performance.transactionSpeed.toString(),
-      throughput: performance.throughput.toString(),
-      uptime: performance.uptime.toString(),
-      errorRate: performance.errorRate.toString()
-    };
-    
- 
-    const security = await bridge.getSecurityAssessment();
-    comprehensiveReport.security = {
-      securityScore: security.securityScore.toString(),
-      auditStatus: security.auditStatus,
-      riskLevel: security.riskLevel
-    };
-    
-    // Анализ масштабируемости
-    const scalability = await bridge.getScalabilityIndicators();
-    comprehensiveReport.scalability = {
-      userGrowth: scalability.userGrowth.toString(),
-      transactionVolume: scalability.transactionVolume.toString(),
-      networkGrowth: scalability.networkGrowth.toString()
-    };
-    
-    // Анализ соответствия
-    const compliance = await bridge.getComplianceStatus();
-    comprehensiveReport.compliance = {
-      regulatoryCompliance: compliance.regulatoryCompliance,
-      legalCompliance: compliance.legalCompliance,
-      overallScore: compliance.overallScore.toString()
-    };
-    
-    // Оценка рисков
-    const riskAssessment = await bridge.getRiskAssessment();
-    comprehensiveReport.riskAssessment = {
-      totalRisk: riskAssessment.totalRisk.toString(),
-      marketRisk: riskAssessment.marketRisk.toString(),
-      technicalRisk: riskAssessment.technicalRisk.toString(),
-      operationalRisk: riskAssessment.operationalRisk.toString()
-    };
-    
-    // Комплексные рекомендации
-    if (parseFloat(comprehensiveReport.performance.errorRate) > 2) {
-      comprehensiveReport.recommendations.push("Optimize transaction processing to reduce errors");
-    }
-    
-    if (parseFloat(comprehensiveReport.security.securityScore) < 80) {
-      comprehensiveReport.recommendations.push("Enhance security measures and conduct audits");
-    }
-    
-    if (parseFloat(comprehensiveReport.scalability.userGrowth) < 5) {
-      comprehensiveReport.recommendations.push("Implement growth strategies for user base");
-    }
-    
-    if (parseFloat(comprehensiveReport.compliance.overallScore) < 85) {
-      comprehensiveReport.recommendations.push("Improve compliance with regulatory requirements");
-    }
-    
-    if (parseFloat(comprehensiveReport.riskAssessment.totalRisk) > 70) {
-      comprehensiveReport.recommendations.push("Implement comprehensive risk management strategies");
-    }
-    
-    // Сохранение отчета
-    const comprehensiveFileName = `bridge-comprehensive-${Date.now()}.json`;
-    fs.writeFileSync(`./analysis/${comprehensiveFileName}`, JSON.stringify(comprehensiveReport, null, 2));
-    console.log(`Comprehensive report created: ${comprehensiveFileName}`);
-    
-    console.log("Comprehensive bridge analysis completed successfully!");
-    console.log("Recommendations:", comprehensiveReport.recommendations);
-    
-  } catch (error) {
-    console.error("Comprehensive analysis error:", error);
-    throw error;
-  }
-}
-
-comprehensiveBridgeAnalysis()
-  .catch(error => {
-    console.error("Comprehensive analysis failed:", error);
-    process.exit(1);
-  });
+runReportCli(["audit", "performance", "security", "scalability", "regulatory"]).catch((e) => {
+  console.error("Comprehensive analysis failed:", e.message);
+  process.exit(1);
+});
@@ -1,110 +1,9 @@
-// base-crosschain-token-bridge/scripts/comprehensive-audit.js
-const { ethers } = require("hardhat");
-const fs = require("fs");
+// Comprehensive audit: every report section in one run.
+// Same options as bridge-report.js (--format, --out, --rules, --network, --no-index, --strict).
+require("dotenv").config();
+const { runReportCli } = require("./lib/report-cli");
 
-async function performComprehensiveBridgeAudit() {
-  console.log("Performing comprehensive audit for Base Cross-Chain Token Bridge...");
-  
-  const bridgeAddress = "0x...";
-  const bridge = await ethers.getContractAt("CrossChainBridgeV3", bridgeAddress);
-  
-  // Комплексный аудит
-  const comprehensiveReport = {
-    timestamp: new Date().toISOString(),
-    bridgeAddress: bridgeAddress,
-    technicalAudit: {},
-    securityAudit: {},
-    complianceAudit: {},
-    performanceAudit: {},
-    riskAssessment: {},
-    recommendations: []
-  };
-  
-  try {
-    // Технический аудит
-    const technicalAudit = await bridge.getTechnicalAudit();
-    comprehensiveReport.technicalAudit = {
-      codeQuality: technicalAudit.codeQuality.toString(),
-      architecture: technicalAudit.architecture.toString(),
-      scalability: technicalAudit.scalability.toString(),
-      maintainability: technicalAudit.maintainability.toString(),
-      documentation: technicalAudit.documentation.toString()
-    };
-    
-    // Безопасность аудит
-    const securityAudit = await bridge.getSecurityAudit();
-    comprehensiveReport.securityAudit = {
-      vulnerabilityScore: securityAudit.vulnerabilityScore.toString(),
-      securityControls: securityAudit.securityControls,
-      threatModel: securityAudit.threatModel,
-      penetrationTesting: securityAudit.penetrationTesting,
-      securityCertification: securityAudit.securityCertification
-    };
-    
-    // Соответствие аудит
-    const complianceAudit = await bridge.getComplianceAudit();
-    comprehensiveReport.complianceAudit = {
-      regulatoryCompliance: complianceAudit.regulatoryCompliance,
-      legalCompliance: complianceAudit.legalCompliance,
-      financialCompliance: complianceAudit.financialCompliance,
-      technicalCompliance: complianceAudit.technicalCompliance,
-      certification: complianceAudit.certification
-    };
-    
-    // Производительность аудит
-    const performanceAudit = await bridge.getPerformanceAudit();
-    comprehensiveReport.performanceAudit = {
-      responseTime: performanceAudit.responseTime.toString(),
-      throughput: performanceAudit.throughput.toString(),
-      uptime: performanceAudit.uptime.toString(),
-      errorRate: performanceAudit.errorRate.toString(),
-      resourceUsage: performanceAudit.resourceUsage.toString()
-    };
-    
-    // Оценка рисков
-    const riskAssessment = await bridge.getRiskAssessment();
-    comprehensiveReport.riskAssessment = {
-      overallRisk: riskAssessment.overallRisk.toString(),
-      riskLevel: riskAssessment.riskLevel,
-      mitigationPlan: riskAssessment.mitigationPlan,
-      riskExposure: riskAssessment.riskExposure.toString(),
-      recoveryTime: riskAssessment.recoveryTime.toString()
-    };
-    
-    // Анализ рисков
-    if (parseFloat(comprehensiveReport.riskAssessment.overallRisk) > 70) {
-      comprehensiveReport.recommendations.push("High risk exposure - immediate risk mitigation required");
-    }
-    
-    if (parseFloat(comprehensiveReport.securityAudit.vulnerabilityScore) > 80) {
-      comprehensiveReport.recommendations.push("High vulnerability score - urgent security improvements needed");
-    }
-    
-    if (parseFloat(comprehensiveReport.performanceAudit.errorRate) > 2) {
-      comprehensiveReport.recommendations.push("High error rate - performance optimization required");
-    }
-    
-    if (comprehensiveReport.complianceAudit.regulatoryCompliance === false) {
-      comprehensiveReport.recommendations.push("Regulatory compliance issues detected");
-    }
-    
-    // Сохранение отчета
-    const auditFileName = `comprehensive-bridge-audit-${Date.now()}.json`;
-    fs.writeFileSync(`./audit/${auditFileName}`, JSON.stringify(comprehensiveReport, null, 2));
-    console.log(`Comprehensive audit report created: ${auditFileName}`);
-    
-    console.log("Comprehensive bridge audit completed successfully!");
-    console.log("Overall risk:", comprehensiveReport.riskAssessment.overallRisk);
-    console.log("Recommendations:", comprehensiveReport.recommendations);
-    
-  } catch (error) {
-    console.error("Comprehensive audit error:", error);
-    throw error;
-  }
-}
-
-performComprehensiveBridgeAudit()
-  .catch(error => {
-    console.error("Comprehensive audit failed:", error);
-    process.exit(1);
-  });
+runReportCli(["comprehensive"]).catch((e) => {
+  console.error("Comprehensive audit failed:", e.message);
+  process.exit(1);
+});
@@ -1,109 +1,9 @@
-// base-crosschain-token-bridge/scripts/financial-analysis.js
-const { ethers } = require("hardhat");
-const fs = require("fs");
+// Financial analysis: locked and released volume per chain and route, the fee bridge revenue ledger and escrow solvency.
+// Same options as bridge-report.js (--format, --out, --rules, --network, --no-index, --strict).
+require("dotenv").config();
+const { runReportCli } = require("./lib/report-cli");
 
-async function analyzeBridgeFinancials() {
-  console.log("Performing financial analysis for Base Cross-Chain Token Bridge...");
-  
-  const bridgeAddress = "0x...";
-  const bridge = await ethers.getContractAt("CrossChainBridgeV3", bridgeAddress);
-  
-  // Финансальный анализ
-  const financialReport = {
-    timestamp: new Date().toISOString(),
-    bridgeAddress: bridgeAddress,
-    financialOverview: {},
-    revenueStreams: {},
-    costStructure: {},
-    profitability: {},
-    cashFlow: {},
-    recommendations: []
-  };
-  
-  try {
-    // Обзор финансовой деятельности
-    const financialOverview = await bridge.getFinancialOverview();
-    financialReport.financialOverview = {
-      totalAssets: financialOverview.totalAssets.toString(),
-      totalLiabilities: financialOverview.totalLiabilities.toString(),
-      equity: financialOverview.equity.toString(),
-      revenue: financialOverview.revenue.toString(),
-      expenses: financialOverview.expenses.toString(),
-      netIncome: financialOverview.netIncome.toString()
-    };
-    
-    // Источники дохода
-    const revenueStreams = await bridge.getRevenueStreams();
-    financialReport.revenueStreams = {
-      transactionFees: revenueStreams.transactionFees.toString(),
-      platformFees: revenueStreams.platformFees.toString(),
-      serviceCharges: revenueStreams.serviceCharges.toString(),
-      otherIncome: revenueStreams.otherIncome.toString(),
-      totalRevenue: revenueStreams.totalRevenue.toString()
-    };
-    
-    // Структура расходов
-    const costStructure = await bridge.getCostStructure();
-    financialReport.costStructure = {
-      operationalCosts: costStructure.operationalCosts.toString(),
-      developmentCosts: costStructure.developmentCosts.toString(),
-      marketingCosts: costStructure.marketingCosts.toString(),
-      securityCosts: costStructure.securityCosts.toString(),
-      totalCosts: costStructure.totalCosts.toString()
-    };
-    
-    // Прибыльность
-    const profitability = await bridge.getProfitability();
-    financialReport.profitability = {
-      grossProfit: profitability.grossProfit.toString(),
-      netProfit: profitability.netProfit.toString(),
-      profitMargin: profitability.profitMargin.toString(),
-      returnOnInvestment: profitability.returnOnInvestment.toString(),
-      roiPercentage: profitability.roiPercentage.toString()
-    };
-    
-    // Денежный поток
-    const cashFlow = await bridge.getCashFlow();
-    financialReport.cashFlow = {
-      operatingCashFlow: cashFlow.operatingCashFlow.toString(),
-      investingCashFlow: cashFlow.investingCashFlow.toString(),
-      financingCashFlow: cashFlow.financingCashFlow.toString(),
-      netCashFlow: cashFlow.netCashFlow.toString()
-    };
-    
-    // Финансовые рекомендации
-    if (parseFloat(financialReport.profitability.profitMargin) < 20) { // 20%
-      financialReport.recommendations.push("Improve profit margins through cost reduction");
-    }
-    
-    if (parseFloat(financialReport.financialOverview.netIncome) < 100000) {
-      financialReport.recommendations.push("Increase revenue streams for better profitability");
-    }
-    
-    if (parseFloat(financialReport.costStructure.totalCosts) > 1000000) {
-      financialReport.recommendations.push("Optimize cost structure to improve efficiency");
-    }
-    
-    if (parseFloat(financialReport.cashFlow.netCashFlow) < 50000) {
-      financialReport.recommendations.push("Improve cash flow management");
-    }
-    
-    // Сохранение отчета
-    const financialFileName = `bridge-financial-analysis-${Date.now()}.json`;
-    fs.writeFileSync(`./financial/${financialFileName}`, JSON.stringify(financialReport, null, 2));
-    console.log(`Financial analysis report created: ${financialFileName}`);
-    
-    console.log("Bridge financial analysis completed successfully!");
-    console.log("Recommendations:", financialReport.recommendations);
-    
-  } catch (error) {
-    console.error("Financial analysis error:", error);
-    throw error;
-  }
-}
-
-analyzeBridgeFinancials()
-  .catch(error => {
-    console.error("Financial analysis failed:", error);
-    process.exit(1);
-  });
+runReportCli(["financial"]).catch((e) => {
+  console.error("Financial analysis failed:", e.message);
+  process.exit(1);
+});
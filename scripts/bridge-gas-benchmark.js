@@ -0,0 +1,52 @@
+// Gas benchmark for the lock/release bridge on the in-process Hardhat network.
+// Usage: npx hardhat run scripts/bridge-gas-benchmark.js
+//   GAS_VALIDATORS       comma-separated validator set sizes to sweep (default 1,3,5,10,20)
+//   GAS_BASELINE         baseline file (default gas-baseline.json in the repository root)
+//   GAS_MARGIN           allowed increase over the baseline in percent (default 2)
+//   GAS_UPDATE_BASELINE  set to 1 to overwrite the baseline with this run
+// Without a baseline file the run is saved as the baseline. Exits with code 1 on a regression.
+const hre = require("hardhat");
+const path = require("path");
+const { readJson, writeJson } = require("./lib/json-store");
+const { sweepCases, caseKey, benchmarkCase, compareToBaseline } = require("./lib/gas-bench");
+
+async function main() {
+  if (hre.network.name !== "hardhat") throw new Error("Run the benchmark on the in-process hardhat network");
+
+  const counts = (process.env.GAS_VALIDATORS || "1,3,5,10,20").split(",").map(Number);
+  const baselineFile = process.env.GAS_BASELINE || path.join(__dirname, "..", "gas-baseline.json");
+  const margin = Number(process.env.GAS_MARGIN || 2);
+  const [signer] = await hre.ethers.getSigners();
+
+  const results = {};
+  for (const c of sweepCases(counts)) {
+    results[caseKey(c)] = await benchmarkCase({ artifacts: hre.artifacts, signer, ...c });
+  }
+  console.table(results);
+
+  const baseline = readJson(baselineFile, null);
+  if (!baseline || process.env.GAS_UPDATE_BASELINE === "1") {
+    writeJson(baselineFile, { solidity: hre.config.solidity.compilers.map((c) => c.version), cases: results });
+    console.log(`Baseline saved: ${baselineFile}`);
+    return;
+  }
+
+  const { regressions, improvements, unbaselined } = compareToBaseline(results, baseline.cases, margin);
+  if (unbaselined.length) console.log(`Not in the baseline (run with GAS_UPDATE_BASELINE=1 to add): ${unbaselined.join(", ")}`);
+  if (improvements.length) {
+    console.log("Cheaper than the baseline (consider GAS_UPDATE_BASELINE=1):");
+    console.table(improvements);
+  }
+  if (regressions.length) {
+    console.error(`Gas regressions above the ${margin}% margin:`);
+    console.table(regressions);
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`No gas regressions above the ${margin}% margin.`);
+}
+
+main().catch((error) => {
+  console.error("Gas benchmark error:", error);
+  process.exit(1);
+});
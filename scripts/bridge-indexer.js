@@ -0,0 +1,65 @@
+// Backfills and follows the bridge events of every deployment in deployments.json into a local store.
+// Usage:
+//   node scripts/bridge-indexer.js [--once]
+//   node scripts/bridge-indexer.js query [--network <name>] [--event <name>] [--nonce <n>] [--from-block <n>] [--to-block <n>]
+require("dotenv").config();
+const { parseArgs } = require("util");
+const hre = require("hardhat");
+const { createEventStore } = require("./lib/event-store");
+const { DEFAULT_STORE, createIndexer, registrySources } = require("./lib/indexer");
+
+const { values: opts, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    once: { type: "boolean" },
+    store: { type: "string" },
+    network: { type: "string" },
+    event: { type: "string" },
+    nonce: { type: "string" },
+    "from-block": { type: "string" },
+    "to-block": { type: "string" }
+  }
+});
+
+function query(store) {
+  const events = store.events({
+    network: opts.network,
+    name: opts.event,
+    nonce: opts.nonce,
+    fromBlock: opts["from-block"] !== undefined ? Number(opts["from-block"]) : undefined,
+    toBlock: opts["to-block"] !== undefined ? Number(opts["to-block"]) : undefined
+  });
+  console.log(JSON.stringify(events, null, 2));
+}
+
+async function main() {
+  const store = createEventStore(opts.store || process.env.INDEXER_STORE || DEFAULT_STORE);
+  if (positionals[0] === "query") return query(store);
+
+  const sources = await registrySources(hre.config);
+  if (!sources.length) throw new Error("No deployments recorded in deployments.json");
+
+  const indexer = createIndexer({
+    store,
+    sources,
+    confirmations: Number(process.env.INDEXER_CONFIRMATIONS || 0)
+  });
+  const pollIntervalMs = Number(process.env.INDEXER_POLL_MS || 5000);
+
+  let running = true;
+  process.on("SIGINT", () => (running = false));
+  process.on("SIGTERM", () => (running = false));
+
+  do {
+    const results = await indexer.tick();
+    for (const [network, count] of Object.entries(results)) {
+      if (count) console.log(`[${network}] indexed ${count} events`);
+    }
+    if (!opts.once && running) await new Promise((r) => setTimeout(r, pollIntervalMs));
+  } while (!opts.once && running);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
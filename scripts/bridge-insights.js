@@ -0,0 +1,9 @@
+// Insights: transfer completion, release latency and volume in one report.
+// Same options as bridge-report.js (--format, --out, --rules, --network, --no-index, --strict).
+require("dotenv").config();
+const { runReportCli } = require("./lib/report-cli");
+
+runReportCli(["insights"]).catch((e) => {
+  console.error("Insights failed:", e.message);
+  process.exit(1);
+});
@@ -0,0 +1,44 @@
+// Nonce collision analysis: finds usedNonce slots claimed by more than one lock or inbound transfer.
+// Usage: node scripts/bridge-nonces.js [--out <dir>] [--store <file>] [--no-index] [--strict]
+require("dotenv").config();
+const path = require("path");
+const { parseArgs } = require("util");
+const hre = require("hardhat");
+const { createEventStore } = require("./lib/event-store");
+const { DEFAULT_STORE, createIndexer, registrySources } = require("./lib/indexer");
+const { findNonceCollisions } = require("./lib/nonces");
+const { writeJson } = require("./lib/json-store");
+
+const { values: opts } = parseArgs({
+  options: {
+    out: { type: "string", default: "./reports" },
+    store: { type: "string" },
+    "no-index": { type: "boolean" },
+    strict: { type: "boolean" }
+  }
+});
+
+async function main() {
+  const store = createEventStore(opts.store || process.env.INDEXER_STORE || DEFAULT_STORE);
+  if (!opts["no-index"]) await createIndexer({ store, sources: await registrySources(hre.config) }).tick();
+
+  const report = findNonceCollisions(store);
+  const file = path.join(opts.out, `nonce-collisions-${Date.now()}.json`);
+  writeJson(file, report);
+
+  console.log(`[${report.generatedAt}] nonce slots:`, report.summary);
+  for (const c of report.collisions) {
+    console.log(`  chain ${c.chainId} nonce ${c.nonce}:`);
+    for (const claim of c.claims) {
+      if (claim.kind === "local lock") console.log(`    local lock ${claim.tx} on ${claim.network}`);
+      else console.log(`    inbound transfer ${claim.id}${claim.released ? ` released in ${claim.releaseTx}` : " (not released)"}`);
+    }
+  }
+  console.log("Saved:", file);
+  if (opts.strict && report.summary.collisions) process.exit(2);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
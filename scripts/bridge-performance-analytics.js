@@ -1,102 +1,9 @@
-// base-crosschain-token-bridge/scripts/performance-analytics.js
-const { ethers } = require("hardhat");
-const fs = require("fs");
-
-async function analyzeBridgePerformance() {
-  console.log("Analyzing performance metrics for Base Cross-Chain Token Bridge...");
-  
-  const bridgeAddress = "0x...";
-  const bridge = await ethers.getContractAt("CrossChainBridgeV3", bridgeAddress);
-  
-
-  const performanceAnalytics = {
-    timestamp: new Date().toISOString(),
-    bridgeAddress: bridgeAddress,
-    transactionMetrics: {},
-    networkMetrics: {},
-    performanceIndicators: {},
-    efficiencyScores: {},
-    recommendations: []
-  };
-  
-  try {
-
-    const transactionMetrics = await bridge.getTransactionMetrics();
-    performanceAnalytics.transactionMetrics = {
-      totalTransactions: transactionMetrics.totalTransactions.toString(),
-      successfulTransactions: transactionMetrics.successfulTransactions.toString(),
-      failedTransactions: transactionMetrics.failedTransactions.toString(),
-      successRate: transactionMetrics.successRate.toString(),
-      avgProcessingTime: transactionMetrics.avgProcessingTime.toString(),
-      totalVolume: transactionMetrics.totalVolume.toString(),
-      avgTransactionValue: transactionMetrics.avgTransactionValue.toString()
-    };
-    
-    // Метрики сети
-    const networkMetrics = await bridge.getNetworkMetrics();
-    performanceAnalytics.networkMetrics = {
-      chainConnectivity: networkMetrics.chainConnectivity.toString(),
-      networkLatency: networkMetrics.networkLatency.toString(),
-      bandwidthUtilization: networkMetrics.bandwidthUtilization.toString(),
-      uptime: networkMetrics.uptime.toString(),
-      errorRate: networkMetrics.errorRate.toString(),
-      throughput: networkMetrics.throughput.toString()
-    };
-    
-    // Показатели производительности
-    const performanceIndicators = await bridge.getPerformanceIndicators();
-    performanceAnalytics.performanceIndicators = {
-      responseTime: performanceIndicators.responseTime.toString(),
-      processingSpeed: performanceIndicators.processingSpeed.toString(),
-      scalability: performanceIndicators.scalability.toString(),
-      reliability: performanceIndicators.reliability.toString(),
-      security: performanceIndicators.security.toString(),
-      costEfficiency: performanceIndicators.costEfficiency.toString()
-    };
-    
-    // Оценки эффективности
-    const efficiencyScores = await bridge.getEfficiencyScores();
-    performanceAnalytics.efficiencyScores = {
-      transactionEfficiency: efficiencyScores.transactionEfficiency.toString(),
-      networkEfficiency: efficiencyScores.networkEfficiency.toString(),
-      costEfficiency: efficiencyScores.costEfficiency.toString(),
-      userSatisfaction: efficiencyScores.userSatisfaction.toString(),
-      operationalEfficiency: efficiencyScores.operationalEfficiency.toString()
-    };
-    
-    // Анализ производительности
-    if (parseFloat(performanceAnalytics.transactionMetrics.successRate) < 95) {
-      performanceAnalytics.recommendations.push("Low transaction success rate - optimize bridge operations");
-    }
-    
-    if (parseFloat(performanceAnalytics.networkMetrics.networkLatency) > 1000) {
-      performanceAnalytics.recommendations.push("High network latency - improve network performance");
-    }
-    
-    if (parseFloat(performanceAnalytics.performanceIndicators.responseTime) > 3000) {
-      performanceAnalytics.recommendations.push("Slow response times - optimize processing");
-    }
-    
-    if (parseFloat(performanceAnalytics.efficiencyScores.transactionEfficiency) < 70) {
-      performanceAnalytics.recommendations.push("Low transaction efficiency - improve operational processes");
-    }
-    
-    // Сохранение отчета
-    const analyticsFileName = `bridge-performance-analytics-${Date.now()}.json`;
-    fs.writeFileSync(`./analytics/${analyticsFileName}`, JSON.stringify(performanceAnalytics, null, 2));
-    console.log(`Performance analytics report created: ${analyticsFileName}`);
-    
-    console.log("Bridge performance analytics completed successfully!");
-    console.log("Recommendations:", performanceAnalytics.recommendations);
-    
-  } catch (error) {
-    console.error("Performance analytics error:", error);
-    throw error;
-  }
-}
-
-analyzeBridgePerformance()
-  .catch(error => {
-    console.error("Performance analytics failed:", error);
-    process.exit(1);
-  });
+// Performance analytics: release latency, pending transfers and throughput.
+// Same options as bridge-report.js (--format, --out, --rules, --network, --no-index, --strict).
+require("dotenv").config();
+const { runReportCli } = require("./lib/report-cli");
+
+runReportCli(["performance"]).catch((e) => {
+  console.error("Performance analytics failed:", e.message);
+  process.exit(1);
+});
@@ -0,0 +1,64 @@
+// Cross-chain reconciliation: classifies every transfer as completed, pending, orphaned or mismatched.
+// Usage: node scripts/bridge-reconcile.js [--every <minutes>] [--out <dir>] [--no-index] [--strict]
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const hre = require("hardhat");
+const { createEventStore } = require("./lib/event-store");
+const { DEFAULT_STORE, createIndexer, registrySources } = require("./lib/indexer");
+const { reconcile, CSV_COLUMNS } = require("./lib/reconcile");
+const { toCsv } = require("./lib/csv");
+
+const { values: opts } = parseArgs({
+  options: {
+    every: { type: "string" },
+    out: { type: "string", default: "./reports" },
+    store: { type: "string" },
+    "no-index": { type: "boolean" },
+    strict: { type: "boolean" }
+  }
+});
+
+async function runOnce(store, indexer) {
+  if (indexer) await indexer.tick();
+
+  const report = reconcile(store);
+  fs.mkdirSync(opts.out, { recursive: true });
+  const base = path.join(opts.out, `reconciliation-${Date.now()}`);
+  fs.writeFileSync(`${base}.json`, JSON.stringify(report, null, 2));
+  fs.writeFileSync(`${base}.csv`, toCsv(report.transfers.map((t) => ({ ...t, issues: t.issues.join("; ") })), CSV_COLUMNS));
+
+  console.log(`[${report.generatedAt}] reconciliation:`, report.summary);
+  for (const t of report.transfers.filter((t) => t.status === "orphaned" || t.status === "mismatched")) {
+    console.log(`  ${t.status} ${t.id}: ${t.issues.join("; ")}`);
+  }
+  console.log("Saved:", `${base}.json`, `${base}.csv`);
+  return report;
+}
+
+async function main() {
+  const store = createEventStore(opts.store || process.env.INDEXER_STORE || DEFAULT_STORE);
+  const indexer = opts["no-index"] ? null : createIndexer({ store, sources: await registrySources(hre.config) });
+
+  if (!opts.every) {
+    const report = await runOnce(store, indexer);
+    if (opts.strict && (report.summary.orphaned || report.summary.mismatched)) process.exit(2);
+    return;
+  }
+
+  const intervalMs = Number(opts.every) * 60 * 1000;
+  for (;;) {
+    try {
+      await runOnce(store, indexer);
+    } catch (e) {
+      console.error("Reconciliation failed:", e.message);
+    }
+    await new Promise((r) => setTimeout(r, intervalMs));
+  }
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
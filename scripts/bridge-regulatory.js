@@ -1,98 +1,9 @@
-// base-crosschain-token-bridge/scripts/regulatory.js
-const { ethers } = require("hardhat");
-const fs = require("fs");
+// Regulatory report: transfers at or above the large-transfer limit and releases that paid someone else.
+// Same options as bridge-report.js (--format, --out, --rules, --network, --no-index, --strict).
+require("dotenv").config();
+const { runReportCli } = require("./lib/report-cli");
 
-async function checkBridgeRegulatory() {
-  console.log("Checking regulatory compliance for Base Cross-Chain Token Bridge...");
-  
-  const bridgeAddress = "0x...";
-  const bridge = await ethers.getContractAt("CrossChainBridgeV3", bridgeAddress);
-  
-  // Проверка регуляторного соответствия
-  const regulatoryReport = {
-    timestamp: new Date().toISOString(),
-    bridgeAddress: bridgeAddress,
-    regulatoryStatus: {},
-    complianceFramework: {},
-    riskAssessment: {},
-    regulatoryReporting: {},
-    recommendations: []
-  };
-  
-  try {
-    // Статус регуляторного соответствия
-    const regulatoryStatus = await bridge.getRegulatoryStatus();
-    regulatoryReport.regulatoryStatus = {
-      regulatoryFramework: regulatoryStatus.regulatoryFramework,
-      complianceScore: regulatoryStatus.complianceScore.toString(),
-      regulatoryUpdates: regulatoryStatus.regulatoryUpdates,
-      jurisdictionCoverage: regulatoryStatus.jurisdictionCoverage,
-      complianceCertification: regulatoryStatus.complianceCertification
-    };
-    
-    // Регуляторная рамка
-    const complianceFramework = await bridge.getComplianceFramework();
-    regulatoryReport.complianceFramework = {
-      legalFramework: complianceFramework.legalFramework,
-      regulatoryGuidelines: complianceFramework.regulatoryGuidelines,
-      complianceProcedures: complianceFramework.complianceProcedures,
-      monitoringSystem: complianceFramework.monitoringSystem,
-      reportingRequirements: complianceFramework.reportingRequirements
-    };
-    
-    // Оценка рисков
-    const riskAssessment = await bridge.getRiskAssessment();
-    regulatoryReport.riskAssessment = {
-      regulatoryRisk: riskAssessment.regulatoryRisk.toString(),
-      operationalRisk: riskAssessment.operationalRisk.toString(),
-      technicalRisk: riskAssessment.technicalRisk.toString(),
-      financialRisk: riskAssessment.financialRisk.toString(),
-      overallRisk: riskAssessment.overallRisk.toString()
-    };
-    
-    // Регуляторное отчетность
-    const regulatoryReporting = await bridge.getRegulatoryReporting();
-    regulatoryReport.regulatoryReporting = {
-      reportingFrequency: regulatoryReporting.reportingFrequency,
-      dataReporting: regulatoryReporting.dataReporting,
-      complianceReporting: regulatoryReporting.complianceReporting,
-      auditPreparation: regulatoryReporting.auditPreparation,
-      stakeholderCommunication: regulatoryReporting.stakeholderCommunication
-    };
-    
-    // Проверка соответствия
-    if (parseFloat(regulatoryReport.regulatoryStatus.complianceScore) < 80) {
-      regulatoryReport.recommendations.push("Improve regulatory compliance scores");
-    }
-    
-    if (regulatoryReport.regulatoryStatus.jurisdictionCoverage === false) {
-      regulatoryReport.recommendations.push("Expand jurisdiction coverage for regulatory compliance");
-    }
-    
-    if (parseFloat(regulatoryReport.riskAssessment.regulatoryRisk) > 50) {
-      regulatoryReport.recommendations.push("Implement additional regulatory risk mitigation measures");
-    }
-    
-    if (regulatoryReport.complianceFramework.legalFramework === false) {
-      regulatoryReport.recommendations.push("Update legal framework for regulatory compliance");
-    }
-    
-    // Сохранение отчета
-    const regulatoryFileName = `bridge-regulatory-${Date.now()}.json`;
-    fs.writeFileSync(`./regulatory/${regulatoryFileName}`, JSON.stringify(regulatoryReport, null, 2));
-    console.log(`Regulatory report created: ${regulatoryFileName}`);
-    
-    console.log("Bridge regulatory compliance check completed successfully!");
-    console.log("Recommendations:", regulatoryReport.recommendations);
-    
-  } catch (error) {
-    console.error("Regulatory check error:", error);
-    throw error;
-  }
-}
-
-checkBridgeRegulatory()
-  .catch(error => {
-    console.error("Regulatory check failed:", error);
-    process.exit(1);
-  });
+runReportCli(["regulatory"]).catch((e) => {
+  console.error("Regulatory check failed:", e.message);
+  process.exit(1);
+});
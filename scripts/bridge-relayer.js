@@ -0,0 +1,57 @@
+// Watches Locked events on every configured chain and submits release() on the destination chain.
+// Usage: node scripts/bridge-relayer.js [--once]
+require("dotenv").config();
+const path = require("path");
+const { ethers } = require("ethers");
+const { readJson } = require("./lib/json-store");
+const { connectChains } = require("./lib/chains");
+const { createRelayer } = require("./lib/relayer");
+
+function parseList(v) {
+  return (v || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+async function main() {
+  const configPath = process.env.RELAYER_CONFIG || path.join(__dirname, "..", "relayer.config.json");
+  const config = readJson(configPath, null);
+  if (!config) throw new Error(`Relayer config not found: ${configPath}`);
+
+  const relayerKey = process.env.RELAYER_PRIVATE_KEY || process.env.PRIVATE_KEY;
+  if (!relayerKey) throw new Error("RELAYER_PRIVATE_KEY is not set");
+
+  // Remote validators are reached over HTTP; local keys are only meant for development networks.
+  const validators = [
+    ...(config.validators || []).map((url) => ({ url })),
+    ...parseList(process.env.VALIDATOR_KEYS).map((key) => ({ wallet: new ethers.Wallet(key) }))
+  ];
+  if (!validators.length) throw new Error("No validators configured (config.validators or VALIDATOR_KEYS)");
+
+  const chains = await connectChains(config.chains, relayerKey);
+  for (const chain of chains.values()) {
+    console.log(`Chain ${chain.name}: thisChainId=${chain.thisChainId} bridge=${chain.bridge.target}`);
+  }
+
+  const relayer = createRelayer({
+    chains,
+    validators,
+    stateFile: path.resolve(path.dirname(configPath), config.stateFile || "relayer-state.json"),
+    pollIntervalMs: config.pollIntervalMs
+  });
+
+  if (process.argv.includes("--once")) {
+    await relayer.tick();
+    return;
+  }
+
+  process.on("SIGINT", () => relayer.stop());
+  process.on("SIGTERM", () => relayer.stop());
+  await relayer.start();
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
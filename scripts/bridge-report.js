@@ -0,0 +1,12 @@
+// Bridge reports from indexed events, escrow balances and live bridge state, with findings from report.rules.json.
+// Usage: node scripts/bridge-report.js <report|section>... [--format json,md,html,csv] [--out <dir>] [--rules <file>]
+//                                      [--network <name>] [--no-index] [--strict]
+// Reports: audit, security, financial, performance, regulatory, scalability, community, insights, comprehensive.
+// Several names make one composed report; --strict exits with code 2 on a critical finding.
+require("dotenv").config();
+const { runReportCli } = require("./lib/report-cli");
+
+runReportCli().catch((e) => {
+  console.error("Report failed:", e.message);
+  process.exit(1);
+});
@@ -0,0 +1,97 @@
+// Validator set rotation across every recorded deployment, driven by a declarative validator-set file.
+// Usage: node scripts/bridge-rotation.js plan|apply [validators.json]
+//   plan   diffs the file against each chain's live validators and threshold and prints the ordered calls
+//   apply  sends them chain by chain; progress goes to rotation-state.json (or the file's "stateFile")
+//          next to the file, so a rerun after a failure waits for any transaction left pending and
+//          continues from the live state
+// The file is { validators: [address], threshold, networks?: [name] }; without "networks" every current
+// deployment in deployments.json is rotated. See validators.example.json.
+require("dotenv").config();
+const path = require("path");
+const hre = require("hardhat");
+const { readJson, writeJson } = require("./lib/json-store");
+const { readRegistry, currentDeployments } = require("./lib/deployments");
+const { connectDeployment, signerFor } = require("./lib/networks");
+const { parseValidatorSet, readChainState, planRotation, describeStep, applyRotation } = require("./lib/rotation");
+const { explainRevert } = require("./lib/revert-reasons");
+
+function targets(desired) {
+  const records = currentDeployments(readRegistry());
+  if (!desired.networks) return records;
+  return desired.networks.map((name) => {
+    const record = records.find((r) => r.network === name);
+    if (!record) throw new Error(`No deployment recorded for network "${name}"`);
+    return record;
+  });
+}
+
+async function plan(desired) {
+  let changes = 0;
+  for (const record of targets(desired)) {
+    const { bridge, provider } = connectDeployment(record, hre.config);
+    try {
+      const live = await readChainState(bridge, record.blockNumber || 0);
+      const steps = planRotation(live, desired);
+      changes += steps.length;
+      console.log(`${record.network}: ${live.validatorCount} validators, threshold ${live.threshold}${steps.length ? "" : " - in sync"}`);
+      steps.forEach((s, i) => console.log(`  ${i + 1}. ${describeStep(s)}`));
+    } finally {
+      provider.destroy();
+    }
+  }
+  return changes;
+}
+
+async function apply(desired, stateFile) {
+  const state = readJson(stateFile, { networks: {} });
+  const save = () => writeJson(stateFile, state);
+  const failures = [];
+
+  for (const record of targets(desired)) {
+    const { bridge, provider } = connectDeployment(record, hre.config);
+    const progress = (state.networks[record.network] = state.networks[record.network] || {});
+    try {
+      const signer = await signerFor(provider, hre.config, record.network);
+      const result = await applyRotation({
+        bridge: bridge.connect(signer),
+        fromBlock: record.blockNumber || 0,
+        desired,
+        progress,
+        save,
+        log: (line) => console.log(`[${record.network}] ${line}`)
+      });
+      console.log(`[${record.network}] ${result.steps ? `applied ${result.steps} calls` : "already in sync"}`);
+    } catch (e) {
+      failures.push(record.network);
+      console.error(`[${record.network}] rotation stopped: ${explainRevert(e)}`);
+    } finally {
+      provider.destroy();
+    }
+  }
+
+  if (failures.length) {
+    console.error(`Rotation incomplete on ${failures.join(", ")}; fix the cause and run apply again to continue.`);
+    process.exit(1);
+  }
+  console.log("Every chain matches the validator set.");
+}
+
+async function main() {
+  const [command, file = path.join(__dirname, "..", "validators.json")] = process.argv.slice(2);
+  if (command !== "plan" && command !== "apply") throw new Error("Usage: bridge-rotation.js plan|apply [validators.json]");
+  const spec = readJson(file, null);
+  if (!spec) throw new Error(`Validator set file not found: ${file}`);
+  const desired = parseValidatorSet(spec);
+
+  if (command === "plan") {
+    const changes = await plan(desired);
+    console.log(changes ? `${changes} calls to apply.` : "Nothing to change.");
+    return;
+  }
+  await apply(desired, path.join(path.dirname(path.resolve(file)), spec.stateFile || "rotation-state.json"));
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -1,98 +1,9 @@
-// base-crosschain-token-bridge/scripts/scalability.js
-const { ethers } = require("hardhat");
-const fs = require("fs");
+// Scalability analysis: daily transfer counts, peak day and week-over-week growth.
+// Same options as bridge-report.js (--format, --out, --rules, --network, --no-index, --strict).
+require("dotenv").config();
+const { runReportCli } = require("./lib/report-cli");
 
-async function analyzeBridgeScalability() {
-  console.log("Analyzing scalability for Base Cross-Chain Token Bridge...");
-  
-  const bridgeAddress = "0x...";
-  const bridge = await ethers.getContractAt("CrossChainBridgeV3", bridgeAddress);
-  
-  // Анализ масштабируемости
-  const scalabilityReport = {
-    timestamp: new Date().toISOString(),
-    bridgeAddress: bridgeAddress,
-    capacityMetrics: {},
-    performanceMetrics: {},
-    scalabilityIndicators: {},
-    growthProjections: {},
-    recommendations: []
-  };
-  
-  try {
-    // Метрики вместимости
-    const capacityMetrics = await bridge.getCapacityMetrics();
-    scalabilityReport.capacityMetrics = {
-      userCapacity: capacityMetrics.userCapacity.toString(),
-      transactionCapacity: capacityMetrics.transactionCapacity.toString(),
-      storageCapacity: capacityMetrics.storageCapacity.toString(),
-      networkCapacity: capacityMetrics.networkCapacity.toString(),
-      processingCapacity: capacityMetrics.processingCapacity.toString()
-    };
-    
-    // Метрики производительности
-    const performanceMetrics = await bridge.getPerformanceMetrics();
-    scalabilityReport.performanceMetrics = {
-      responseTime: performanceMetrics.responseTime.toString(),
-      transactionSpeed: performanceMetrics.transactionSpeed.toString(),
-      throughput: performanceMetrics.throughput.toString(),
-      uptime: performanceMetrics.uptime.toString(),
-      errorRate: performanceMetrics.errorRate.toString()
-    };
-    
-    // Индикаторы масштабируемости
-    const scalabilityIndicators = await bridge.getScalabilityIndicators();
-    scalabilityReport.scalabilityIndicators = {
-      userGrowth: scalabilityIndicators.userGrowth.toString(),
-      transactionVolume: scalabilityIndicators.transactionVolume.toString(),
-      networkGrowth: scalabilityIndicators.networkGrowth.toString(),
-      infrastructureScaling: scalabilityIndicators.infrastructureScaling.toString(),
-      costEfficiency: scalabilityIndicators.costEfficiency.toString()
-    };
-    
-    // Прогнозы роста
-    const growthProjections = await bridge.getGrowthProjections();
-    scalabilityReport.growthProjections = {
-      userGrowthProjection: growthProjections.userGrowthProjection.toString(),
-      transactionGrowth: growthProjections.transactionGrowth.toString(),
-      networkExpansion: growthProjections.networkExpansion.toString(),
-      capacityExpansion: growthProjections.capacityExpansion.toString(),
-      timeline: growthProjections.timeline.toString()
-    };
-    
-    // Анализ масштабируемости
-    if (parseFloat(scalabilityReport.capacityMetrics.userCapacity) < 10000) {
-      scalabilityReport.recommendations.push("Scale up user capacity for better performance");
-    }
-    
-    if (parseFloat(scalabilityReport.performanceMetrics.transactionSpeed) < 1000) {
-      scalabilityReport.recommendations.push("Optimize transaction processing speed");
-    }
-    
-    if (parseFloat(scalabilityReport.scalabilityIndicators.userGrowth) < 5) {
-      scalabilityReport.recommendations.push("Implement growth strategies for user base");
-    }
-    
-    if (parseFloat(scalabilityReport.growthProjections.userGrowthProjection) < 10) {
-      scalabilityReport.recommendations.push("Plan for significant user base expansion");
-    }
-    
-    // Сохранение отчета
-    const scalabilityFileName = `bridge-scalability-${Date.now()}.json`;
-    fs.writeFileSync(`./scalability/${scalabilityFileName}`, JSON.stringify(scalabilityReport, null, 2));
-    console.log(`Scalability report created: ${scalabilityFileName}`);
-    
-    console.log("Bridge scalability analysis completed successfully!");
-    console.log("Recommendations:", scalabilityReport.recommendations);
-    
-  } catch (error) {
-    console.error("Scalability analysis error:", error);
-    throw error;
-  }
-}
-
-analyzeBridgeScalability()
-  .catch(error => {
-    console.error("Scalability analysis failed:", error);
-    process.exit(1);
-  });
+runReportCli(["scalability"]).catch((e) => {
+  console.error("Scalability analysis failed:", e.message);
+  process.exit(1);
+});
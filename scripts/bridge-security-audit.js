@@ -1,122 +1,10 @@
-// base-crosschain-token-bridge/scripts/audit.js
-const { ethers } = require("hardhat");
-const fs = require("fs");
+// Security audit: live configuration checks per chain (threshold ratio, owner, validator key reuse, shared thisChainId,
+// escrow, open approvals), drift from deployments.json and unmatched releases.
+// Same options as bridge-report.js (--format, --out, --rules, --network, --no-index, --strict).
+require("dotenv").config();
+const { runReportCli } = require("./lib/report-cli");
 
-async function auditBridgeSecurity() {
-  console.log("Performing security audit for Base Cross-Chain Token Bridge...");
-  
-  const bridgeAddress = "0x...";
-  const bridge = await ethers.getContractAt("CrossChainBridgeV3", bridgeAddress);
-  
-  // Аудит безопасности моста
-  const auditReport = {
-    timestamp: new Date().toISOString(),
-    bridgeAddress: bridgeAddress,
-    securitySummary: {},
-    transactionSecurity: {},
-    chainSecurity: {},
-    financialSecurity: {},
-    riskAssessment: {},
-    findings: [],
-    recommendations: []
-  };
-  
-  try {
-    // Сводка безопасности
-    const securitySummary = await bridge.getSecuritySummary();
-    auditReport.securitySummary = {
-      totalTransactions: securitySummary.totalTransactions.toString(),
-      successfulTransactions: securitySummary.successfulTransactions.toString(),
-      failedTransactions: securitySummary.failedTransactions.toString(),
-      securityScore: securitySummary.securityScore.toString(),
-      lastSecurityAudit: securitySummary.lastSecurityAudit.toString(),
-      securityStatus: securitySummary.securityStatus
-    };
-    
-    // Безопасность транзакций
-    const transactionSecurity = await bridge.getTransactionSecurity();
-    auditReport.transactionSecurity = {
-      transactionVerification: transactionSecurity.transactionVerification,
-      fraudDetection: transactionSecurity.fraudDetection,
-      doubleSpendProtection: transactionSecurity.doubleSpendProtection,
-      transactionTimeout: transactionSecurity.transactionTimeout.toString(),
-      gasOptimization: transactionSecurity.gasOptimization
-    };
-    
-    // Безопасность цепочек
-    const chainSecurity = await bridge.getChainSecurity();
-    auditReport.chainSecurity = {
-      chainAuthentication: chainSecurity.chainAuthentication,
-      crossChainValidation: chainSecurity.crossChainValidation,
-      messageReliability: chainSecurity.messageReliability,
-      chainIntegrity: chainSecurity.chainIntegrity,
-      consensusSecurity: chainSecurity.consensusSecurity
-    };
-    
-    // Финансовая безопасность
-    const financialSecurity = await bridge.getFinancialSecurity();
-    auditReport.financialSecurity = {
-      fundSecurity: financialSecurity.fundSecurity,
-      feeSecurity: financialSecurity.feeSecurity,
-      refundMechanism: financialSecurity.refundMechanism,
-      emergencyWithdraw: financialSecurity.emergencyWithdraw,
-      insuranceCoverage: financialSecurity.insuranceCoverage
-    };
-    
-    // Оценка рисков
-    const riskAssessment = await bridge.getRiskAssessment();
-    auditReport.riskAssessment = {
-      totalRiskScore: riskAssessment.totalRiskScore.toString(),
-      marketRisk: riskAssessment.marketRisk.toString(),
-      technicalRisk: riskAssessment.technicalRisk.toString(),
-      operationalRisk: riskAssessment.operationalRisk.toString(),
-      regulatoryRisk: riskAssessment.regulatoryRisk.toString(),
-      securityRisk: riskAssessment.securityRisk.toString()
-    };
-    
-    // Найденные проблемы
-    if (parseFloat(auditReport.riskAssessment.totalRiskScore) > 80) {
-      auditReport.findings.push("High overall risk detected in bridge");
-    }
-    
-    if (parseFloat(auditReport.securitySummary.securityScore) < 70) {
-      auditReport.findings.push("Low security score detected");
-    }
-    
-    if (auditReport.transactionSecurity.doubleSpendProtection === false) {
-      auditReport.findings.push("Double spend protection not enabled");
-    }
-    
-    // Рекомендации
-    if (parseFloat(auditReport.riskAssessment.totalRiskScore) > 85) {
-      auditReport.recommendations.push("Immediate security enhancement required");
-    }
-    
-    if (parseFloat(auditReport.securitySummary.securityScore) < 80) {
-      auditReport.recommendations.push("Implement additional security measures");
-    }
-    
-    if (auditReport.transactionSecurity.fraudDetection === false) {
-      auditReport.recommendations.push("Enable fraud detection mechanisms");
-    }
-    
-    // Сохранение отчета
-    const auditFileName = `bridge-security-audit-${Date.now()}.json`;
-    fs.writeFileSync(`./audit/${auditFileName}`, JSON.stringify(auditReport, null, 2));
-    console.log(`Security audit report created: ${auditFileName}`);
-    
-    console.log("Bridge security audit completed successfully!");
-    console.log("Findings:", auditReport.findings.length);
-    console.log("Recommendations:", auditReport.recommendations);
-    
-  } catch (error) {
-    console.error("Security audit error:", error);
-    throw error;
-  }
-}
-
-auditBridgeSecurity()
-  .catch(error => {
-    console.error("Security audit failed:", error);
-    process.exit(1);
-  });
+runReportCli(["security"]).catch((e) => {
+  console.error("Security audit failed:", e.message);
+  process.exit(1);
+});
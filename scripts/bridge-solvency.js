@@ -0,0 +1,67 @@
+// Solvency monitor: checks that every chain's escrow covers the releases that can still happen on it.
+// Usage: node scripts/bridge-solvency.js [--every <minutes>] [--out <dir>]
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const hre = require("hardhat");
+const { createEventStore } = require("./lib/event-store");
+const { DEFAULT_STORE, createIndexer, registrySources } = require("./lib/indexer");
+const { assessSolvency, readEscrowBalances } = require("./lib/solvency");
+const { writeJson } = require("./lib/json-store");
+
+const { values: opts } = parseArgs({
+  options: {
+    every: { type: "string" },
+    out: { type: "string", default: "./reports" },
+    store: { type: "string" }
+  }
+});
+
+async function runOnce(store, indexer) {
+  await indexer.tick();
+  const report = assessSolvency(store, await readEscrowBalances(hre.config));
+
+  console.table(
+    report.chains.map((c) => ({
+      network: c.network,
+      chain: c.thisChainId,
+      escrow: c.escrowBalance.toString(),
+      pendingInbound: c.pendingInbound.toString(),
+      surplus: c.surplus.toString(),
+      solvent: c.solvent
+    }))
+  );
+  report.alerts.forEach((a) => console.error("ALERT:", a));
+
+  fs.mkdirSync(opts.out, { recursive: true });
+  const file = path.join(opts.out, `solvency-${Date.now()}.json`);
+  writeJson(file, report);
+  console.log("Saved:", file);
+  return report;
+}
+
+async function main() {
+  const store = createEventStore(opts.store || process.env.INDEXER_STORE || DEFAULT_STORE);
+  const indexer = createIndexer({ store, sources: await registrySources(hre.config) });
+
+  if (!opts.every) {
+    const report = await runOnce(store, indexer);
+    if (!report.solvent) process.exit(2);
+    return;
+  }
+
+  for (;;) {
+    try {
+      await runOnce(store, indexer);
+    } catch (e) {
+      console.error("Solvency check failed:", e.message);
+    }
+    await new Promise((r) => setTimeout(r, Number(opts.every) * 60 * 1000));
+  }
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -1,124 +1,140 @@
 // base-crosschain-token-bridge/scripts/simulation.js
+// Drives real approve + lock traffic against the bridge deployed on a local network.
+// Usage: SIM_PROFILES=high,peak SIM_DURATION=30 npx hardhat run scripts/bridge-traffic-simulation.js --network localhost
+//   SIM_PROFILES   comma-separated: high, low, peak, stable, custom (default: the four named profiles)
+//   SIM_CURVE      JSON file with [[seconds, txPerMinute], ...] for the custom profile
+//   SIM_DURATION   seconds per profile (default 30)
+//   SIM_ACCOUNTS   number of funded sender accounts (default 20)
 const { ethers } = require("hardhat");
 const fs = require("fs");
+const { getDeployment } = require("./lib/deployments");
+const { deployBridge } = require("./lib/deployer");
+const { BRIDGE_ABI } = require("./lib/abi");
+const { PROFILES, normalizeCurve, prepareAccounts, runLoad, summarize } = require("./lib/load");
+
+const SCENARIO_KEYS = { high: "highTraffic", low: "lowTraffic", peak: "peakTraffic", stable: "stableTraffic", custom: "customTraffic" };
+
+async function resolveDeployment(deployer) {
+  try {
+    return getDeployment(hre.network.name);
+  } catch (e) {
+    if (hre.network.name !== "hardhat") throw e;
+    // The in-process network starts empty on every run.
+    return deployBridge({
+      artifacts: hre.artifacts,
+      signer: deployer,
+      network: hre.network.name,
+      thisChainId: 1,
+      validators: [deployer.address],
+      threshold: 1
+    });
+  }
+}
 
 async function simulateBridgeTraffic() {
   console.log("Simulating Base Cross-Chain Token Bridge traffic...");
-  
-  const bridgeAddress = "0x...";
-  const bridge = await ethers.getContractAt("CrossChainBridgeV3", bridgeAddress);
-  
+
+  const [deployer] = await ethers.getSigners();
+  const deployment = await resolveDeployment(deployer);
+  const bridgeAddress = deployment.contracts.CrossChainTokenBridge;
+  const bridge = await ethers.getContractAt(BRIDGE_ABI, bridgeAddress);
+  const toChainId = (await bridge.thisChainId()) + 1n;
+
+  const profiles = (process.env.SIM_PROFILES || "high,low,peak,stable").split(",").map((s) => s.trim());
+  const durationSec = Number(process.env.SIM_DURATION || 30);
+  const amount = ethers.parseEther(process.env.SIM_AMOUNT || "100");
+
+  const { wallets, approveGas } = await prepareAccounts({
+    funder: deployer,
+    bridgeAddress,
+    tokenAddress: deployment.contracts.Token,
+    count: Number(process.env.SIM_ACCOUNTS || 20),
+    tokensEach: amount * 100000n,
+    ethEach: ethers.parseEther("10")
+  });
+  console.log(`Prepared ${wallets.length} funded accounts`);
+
   // Симуляция различных сценариев
   const simulation = {
     timestamp: new Date().toISOString(),
     bridgeAddress: bridgeAddress,
+    network: hre.network.name,
     scenarios: {},
     results: {},
     trafficMetrics: {},
     recommendations: []
   };
-  
-  // Сценарий 1: Высокий трафик
-  const highTrafficScenario = await simulateHighTraffic(bridge);
-  simulation.scenarios.highTraffic = highTrafficScenario;
-  
-  // Сценарий 2: Низкий трафик
-  const lowTrafficScenario = await simulateLowTraffic(bridge);
-  simulation.scenarios.lowTraffic = lowTrafficScenario;
-  
-  // Сценарий 3: Пиковый трафик
-  const peakTrafficScenario = await simulatePeakTraffic(bridge);
-  simulation.scenarios.peakTraffic = peakTrafficScenario;
-  
-  // Сценарий 4: Стабильный трафик
-  const stableTrafficScenario = await simulateStableTraffic(bridge);
-  simulation.scenarios.stableTraffic = stableTrafficScenario;
-  
-  // Результаты симуляции
-  simulation.results = {
-    highTraffic: calculateTrafficResult(highTrafficScenario),
-    lowTraffic: calculateTrafficResult(lowTrafficScenario),
-    peakTraffic: calculateTrafficResult(peakTrafficScenario),
-    stableTraffic: calculateTrafficResult(stableTrafficScenario)
-  };
-  
+
+  for (const name of profiles) {
+    const profile = name === "custom" ? customProfile() : PROFILES[name];
+    if (!profile) throw new Error(`Unknown profile "${name}"`);
+
+    console.log(`Running ${profile.description} for ${durationSec}s...`);
+    const run = await runLoad({ bridgeAddress, wallets, curve: profile.curve, durationSec, toChainId, amount });
+    const key = SCENARIO_KEYS[name];
+    simulation.scenarios[key] = {
+      description: profile.description,
+      ...summarize(run, profile.curve),
+      timestamp: new Date().toISOString()
+    };
+    simulation.results[key] = calculateTrafficResult(simulation.scenarios[key]);
+  }
+
   // Метрики трафика
-  simulation.trafficMetrics = {
-    transactionsPerMinute: 1000,
-    totalVolume: ethers.utils.parseEther("100000"),
-    avgTransactionSize: ethers.utils.parseEther("100"),
-    successRate: 98,
-    avgProcessingTime: 2500, // 2.5 секунды
-    networkLatency: 1500 // 1.5 секунды
-  };
-  
+  simulation.trafficMetrics = aggregateMetrics(Object.values(simulation.scenarios), approveGas);
+
   // Рекомендации
   if (simulation.trafficMetrics.successRate > 95) {
     simulation.recommendations.push("Maintain current processing capacity");
   }
-  
+
   if (simulation.trafficMetrics.avgProcessingTime > 3000) {
     simulation.recommendations.push("Optimize processing times");
   }
-  
+
+  for (const [key, scenario] of Object.entries(simulation.scenarios)) {
+    if (scenario.transactionsPerMinute < scenario.targetTransactionsPerMinute * 0.9) {
+      simulation.recommendations.push(`${key}: achieved ${scenario.transactionsPerMinute} tx/min of ${scenario.targetTransactionsPerMinute} targeted`);
+    }
+  }
+
   // Сохранение симуляции
   const fileName = `bridge-traffic-simulation-${Date.now()}.json`;
+  fs.mkdirSync("./simulation", { recursive: true });
   fs.writeFileSync(`./simulation/${fileName}`, JSON.stringify(simulation, null, 2));
-  
+
   console.log("Bridge traffic simulation completed successfully!");
   console.log("File saved:", fileName);
   console.log("Recommendations:", simulation.recommendations);
 }
 
-async function simulateHighTraffic(bridge) {
-  return {
-    description: "High traffic scenario",
-    transactionsPerMinute: 1000,
-    totalVolume: ethers.utils.parseEther("100000"),
-    avgTransactionSize: ethers.utils.parseEther("100"),
-    successRate: 98,
-    avgProcessingTime: 2500,
-    networkLatency: 1500,
-    timestamp: new Date().toISOString()
-  };
+function customProfile() {
+  if (!process.env.SIM_CURVE) throw new Error("SIM_CURVE must point to a JSON file for the custom profile");
+  const points = JSON.parse(fs.readFileSync(process.env.SIM_CURVE, "utf8"));
+  return { description: "Custom traffic scenario", curve: normalizeCurve(points) };
 }
 
-async function simulateLowTraffic(bridge) {
-  return {
-    description: "Low traffic scenario",
-    transactionsPerMinute: 100,
-    totalVolume: ethers.utils.parseEther("10000"),
-    avgTransactionSize: ethers.utils.parseEther("100"),
-    successRate: 99,
-    avgProcessingTime: 1000,
-    networkLatency: 500,
-    timestamp: new Date().toISOString()
-  };
-}
-
-async function simulatePeakTraffic(bridge) {
-  return {
-    description: "Peak traffic scenario",
-    transactionsPerMinute: 1500,
-    totalVolume: ethers.utils.parseEther("150000"),
-    avgTransactionSize: ethers.utils.parseEther("100"),
-    successRate: 95,
-    avgProcessingTime: 3000,
-    networkLatency: 2000,
-    timestamp: new Date().toISOString()
-  };
-}
+function aggregateMetrics(scenarios, approveGas) {
+  const sent = scenarios.reduce((a, s) => a + s.sent, 0);
+  const confirmed = scenarios.reduce((a, s) => a + s.confirmed, 0);
+  const duration = scenarios.reduce((a, s) => a + s.durationSeconds, 0);
+  const volume = scenarios.reduce((a, s) => a + BigInt(s.totalVolume), 0n);
+  const weighted = (pick) => (confirmed ? Math.round(scenarios.reduce((a, s) => a + pick(s) * s.confirmed, 0) / confirmed) : 0);
+  const reverts = {};
+  for (const s of scenarios) {
+    for (const [reason, count] of Object.entries(s.reverts)) reverts[reason] = (reverts[reason] || 0) + count;
+  }
 
-async function simulateStableTraffic(bridge) {
   return {
-    description: "Stable traffic scenario",
-    transactionsPerMinute: 800,
-    totalVolume: ethers.utils.parseEther("80000"),
-    avgTransactionSize: ethers.utils.parseEther("100"),
-    successRate: 97,
-    avgProcessingTime: 2000,
-    networkLatency: 1000,
-    timestamp: new Date().toISOString()
+    transactionsPerMinute: duration ? Number(((confirmed / duration) * 60).toFixed(1)) : 0,
+    totalVolume: volume.toString(),
+    avgTransactionSize: confirmed ? (volume / BigInt(confirmed)).toString() : "0",
+    successRate: sent ? Number(((confirmed / sent) * 100).toFixed(2)) : 0,
+    avgProcessingTime: weighted((s) => s.avgProcessingTime),
+    networkLatency: Math.round(scenarios.reduce((a, s) => a + s.networkLatency, 0) / (scenarios.length || 1)),
+    gasPerLock: weighted((s) => s.gasPerLock.avg),
+    gasPerApprove: approveGas.length ? Math.round(approveGas.reduce((a, b) => a + b, 0) / approveGas.length) : 0,
+    reverts
   };
 }
 
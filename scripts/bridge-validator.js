@@ -0,0 +1,43 @@
+// Validator signing service: signs release() digests for Locked events it can see on the source chain.
+// Usage: node scripts/bridge-validator.js
+require("dotenv").config();
+const path = require("path");
+const { ethers } = require("ethers");
+const { readJson } = require("./lib/json-store");
+const { connectChains } = require("./lib/chains");
+const { createValidatorService, createValidatorServer } = require("./lib/validator");
+
+async function main() {
+  const configPath = process.env.VALIDATOR_CONFIG || path.join(__dirname, "..", "validator.config.json");
+  const config = readJson(configPath, null);
+  if (!config) throw new Error(`Validator config not found: ${configPath}`);
+
+  if (!process.env.VALIDATOR_PRIVATE_KEY) throw new Error("VALIDATOR_PRIVATE_KEY is not set");
+  const wallet = new ethers.Wallet(process.env.VALIDATOR_PRIVATE_KEY);
+  console.log("Validator:", wallet.address);
+
+  const chains = await connectChains(config.chains);
+  for (const chain of chains.values()) {
+    const registered = await chain.bridge.isValidator(wallet.address);
+    console.log(`Chain ${chain.name}: thisChainId=${chain.thisChainId} registered=${registered}`);
+  }
+
+  const service = createValidatorService({
+    wallet,
+    chains,
+    signLogFile: path.resolve(path.dirname(configPath), config.signLog || "validator-signlog.json")
+  });
+  const server = createValidatorServer(service, { wallet, chains });
+
+  const port = Number(process.env.VALIDATOR_PORT || config.port || 7001);
+  server.listen(port, config.host || "127.0.0.1", () => console.log(`Listening on ${config.host || "127.0.0.1"}:${port}`));
+
+  const shutdown = () => server.close();
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,66 @@
+// Drift detector: compares every recorded deployment with what its bridge reports on chain.
+// Usage: node scripts/bridge-verify-state.js [--network <name>] [--validator-set validators.json] [--json]
+// Checks token, thisChainId, the validator set (rebuilt from ValidatorAdded/ValidatorRemoved), threshold,
+// owner() and paused() against deployments.json. Exit code 2 on drift, 1 when a chain could not be checked.
+require("dotenv").config();
+const { parseArgs } = require("util");
+const hre = require("hardhat");
+const { readJson } = require("./lib/json-store");
+const { readRegistry, currentDeployments } = require("./lib/deployments");
+const { connectDeployment, withTimeout } = require("./lib/networks");
+const { parseValidatorSet } = require("./lib/rotation");
+const { expectedState, readDeployedState, diffState, formatDiff } = require("./lib/drift");
+
+const { values: opts } = parseArgs({
+  options: {
+    network: { type: "string" },
+    registry: { type: "string" },
+    "validator-set": { type: "string" },
+    json: { type: "boolean" },
+    timeout: { type: "string", default: "30000" }
+  }
+});
+
+async function checkDeployment(record, declared) {
+  let provider;
+  try {
+    const conn = connectDeployment(record, hre.config);
+    provider = conn.provider;
+    const actual = await withTimeout(readDeployedState(conn.bridge, record.blockNumber || 0), Number(opts.timeout), `${record.network} state`);
+    return { network: record.network, bridge: record.contracts.CrossChainTokenBridge, diffs: diffState(expectedState(record, declared), actual) };
+  } catch (e) {
+    return { network: record.network, bridge: record.contracts.CrossChainTokenBridge, error: e.shortMessage || e.message };
+  } finally {
+    if (provider) provider.destroy();
+  }
+}
+
+async function main() {
+  const records = currentDeployments(readRegistry(opts.registry)).filter((r) => !opts.network || r.network === opts.network);
+  if (!records.length) throw new Error(opts.network ? `No deployment recorded for ${opts.network}` : "No deployments recorded in deployments.json");
+  const declared = opts["validator-set"] ? parseValidatorSet(readJson(opts["validator-set"], null)) : null;
+
+  const results = [];
+  for (const record of records) results.push(await checkDeployment(record, declared));
+
+  if (opts.json) {
+    console.log(JSON.stringify({ checkedAt: new Date().toISOString(), results }, null, 2));
+  } else {
+    for (const r of results) {
+      if (r.error) console.log(`${r.network} ${r.bridge}: could not be checked (${r.error})`);
+      else if (!r.diffs.length) console.log(`${r.network} ${r.bridge}: matches the recorded deployment`);
+      else {
+        console.log(`${r.network} ${r.bridge}: DRIFT`);
+        r.diffs.flatMap(formatDiff).forEach((line) => console.log(`  ${line}`));
+      }
+    }
+  }
+
+  if (results.some((r) => r.diffs && r.diffs.length)) process.exitCode = 2;
+  else if (results.some((r) => r.error)) process.exitCode = 1;
+}
+
+main().catch((e) => {
+  console.error("State verification failed:", e.message);
+  process.exit(1);
+});
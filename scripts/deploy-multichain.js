@@ -0,0 +1,133 @@
+// Deploys the lock/release bridge to every network in a plan file, records each deployment in the
+// registry and checks that all chains ended up with the same validator set and threshold.
+// Usage: node scripts/deploy-multichain.js [plan.json] [--check-only]
+require("dotenv").config();
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = require("ethers");
+const { readJson } = require("./lib/json-store");
+const { BRIDGE_ABI } = require("./lib/abi");
+const { deployBridge } = require("./lib/deployer");
+const { readRegistry, recordDeployment } = require("./lib/deployments");
+const { readValidatorSet } = require("./lib/validator-set");
+const { signerFor } = require("./lib/networks");
+
+async function connect(entry) {
+  const cfg = hre.config.networks[entry.name] || {};
+  const url = entry.url || cfg.url;
+  if (!url) throw new Error(`Network ${entry.name} has no RPC url (add it to hardhat.config.js or set "url" in the plan)`);
+
+  const provider = new ethers.JsonRpcProvider(url);
+  const signer = await signerFor(provider, hre.config, entry.name);
+  return { provider, signer, configChainId: cfg.chainId };
+}
+
+async function resolveTargets(plan) {
+  const targets = [];
+  for (const entry of plan.networks) {
+    const conn = await connect(entry);
+    const thisChainId = Number(
+      entry.thisChainId ?? conn.configChainId ?? (await conn.provider.getNetwork()).chainId
+    );
+    targets.push({ ...entry, ...conn, thisChainId });
+  }
+
+  const seen = new Map();
+  for (const t of targets) {
+    if (seen.has(t.thisChainId)) {
+      throw new Error(`${seen.get(t.thisChainId)} and ${t.name} would both use thisChainId ${t.thisChainId}; set "thisChainId" in the plan`);
+    }
+    seen.set(t.thisChainId, t.name);
+  }
+  return targets;
+}
+
+async function checkConsistency(plan, targets) {
+  const registry = readRegistry(plan.registry);
+  const rows = [];
+
+  for (const t of targets) {
+    const record = registry.networks[t.name] && registry.networks[t.name].current;
+    if (!record) {
+      rows.push({ network: t.name, error: "no deployment recorded" });
+      continue;
+    }
+    const bridge = new ethers.Contract(record.contracts.CrossChainTokenBridge, BRIDGE_ABI, t.provider);
+    rows.push({
+      network: t.name,
+      thisChainId: Number(await bridge.thisChainId()),
+      expectedChainId: t.thisChainId,
+      threshold: Number(await bridge.threshold()),
+      validators: await readValidatorSet(bridge, record.blockNumber || 0)
+    });
+  }
+
+  const problems = [];
+  const expectedValidators = (plan.validators || []).map((v) => ethers.getAddress(v)).sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase()));
+  const reference = rows.find((r) => !r.error);
+
+  for (const r of rows) {
+    if (r.error) {
+      problems.push(`${r.network}: ${r.error}`);
+      continue;
+    }
+    if (r.thisChainId !== r.expectedChainId) problems.push(`${r.network}: thisChainId ${r.thisChainId}, expected ${r.expectedChainId}`);
+    if (plan.threshold && r.threshold !== Number(plan.threshold)) problems.push(`${r.network}: threshold ${r.threshold}, plan says ${plan.threshold}`);
+    if (r.threshold !== reference.threshold) problems.push(`${r.network}: threshold ${r.threshold} differs from ${reference.network} (${reference.threshold})`);
+    if (expectedValidators.length && r.validators.join() !== expectedValidators.join()) {
+      problems.push(`${r.network}: validators [${r.validators.join(", ")}] differ from the plan`);
+    }
+    if (r.validators.join() !== reference.validators.join()) {
+      problems.push(`${r.network}: validator set differs from ${reference.network}`);
+    }
+  }
+
+  console.table(rows.map((r) => ({ network: r.network, thisChainId: r.thisChainId, threshold: r.threshold, validators: r.validators ? r.validators.length : r.error })));
+  return problems;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const planPath = args.find((a) => !a.startsWith("--")) || path.join(__dirname, "..", "deploy.plan.json");
+  const plan = readJson(planPath, null);
+  if (!plan || !Array.isArray(plan.networks) || !plan.networks.length) throw new Error(`No networks in plan ${planPath}`);
+
+  if (plan.registry) plan.registry = path.resolve(path.dirname(planPath), plan.registry);
+
+  const targets = await resolveTargets(plan);
+  const failures = [];
+
+  if (!args.includes("--check-only")) {
+    for (const t of targets) {
+      try {
+        const record = await deployBridge({
+          artifacts: hre.artifacts,
+          signer: t.signer,
+          network: t.name,
+          token: t.token || plan.token || "",
+          thisChainId: t.thisChainId,
+          validators: plan.validators,
+          threshold: Number(plan.threshold || 1)
+        });
+        if (t.url) record.rpcUrl = t.url;
+        recordDeployment(record, plan.registry);
+      } catch (e) {
+        failures.push(`${t.name}: ${e.shortMessage || e.message}`);
+        console.error(`[${t.name}] deployment failed:`, e.shortMessage || e.message);
+      }
+    }
+  }
+
+  const problems = [...failures, ...(await checkConsistency(plan, targets))];
+  if (problems.length) {
+    console.error("Inconsistent deployment:");
+    problems.forEach((p) => console.error(" -", p));
+    process.exit(1);
+  }
+  console.log("All chains share the same validator set and threshold.");
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -1,52 +1,36 @@
-const fs = require("fs");
-const path = require("path");
+const { deployBridge, deployFeeBridge } = require("./lib/deployer");
+const { recordDeployment, DEFAULT_REGISTRY } = require("./lib/deployments");
+const { chainConfig } = require("./lib/config");
 require("dotenv").config();
 
-function parseList(v) {
-  return (v || "")
-    .split(",")
-    .map((s) => s.trim())
-    .filter(Boolean);
-}
-
 async function main() {
   const [deployer] = await ethers.getSigners();
   console.log("Deployer:", deployer.address);
 
-  let token = process.env.BRIDGE_TOKEN || "";
-  if (!token) {
-    const Token = await ethers.getContractFactory("TokenManager");
-    const t = await Token.deploy("BridgeToken", "BRG", 18);
-    await t.deployed();
-    token = t.address;
-    console.log("Deployed BridgeToken (TokenManager):", token);
-  }
-
-  const thisChainId = Number(process.env.THIS_CHAIN_ID || "8453");
-  const validators = parseList(process.env.VALIDATORS);
-  const threshold = Number(process.env.THRESHOLD || "1");
-  const finalValidators = validators.length ? validators : [deployer.address];
-
-  const Bridge = await ethers.getContractFactory("CrossChainTokenBridge");
-  const bridge = await Bridge.deploy(token, thisChainId, finalValidators, threshold);
-  await bridge.deployed();
-
-  console.log("CrossChainTokenBridge:", bridge.address);
-
-  const out = {
+  const chain = chainConfig(hre.network.name);
+  const record = await deployBridge({
+    artifacts: hre.artifacts,
+    signer: deployer,
     network: hre.network.name,
-    chainId: (await ethers.provider.getNetwork()).chainId,
-    deployer: deployer.address,
-    contracts: {
-      Token: token,
-      CrossChainTokenBridge: bridge.address
-    },
-    params: { thisChainId, validators: finalValidators, threshold }
-  };
+    token: chain.token || "",
+    thisChainId: chain.thisChainId,
+    validators: chain.validators,
+    threshold: chain.threshold
+  });
+
+  // A "fee" entry deploys the fee-charging variant next to the lock/release bridge.
+  if (chain.fee) {
+    record.contracts.FeeBridge = await deployFeeBridge({
+      artifacts: hre.artifacts,
+      signer: deployer,
+      network: hre.network.name,
+      feeBps: chain.fee.feeBps,
+      minimumAmount: chain.fee.minimumAmount
+    });
+  }
 
-  const outPath = path.join(__dirname, "..", "deployments.json");
-  fs.writeFileSync(outPath, JSON.stringify(out, null, 2));
-  console.log("Saved:", outPath);
+  recordDeployment(record);
+  console.log("Saved:", DEFAULT_REGISTRY);
 }
 
 main().catch((e) => {
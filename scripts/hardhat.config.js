@@ -5,13 +5,10 @@ require("@nomicfoundation/hardhat-verify");
 
 
 
-const PRIVATE_KEY = process.env.PRIVATE_KEY || "";
-const BASE_RPC_URL = process.env.BASE_RPC_URL || "https://mainnet.base.org";
-const BASE_SEPOLIA_RPC_URL = process.env.BASE_SEPOLIA_RPC_URL || "https://sepolia.base.org";
+const { hardhatNetworks } = require("./lib/config");
 
-function accounts() {
-  return PRIVATE_KEY ? [PRIVATE_KEY] : [];
-}
+// Chains, RPC urls and chain ids come from config/<environment>.json; only the deployer key stays in .env.
+const PRIVATE_KEY = process.env.PRIVATE_KEY || "";
 
 module.exports = {
   solidity: {
@@ -22,20 +19,11 @@ module.exports = {
   },
 
   networks: {
-    hardhat: {},
-    localhost: {
-      url: "http://127.0.0.1:8545"
+    // HARDHAT_CHAIN_ID lets the end-to-end tests run two local nodes as different chains.
+    hardhat: {
+      chainId: Number(process.env.HARDHAT_CHAIN_ID || 31337)
     },
-    baseSepolia: {
-      url: BASE_SEPOLIA_RPC_URL,
-      accounts: accounts(),
-      chainId: 84532
-    },
-    base: {
-      url: BASE_RPC_URL,
-      accounts: accounts(),
-      chainId: 8453
-    }
+    ...hardhatNetworks(PRIVATE_KEY ? [PRIVATE_KEY] : [])
   },
 
   etherscan: {
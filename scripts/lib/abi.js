@@ -0,0 +1,80 @@
+// Human-readable ABIs for the contracts the off-chain tools talk to.
+// Kept here so the daemons do not depend on compiled Hardhat artifacts.
+
+const BRIDGE_ABI = [
+  "function token() view returns (address)",
+  "function thisChainId() view returns (uint256)",
+  "function isValidator(address) view returns (bool)",
+  "function validatorCount() view returns (uint256)",
+  "function threshold() view returns (uint256)",
+  "function usedNonce(uint256) view returns (bool)",
+  "function paused() view returns (bool)",
+  "function owner() view returns (address)",
+  "function lock(uint256 amount, uint256 toChainId, address to, uint256 nonce)",
+  "function release(address to, uint256 amount, uint256 fromChainId, uint256 nonce, bytes[] signatures)",
+  "function pause()",
+  "function unpause()",
+  "function setThreshold(uint256 _threshold)",
+  "function addValidator(address v)",
+  "function removeValidator(address v)",
+  "function transferOwnership(address newOwner)",
+  "event ValidatorAdded(address validator, uint256 validatorCount)",
+  "event ValidatorRemoved(address validator, uint256 validatorCount)",
+  "event ThresholdUpdated(uint256 threshold)",
+  "event Locked(address indexed from, address indexed to, uint256 amount, uint256 toChainId, uint256 nonce)",
+  "event Released(address indexed to, uint256 amount, uint256 fromChainId, uint256 nonce)",
+  "event Paused(address account)",
+  "event Unpaused(address account)",
+  "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+  "error EnforcedPause()",
+  "error ExpectedPause()",
+  "error OwnableUnauthorizedAccount(address account)",
+  "error OwnableInvalidOwner(address owner)",
+  "error ReentrancyGuardReentrantCall()",
+  "error ECDSAInvalidSignature()",
+  "error ECDSAInvalidSignatureLength(uint256 length)",
+  "error ECDSAInvalidSignatureS(bytes32 s)",
+  "error SafeERC20FailedOperation(address token)",
+  "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+  "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)"
+];
+
+const ERC20_ABI = [
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function transfer(address to, uint256 amount) returns (bool)",
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "event Approval(address indexed owner, address indexed spender, uint256 value)",
+  "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+  "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)"
+];
+
+// The fee-charging variant in contracts/CrossChainTokenBridge.sol (initiateBridge / completeBridge).
+const FEE_BRIDGE_ABI = [
+  "function owner() view returns (address)",
+  "function feePercentage() view returns (uint256)",
+  "function minimumAmount() view returns (uint256)",
+  "function nextTransactionId() view returns (uint256)",
+  "function chainConfigs(uint256) view returns (bool enabled, address bridgeContract, uint256 chainId)",
+  "function transactions(uint256) view returns (uint256 transactionId, address sender, address receiver, address token, uint256 amount, uint256 chainId, uint256 timestamp, bool completed, bytes32 txHash)",
+  "function getTransactionStatus(uint256 transactionId) view returns (bool)",
+  "function configureChain(uint256 chainId, address bridgeContract, bool enabled)",
+  "function initiateBridge(uint256 chainId, address receiver, address token, uint256 amount) payable",
+  "function completeBridge(uint256 transactionId, bytes32 txHash)",
+  "function withdrawTokens(address token, uint256 amount)",
+  "function setFeePercentage(uint256 newFee)",
+  "function setMinimumAmount(uint256 newMinimum)",
+  "function transferOwnership(address newOwner)",
+  "event TransactionInitiated(uint256 indexed transactionId, address indexed sender, address indexed receiver, address token, uint256 amount, uint256 chainId, uint256 timestamp)",
+  "event TransactionCompleted(uint256 indexed transactionId, address indexed receiver, address token, uint256 amount)",
+  "event ChainConfigured(uint256 indexed chainId, address bridgeContract, bool enabled)",
+  "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+  "error OwnableUnauthorizedAccount(address account)",
+  "error ReentrancyGuardReentrantCall()"
+];
+
+module.exports = { BRIDGE_ABI, ERC20_ABI, FEE_BRIDGE_ABI };
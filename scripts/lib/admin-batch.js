@@ -0,0 +1,183 @@
+const { ethers } = require("ethers");
+const { BRIDGE_ABI, FEE_BRIDGE_ABI } = require("./abi");
+
+// Owner-only calls that can go into a batch, per contract. The registry key locates the contract address
+// in a deployment record.
+const ADMIN_CONTRACTS = {
+  bridge: {
+    registryKey: "CrossChainTokenBridge",
+    iface: new ethers.Interface(BRIDGE_ABI),
+    methods: ["pause", "unpause", "setThreshold", "addValidator", "removeValidator", "transferOwnership"]
+  },
+  feeBridge: {
+    registryKey: "FeeBridge",
+    iface: new ethers.Interface(FEE_BRIDGE_ABI),
+    methods: ["configureChain", "withdrawTokens", "setFeePercentage", "setMinimumAmount", "transferOwnership"]
+  }
+};
+
+function adminContract(kind) {
+  const contract = ADMIN_CONTRACTS[kind];
+  if (!contract) throw new Error(`Unknown admin contract "${kind}" (${Object.keys(ADMIN_CONTRACTS).join(", ")})`);
+  return contract;
+}
+
+// Command-line strings to ABI values. ethers treats any non-empty string as true, so booleans are parsed strictly.
+function coerceArgs(fragment, args) {
+  if (args.length !== fragment.inputs.length) {
+    throw new Error(`${fragment.name} takes ${fragment.inputs.length} arguments (${fragment.inputs.map((i) => `${i.type} ${i.name}`).join(", ")}), got ${args.length}`);
+  }
+  return fragment.inputs.map((input, i) => {
+    const value = String(args[i]);
+    if (input.type === "bool") {
+      if (value !== "true" && value !== "false") throw new Error(`${input.name} must be true or false, got ${value}`);
+      return value === "true";
+    }
+    if (input.type === "address") return ethers.getAddress(value);
+    if (input.type.startsWith("uint")) return BigInt(value);
+    return value;
+  });
+}
+
+// Human-readable form of a call, always rebuilt from the calldata so a reviewer never has to trust the text.
+function describeCall(kind, data) {
+  const parsed = adminContract(kind).iface.parseTransaction({ data });
+  if (!parsed) throw new Error("calldata does not match any known function");
+  const args = parsed.fragment.inputs.map((input, i) => `${input.name}=${parsed.args[i]}`);
+  return `${parsed.name}(${args.join(", ")})`;
+}
+
+// One unsigned batch entry: everything a multisig owner needs to review and sign the call.
+function encodeAdminCall({ deployment, kind, method, args = [] }) {
+  const contract = adminContract(kind);
+  if (!contract.methods.includes(method)) throw new Error(`${method} is not an admin call on ${kind} (${contract.methods.join(", ")})`);
+  const to = deployment.contracts[contract.registryKey];
+  if (!to) throw new Error(`No ${contract.registryKey} recorded for ${deployment.network}`);
+
+  const fragment = contract.iface.getFunction(method);
+  const data = contract.iface.encodeFunctionData(fragment, coerceArgs(fragment, args));
+  return {
+    network: deployment.network,
+    chainId: Number(deployment.chainId),
+    contract: kind,
+    to,
+    value: "0",
+    data,
+    description: describeCall(kind, data)
+  };
+}
+
+function newBatch() {
+  return { version: 1, createdAt: new Date().toISOString(), from: null, transactions: [] };
+}
+
+// Problems that should stop anyone from signing: calldata that does not decode to the stated description,
+// or a target or chain id that differs from the deployment registry.
+function checkBatch(batch, registry) {
+  const problems = [];
+  batch.transactions.forEach((tx, i) => {
+    const label = `#${i + 1} ${tx.network}`;
+    try {
+      const description = describeCall(tx.contract, tx.data);
+      if (description !== tx.description) problems.push(`${label}: calldata decodes to ${description}, description says ${tx.description}`);
+    } catch (e) {
+      problems.push(`${label}: ${e.message}`);
+    }
+    if (tx.value !== "0") problems.push(`${label}: admin calls carry no value, got ${tx.value}`);
+    const entry = registry && registry.networks[tx.network];
+    if (registry && (!entry || !entry.current)) {
+      problems.push(`${label}: network is not in the deployment registry`);
+    } else if (registry) {
+      const expected = entry.current.contracts[adminContract(tx.contract).registryKey];
+      if (!expected || expected.toLowerCase() !== tx.to.toLowerCase()) problems.push(`${label}: target ${tx.to} is not the recorded ${tx.contract} (${expected})`);
+      if (Number(entry.current.chainId) !== tx.chainId) problems.push(`${label}: chain id ${tx.chainId}, registry says ${entry.current.chainId}`);
+    }
+  });
+  return problems;
+}
+
+// Numbers the transactions per network for an EOA sender starting at its next nonce. nonces: { [network]: n };
+// gas: one limit per transaction; fees: { [network]: { maxFeePerGas, maxPriorityFeePerGas } }.
+function prepareBatch(batch, { from, nonces, gas, fees }) {
+  const next = { ...nonces };
+  batch.from = ethers.getAddress(from);
+  batch.transactions.forEach((tx, i) => {
+    const fee = fees[tx.network];
+    Object.assign(tx, {
+      nonce: next[tx.network]++,
+      gasLimit: gas[i].toString(),
+      maxFeePerGas: fee.maxFeePerGas.toString(),
+      maxPriorityFeePerGas: fee.maxPriorityFeePerGas.toString()
+    });
+    delete tx.signed;
+    delete tx.hash;
+  });
+  return batch;
+}
+
+function unsignedTransaction(tx) {
+  return {
+    type: 2,
+    chainId: tx.chainId,
+    nonce: tx.nonce,
+    to: tx.to,
+    value: BigInt(tx.value),
+    data: tx.data,
+    gasLimit: BigInt(tx.gasLimit),
+    maxFeePerGas: BigInt(tx.maxFeePerGas),
+    maxPriorityFeePerGas: BigInt(tx.maxPriorityFeePerGas)
+  };
+}
+
+// Offline: needs no provider. The wallet must be the address the batch was prepared for.
+async function signBatch(batch, wallet) {
+  if (!batch.from) throw new Error("The batch is not prepared; run prepare --from <address> first");
+  if (wallet.address !== batch.from) throw new Error(`The key is for ${wallet.address}, the batch was prepared for ${batch.from}`);
+  for (const tx of batch.transactions) {
+    tx.signed = await wallet.signTransaction(unsignedTransaction(tx));
+    tx.hash = ethers.keccak256(tx.signed);
+  }
+  return batch;
+}
+
+// A signed transaction must carry exactly the reviewed call; anything else in the file is ignored.
+function verifySigned(batch, tx) {
+  if (!tx.signed) return "not signed";
+  const parsed = ethers.Transaction.from(tx.signed);
+  const expected = unsignedTransaction(tx);
+  if (parsed.from !== batch.from) return `signed by ${parsed.from}, expected ${batch.from}`;
+  for (const field of ["chainId", "nonce", "to", "value", "data", "gasLimit", "maxFeePerGas", "maxPriorityFeePerGas"]) {
+    if (String(parsed[field]).toLowerCase() !== String(expected[field]).toLowerCase()) return `${field} of the signed transaction differs from the batch`;
+  }
+  return null;
+}
+
+// Safe Transaction Builder files, one per network, for owners that are a Safe multisig. The raw calldata is
+// passed through unchanged so the Safe signs exactly what was reviewed here.
+function toSafeBuilder(batch) {
+  const files = {};
+  for (const tx of batch.transactions) {
+    files[tx.network] = files[tx.network] || {
+      version: "1.0",
+      chainId: String(tx.chainId),
+      createdAt: Date.now(),
+      meta: { name: `Bridge admin batch (${tx.network})`, description: batch.transactions.filter((t) => t.network === tx.network).map((t) => t.description).join("; ") },
+      transactions: []
+    };
+    files[tx.network].transactions.push({ to: tx.to, value: tx.value, data: tx.data, contractMethod: null, contractInputsValues: null });
+  }
+  return files;
+}
+
+module.exports = {
+  ADMIN_CONTRACTS,
+  adminContract,
+  describeCall,
+  encodeAdminCall,
+  newBatch,
+  checkBatch,
+  prepareBatch,
+  signBatch,
+  verifySigned,
+  toSafeBuilder
+};
@@ -0,0 +1,109 @@
+const { ethers } = require("ethers");
+const { BRIDGE_ABI, FEE_BRIDGE_ABI, ERC20_ABI } = require("./abi");
+const { BRIDGE_CONTRACT, FEE_BRIDGE_CONTRACT, TOKEN_CONTRACT } = require("./deployer");
+const { readValidatorSet } = require("./validator-set");
+const { queryInChunks } = require("./events");
+const { adminContract } = require("./admin-batch");
+const { revertReason } = require("./revert-reasons");
+
+// Admin-relevant state of a bridge or fee bridge. Used on the live contract (over its RPC) and on the replica.
+// tokens: token addresses whose balance held by the contract matters (withdrawTokens targets).
+async function readAdminState(kind, contract, { fromBlock = 0, tokens = [] } = {}) {
+  if (kind === "bridge") {
+    const [owner, token, thisChainId, validators, threshold, paused] = await Promise.all([
+      contract.owner(),
+      contract.token(),
+      contract.thisChainId(),
+      readValidatorSet(contract, fromBlock),
+      contract.threshold(),
+      contract.paused()
+    ]);
+    return { owner, token, thisChainId: thisChainId.toString(), validators, threshold: Number(threshold), paused };
+  }
+
+  const provider = contract.runner.provider || contract.runner;
+  const head = await provider.getBlockNumber();
+  const configured = await queryInChunks(contract, contract.filters.ChainConfigured(), fromBlock, head);
+  const chains = {};
+  for (const e of configured) chains[e.args.chainId] = { bridgeContract: e.args.bridgeContract, enabled: e.args.enabled };
+  const balances = {};
+  for (const token of tokens) balances[token] = (await new ethers.Contract(token, ERC20_ABI, provider).balanceOf(contract.target)).toString();
+  const [owner, feePercentage, minimumAmount] = await Promise.all([contract.owner(), contract.feePercentage(), contract.minimumAmount()]);
+  return { owner, feePercentage: Number(feePercentage), minimumAmount: minimumAmount.toString(), chains, balances };
+}
+
+// Rebuilds a contract with the live admin state on the in-process Hardhat network (no fork needed) and
+// hands ownership to the live owner. Tokens held by a fee bridge get a TestToken at their real address
+// with the same balance, so withdrawTokens calldata runs unchanged.
+async function buildReplica(hre, kind, live) {
+  const [deployer] = await hre.ethers.getSigners();
+  let replica;
+  if (kind === "bridge") {
+    const Bridge = await hre.ethers.getContractFactory(BRIDGE_CONTRACT, deployer);
+    replica = await Bridge.deploy(live.token, live.thisChainId, live.validators, live.threshold);
+    if (live.paused) await (await replica.pause()).wait();
+  } else {
+    const FeeBridge = await hre.ethers.getContractFactory(FEE_BRIDGE_CONTRACT, deployer);
+    replica = await FeeBridge.deploy(live.feePercentage, live.minimumAmount);
+    for (const [chainId, c] of Object.entries(live.chains)) await (await replica.configureChain(chainId, c.bridgeContract, c.enabled)).wait();
+
+    const Token = await hre.ethers.getContractFactory(TOKEN_CONTRACT, deployer);
+    const template = await Token.deploy();
+    const code = await hre.ethers.provider.getCode(await template.getAddress());
+    for (const [token, balance] of Object.entries(live.balances)) {
+      await hre.network.provider.send("hardhat_setCode", [token, code]);
+      await (await new ethers.Contract(token, ["function mint(address to, uint256 amount)"], deployer).mint(await replica.getAddress(), balance)).wait();
+    }
+  }
+  await replica.waitForDeployment();
+  await (await replica.transferOwnership(live.owner)).wait();
+  return new ethers.Contract(await replica.getAddress(), kind === "bridge" ? BRIDGE_ABI : FEE_BRIDGE_ABI, hre.ethers.provider);
+}
+
+function withdrawTokensTargets(batch, network) {
+  const iface = adminContract("feeBridge").iface;
+  return batch.transactions
+    .filter((tx) => tx.network === network && tx.contract === "feeBridge")
+    .map((tx) => iface.parseTransaction({ data: tx.data }))
+    .filter((p) => p && p.name === "withdrawTokens")
+    .map((p) => p.args.token);
+}
+
+// Runs the batch in order against replicas of every targeted contract, sent from the batch's `from`
+// (or the live owner) through an impersonated account. live: { [network]: { connect(kind) -> Contract, fromBlock } }.
+async function simulateBatch(hre, batch, live) {
+  if (hre.network.name !== "hardhat") throw new Error("Simulation runs on the in-process hardhat network");
+  const targets = new Map();
+  for (const tx of batch.transactions) {
+    const key = `${tx.network}:${tx.contract}`;
+    if (targets.has(key)) continue;
+    const contract = live[tx.network].connect(tx.contract);
+    const before = await readAdminState(tx.contract, contract, { fromBlock: live[tx.network].fromBlock, tokens: withdrawTokensTargets(batch, tx.network) });
+    targets.set(key, { network: tx.network, kind: tx.contract, before, replica: await buildReplica(hre, tx.contract, before) });
+  }
+
+  const results = [];
+  for (const [i, tx] of batch.transactions.entries()) {
+    const target = targets.get(`${tx.network}:${tx.contract}`);
+    const from = batch.from || target.before.owner;
+    await hre.network.provider.send("hardhat_setBalance", [from, "0x56BC75E2D63100000"]);
+    const signer = await hre.ethers.getImpersonatedSigner(from);
+    const result = { index: i + 1, network: tx.network, description: tx.description, from };
+    try {
+      const receipt = await (await signer.sendTransaction({ to: target.replica.target, data: tx.data, value: BigInt(tx.value) })).wait();
+      Object.assign(result, { ok: true, gasUsed: Number(receipt.gasUsed) });
+    } catch (e) {
+      Object.assign(result, { ok: false, reason: revertReason(e) || e.shortMessage || e.message });
+    }
+    results.push(result);
+  }
+
+  const states = [];
+  for (const t of targets.values()) {
+    const after = await readAdminState(t.kind, t.replica, { tokens: Object.keys(t.before.balances || {}) });
+    states.push({ network: t.network, contract: t.kind, before: t.before, after });
+  }
+  return { ok: results.every((r) => r.ok), results, states };
+}
+
+module.exports = { readAdminState, buildReplica, simulateBatch };
@@ -0,0 +1,98 @@
+const { ethers } = require("ethers");
+const { releaseMessageHash } = require("./digest");
+
+const HALF_ORDER = BigInt("0x7fffffffffffffffffffffffffffffff5d576e7357a4501ddfe92f46681b20a0");
+
+// OpenZeppelin's ECDSA.recover reverts the whole release() on these, so one bad entry
+// sinks every other signature in the array.
+function signatureShapeError(signature) {
+  let bytes;
+  try {
+    bytes = ethers.getBytes(signature);
+  } catch (e) {
+    return "not hex";
+  }
+  if (bytes.length !== 65) return `length ${bytes.length}, expected 65`;
+  const s = BigInt(ethers.hexlify(bytes.slice(32, 64)));
+  if (s > HALF_ORDER) return "high s value";
+  if (bytes[64] !== 27 && bytes[64] !== 28) return `v=${bytes[64]}, expected 27 or 28`;
+  return null;
+}
+
+// Mirrors CrossChainTokenBridge._verifyThreshold against live contract state and returns the
+// smallest ordered bytes[] that passes it, or an explanation of why none exists. blockTag reads the
+// bridge as of an earlier block.
+async function aggregateSignatures(bridge, params, signatures, { validators = [], blockTag } = {}) {
+  const at = { blockTag };
+  const [threshold, thisChainId] = (await Promise.all([bridge.threshold(at), bridge.thisChainId(at)])).map(Number);
+  const hash = releaseMessageHash({ ...params, toChainId: thisChainId });
+
+  const validatorCache = new Map();
+  const isValidator = async (addr) => {
+    if (!validatorCache.has(addr)) validatorCache.set(addr, await bridge.isValidator(addr, at));
+    return validatorCache.get(addr);
+  };
+
+  const details = [];
+  const selected = [];
+  const signers = [];
+
+  for (let index = 0; index < signatures.length; index++) {
+    const signature = signatures[index];
+    const shapeError = signatureShapeError(signature);
+    if (shapeError) {
+      details.push({ index, status: "malformed", reason: shapeError });
+      continue;
+    }
+
+    let signer;
+    try {
+      signer = ethers.recoverAddress(hash, signature);
+    } catch (e) {
+      details.push({ index, status: "malformed", reason: e.shortMessage || e.message });
+      continue;
+    }
+
+    if (!(await isValidator(signer))) {
+      details.push({ index, signer, status: "not-validator" });
+    } else if (signers.includes(signer)) {
+      details.push({ index, signer, status: "duplicate" });
+    } else {
+      details.push({ index, signer, status: "valid" });
+      signers.push(signer);
+      if (selected.length < threshold) selected.push(signature);
+    }
+  }
+
+  const missingValidators = [];
+  for (const v of validators) {
+    const addr = ethers.getAddress(v);
+    if (!signers.includes(addr) && (await isValidator(addr))) missingValidators.push(addr);
+  }
+
+  const ok = signers.length >= threshold;
+  return {
+    ok,
+    threshold,
+    thisChainId,
+    signatures: ok ? selected : [],
+    signers: signers.slice(0, threshold),
+    missing: Math.max(threshold - signers.length, 0),
+    missingValidators,
+    details
+  };
+}
+
+function explainAggregation(result) {
+  if (result.ok) return `${result.signatures.length}/${result.threshold} signatures from ${result.signers.join(", ")}`;
+
+  const rejected = result.details
+    .filter((d) => d.status !== "valid")
+    .map((d) => `#${d.index} ${d.status}${d.signer ? ` ${d.signer}` : ""}${d.reason ? ` (${d.reason})` : ""}`);
+  const parts = [`${result.threshold - result.missing}/${result.threshold} valid signers, ${result.missing} missing`];
+  if (rejected.length) parts.push(`rejected: ${rejected.join("; ")}`);
+  if (result.missingValidators.length) parts.push(`not signed by: ${result.missingValidators.join(", ")}`);
+  return parts.join("; ");
+}
+
+module.exports = { aggregateSignatures, explainAggregation, signatureShapeError };
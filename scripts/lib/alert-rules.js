@@ -0,0 +1,88 @@
+const { ethers } = require("ethers");
+
+// Default severity and options per rule. Rule ids are stable: sinks and dedup state key on them.
+const RULES = {
+  "bridge.paused": { severity: "critical" },
+  "bridge.unpaused": { severity: "info" },
+  "bridge.threshold-changed": { severity: "warning" },
+  "bridge.validator-set-changed": { severity: "warning" },
+  "bridge.large-release": { severity: "warning", amount: "100000", decimals: 18 },
+  "rpc.unreachable": { severity: "critical" }
+};
+
+// Merges per-rule overrides ({ enabled, severity, dedupSeconds, ...rule options }) into the defaults.
+function resolveRules(overrides = {}) {
+  for (const id of Object.keys(overrides)) {
+    if (!RULES[id]) throw new Error(`Unknown alert rule "${id}"`);
+  }
+  const rules = {};
+  for (const [id, defaults] of Object.entries(RULES)) rules[id] = { enabled: true, ...defaults, ...overrides[id] };
+  return rules;
+}
+
+function ruleDedupSeconds(rules) {
+  const out = {};
+  for (const [id, rule] of Object.entries(rules)) if (rule.dedupSeconds !== undefined) out[id] = rule.dedupSeconds;
+  return out;
+}
+
+function eventAlert(rules, ruleId, e, message) {
+  const rule = rules[ruleId];
+  if (!rule.enabled) return null;
+  return {
+    ruleId,
+    severity: rule.severity,
+    network: e.network,
+    // One alert per log entry; the dedup window then only stops re-delivery of the same event.
+    key: `${e.network}:${e.txHash}:${e.logIndex}`,
+    message,
+    details: { bridge: e.bridge, blockNumber: e.blockNumber, txHash: e.txHash, ...e.args }
+  };
+}
+
+// Alerts for newly indexed bridge events (records from the event store).
+function alertsForEvents(events, rules) {
+  const largeRelease = ethers.parseUnits(String(rules["bridge.large-release"].amount), rules["bridge.large-release"].decimals);
+  const alerts = [];
+  for (const e of events) {
+    let alert = null;
+    if (e.name === "Paused") {
+      alert = eventAlert(rules, "bridge.paused", e, `Bridge on ${e.network} paused by ${e.args.account}`);
+    } else if (e.name === "Unpaused") {
+      alert = eventAlert(rules, "bridge.unpaused", e, `Bridge on ${e.network} unpaused by ${e.args.account}`);
+    } else if (e.name === "ThresholdUpdated") {
+      alert = eventAlert(rules, "bridge.threshold-changed", e, `Signature threshold on ${e.network} set to ${e.args.threshold}`);
+    } else if (e.name === "ValidatorAdded" || e.name === "ValidatorRemoved") {
+      const verb = e.name === "ValidatorAdded" ? "added" : "removed";
+      alert = eventAlert(
+        rules,
+        "bridge.validator-set-changed",
+        e,
+        `Validator ${e.args.validator} ${verb} on ${e.network} (${e.args.validatorCount} validators)`
+      );
+    } else if (e.name === "Released" && BigInt(e.args.amount) >= largeRelease) {
+      alert = eventAlert(
+        rules,
+        "bridge.large-release",
+        e,
+        `Large release on ${e.network}: ${ethers.formatUnits(e.args.amount, rules["bridge.large-release"].decimals)} to ${e.args.to} (nonce ${e.args.nonce})`
+      );
+    }
+    if (alert) alerts.push(alert);
+  }
+  return alerts;
+}
+
+function rpcAlert(rules, network, error) {
+  const rule = rules["rpc.unreachable"];
+  if (!rule.enabled) return null;
+  return {
+    ruleId: "rpc.unreachable",
+    severity: rule.severity,
+    network,
+    message: `RPC for ${network} is failing: ${error.shortMessage || error.message}`,
+    details: { error: error.shortMessage || error.message }
+  };
+}
+
+module.exports = { RULES, resolveRules, ruleDedupSeconds, alertsForEvents, rpcAlert };
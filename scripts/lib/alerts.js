@@ -0,0 +1,135 @@
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+const { readJson, writeJson } = require("./json-store");
+
+const SEVERITIES = ["info", "warning", "critical"];
+
+function severityRank(severity) {
+  const rank = SEVERITIES.indexOf(severity);
+  if (rank === -1) throw new Error(`Unknown severity "${severity}" (expected ${SEVERITIES.join(", ")})`);
+  return rank;
+}
+
+// JSON lines on stdout for log shippers.
+function stdoutSink() {
+  return {
+    name: "stdout",
+    send: async (alert) => {
+      process.stdout.write(JSON.stringify(alert) + "\n");
+    }
+  };
+}
+
+function fileSink({ path: file }) {
+  if (!file) throw new Error("file sink needs a path");
+  return {
+    name: `file:${file}`,
+    send: async (alert) => {
+      fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+      fs.appendFileSync(file, JSON.stringify(alert) + "\n");
+    }
+  };
+}
+
+function webhookSink({ url, headers = {}, timeoutMs = 5000 }) {
+  if (!url) throw new Error("webhook sink needs a url");
+  return {
+    name: `webhook:${url}`,
+    send: async (alert) => {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: { "content-type": "application/json", ...headers },
+        body: JSON.stringify(alert),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    }
+  };
+}
+
+// Runs a shell command per alert with the alert as JSON on stdin and ALERT_* in the environment.
+function commandSink({ command, timeoutMs = 10000 }) {
+  if (!command) throw new Error("command sink needs a command");
+  return {
+    name: `command:${command}`,
+    send: (alert) =>
+      new Promise((resolve, reject) => {
+        const child = spawn(command, {
+          shell: true,
+          stdio: ["pipe", "ignore", "inherit"],
+          timeout: timeoutMs,
+          env: {
+            ...process.env,
+            ALERT_RULE: alert.ruleId,
+            ALERT_SEVERITY: alert.severity,
+            ALERT_NETWORK: alert.network || "",
+            ALERT_MESSAGE: alert.message
+          }
+        });
+        child.on("error", reject);
+        child.on("close", (code, signal) => {
+          if (code === 0) resolve();
+          else reject(new Error(signal ? `killed by ${signal}` : `exited with code ${code}`));
+        });
+        child.stdin.on("error", () => {});
+        child.stdin.end(JSON.stringify(alert));
+      })
+  };
+}
+
+const SINK_TYPES = { stdout: stdoutSink, file: fileSink, webhook: webhookSink, command: commandSink };
+
+// config: [{ type: "stdout" | "file" | "webhook" | "command", minSeverity?, ...options }]
+function createSinks(config = []) {
+  return config.map((c) => {
+    const factory = SINK_TYPES[c.type];
+    if (!factory) throw new Error(`Unknown alert sink type "${c.type}"`);
+    return { ...factory(c), minSeverity: c.minSeverity || "info" };
+  });
+}
+
+// Delivers alerts to every sink whose minSeverity they reach. An alert with the same ruleId and key
+// is delivered at most once per dedup window; windows survive restarts through stateFile. The window
+// only starts once a sink took the alert, so an alert every sink failed on is sent again next time.
+// alert: { ruleId, severity, message, network?, key?, details? }
+function createAlerter({ sinks, dedupSeconds = 3600, ruleDedupSeconds = {}, stateFile, now = Date.now, log = console.error }) {
+  const lastSent = stateFile ? readJson(stateFile, {}) : {};
+  const longestWindowMs = Math.max(dedupSeconds, ...Object.values(ruleDedupSeconds)) * 1000;
+
+  async function emit(alert) {
+    const rank = severityRank(alert.severity);
+    const dedupKey = `${alert.ruleId}:${alert.key !== undefined ? alert.key : alert.network || ""}`;
+    const windowMs = (ruleDedupSeconds[alert.ruleId] !== undefined ? ruleDedupSeconds[alert.ruleId] : dedupSeconds) * 1000;
+    const at = now();
+
+    if (lastSent[dedupKey] !== undefined && at - lastSent[dedupKey] < windowMs) {
+      return { delivered: [], suppressed: true };
+    }
+
+    const record = { ...alert, timestamp: new Date(at).toISOString() };
+    const targets = sinks.filter((s) => severityRank(s.minSeverity) <= rank);
+    const delivered = [];
+    await Promise.all(
+      targets.map((s) =>
+        s.send(record).then(
+          () => delivered.push(s.name),
+          (e) => log(`Alert sink ${s.name} failed for ${alert.ruleId}: ${e.message}`)
+        )
+      )
+    );
+
+    if (delivered.length) {
+      for (const [k, t] of Object.entries(lastSent)) {
+        if (at - t >= longestWindowMs) delete lastSent[k];
+      }
+      lastSent[dedupKey] = at;
+      if (stateFile) writeJson(stateFile, lastSent);
+    }
+    return { delivered, suppressed: false, failed: targets.length > 0 && !delivered.length };
+  }
+
+  return { emit };
+}
+
+module.exports = { SEVERITIES, createSinks, createAlerter, stdoutSink, fileSink, webhookSink, commandSink };
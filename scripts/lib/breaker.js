@@ -0,0 +1,159 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { reconcile } = require("./reconcile");
+const { withTimeout } = require("./networks");
+
+// Default options per trigger; ids appear in the incident log.
+const TRIGGERS = {
+  "orphan-release": { graceSeconds: 600 },
+  "large-release": { amount: "100000", decimals: 18 },
+  "escrow-drop": { percent: 20 },
+  "validator-change": {},
+  "unacknowledged-unpause": {}
+};
+
+function resolveTriggers(overrides = {}) {
+  for (const id of Object.keys(overrides)) {
+    if (!TRIGGERS[id]) throw new Error(`Unknown breaker trigger "${id}"`);
+  }
+  const triggers = {};
+  for (const [id, defaults] of Object.entries(TRIGGERS)) triggers[id] = { enabled: true, ...defaults, ...overrides[id] };
+  return triggers;
+}
+
+const eventEvidence = (e) => ({ network: e.network, bridge: e.bridge, blockNumber: e.blockNumber, txHash: e.txHash, event: e.name, ...e.args });
+
+// Validator events that do not move the chain towards `expected` (a parsed validator-set file, see
+// rotation.js). Without one every change is unexpected. A rotation may raise the threshold on its way,
+// so only a threshold below the declared one counts.
+function unexpectedValidatorChange(e, expected) {
+  if (!["ValidatorAdded", "ValidatorRemoved", "ThresholdUpdated"].includes(e.name)) return null;
+  if (!expected) return `${e.name} on ${e.network} while no validator set is declared`;
+  const declared = expected.validators.some((v) => v.toLowerCase() === String(e.args.validator).toLowerCase());
+  if (e.name === "ValidatorAdded" && !declared) return `undeclared validator ${e.args.validator} added on ${e.network}`;
+  if (e.name === "ValidatorRemoved" && declared) return `declared validator ${e.args.validator} removed on ${e.network}`;
+  if (e.name === "ThresholdUpdated" && Number(e.args.threshold) < expected.threshold) {
+    return `threshold on ${e.network} lowered to ${e.args.threshold}, below the declared ${expected.threshold}`;
+  }
+  return null;
+}
+
+// Anomalies in one watchdog round. Every trip carries the evidence it was raised on.
+//   fresh           events indexed since the previous round
+//   unreachable     thisChainIds of deployments that could not be indexed this round; orphan checks for
+//                   releases from them wait, since their Locked events may simply not be indexed yet
+//   escrow          [{ network, balance }] read this round; previousEscrow { network: balance } from the last
+//   seenOrphans     ids of orphaned releases already reported; a release only counts as orphaned once it is
+//                   graceSeconds old, because the indexer may wait for more confirmations than the relayer
+//   incidentsOpen   whether the breaker is tripped; an Unpaused event then means someone bypassed the ack
+function detectAnomalies({
+  store,
+  fresh,
+  unreachable = new Set(),
+  escrow = [],
+  previousEscrow = {},
+  seenOrphans = new Set(),
+  expected = null,
+  incidentsOpen = false,
+  triggers,
+  now = Math.floor(Date.now() / 1000)
+}) {
+  const trips = [];
+  const trip = (trigger, network, message, evidence) => {
+    if (triggers[trigger].enabled) trips.push({ trigger, network, message, evidence });
+  };
+
+  const grace = triggers["orphan-release"].graceSeconds;
+  for (const t of reconcile(store, { now }).transfers) {
+    if (t.status !== "orphaned" || seenOrphans.has(t.id) || unreachable.has(t.fromChainId) || now - t.releasedAt < grace) continue;
+    const release = store.events({ name: "Released", where: (e) => e.txHash === t.releaseTx })[0];
+    trip("orphan-release", release.network, `Release ${t.id} has no matching Locked event`, { transfer: t.id, ...eventEvidence(release) });
+  }
+
+  const large = triggers["large-release"];
+  const limit = ethers.parseUnits(String(large.amount), large.decimals);
+  for (const e of fresh) {
+    if (e.name === "Released" && BigInt(e.args.amount) >= limit) {
+      trip("large-release", e.network, `Release of ${ethers.formatUnits(e.args.amount, large.decimals)} on ${e.network} is at or above ${large.amount}`, eventEvidence(e));
+    }
+    const change = unexpectedValidatorChange(e, expected);
+    if (change) trip("validator-change", e.network, change, eventEvidence(e));
+    if (e.name === "Unpaused" && incidentsOpen) {
+      trip("unacknowledged-unpause", e.network, `Bridge on ${e.network} unpaused by ${e.args.account} while the breaker is tripped`, eventEvidence(e));
+    }
+  }
+
+  const percent = triggers["escrow-drop"].percent;
+  for (const { network, balance } of escrow) {
+    if (previousEscrow[network] === undefined) continue;
+    const previous = BigInt(previousEscrow[network]);
+    const drop = previous - BigInt(balance);
+    if (previous > 0n && drop > 0n && drop * 100n >= previous * BigInt(percent)) {
+      trip("escrow-drop", network, `Escrow on ${network} fell ${(Number((drop * 10000n) / previous) / 100).toFixed(2)}% in one round`, {
+        network,
+        previous: previous.toString(),
+        current: balance.toString(),
+        limitPercent: percent
+      });
+    }
+  }
+  return trips;
+}
+
+// Pauses every bridge that is not paused yet, all chains at once; one failing chain does not hold up the others.
+// bridges: [{ network, bridge, error? }] with bridge connected to the owner, or null with the error that
+// kept it from being connected. timeoutMs bounds every call, so one stuck pause cannot hang the caller.
+async function pauseAll(bridges, timeoutMs) {
+  return Promise.all(bridges.map((b) => setPaused(b, true, timeoutMs)));
+}
+
+async function unpauseAll(bridges, timeoutMs) {
+  return Promise.all(bridges.map((b) => setPaused(b, false, timeoutMs)));
+}
+
+async function setPaused({ network, bridge, error }, paused, timeoutMs = 120000) {
+  if (!bridge) return { network, status: "failed", error };
+  const action = paused ? "pause" : "unpause";
+  try {
+    if ((await withTimeout(bridge.paused(), timeoutMs, "paused()")) === paused) return { network, status: `already ${action}d` };
+    const tx = await withTimeout(bridge[action](), timeoutMs, `${action}()`);
+    const receipt = await withTimeout(tx.wait(), timeoutMs, `${action} ${tx.hash}`);
+    return { network, status: `${action}d`, txHash: tx.hash, blockNumber: receipt.blockNumber };
+  } catch (e) {
+    return { network, status: "failed", error: e.shortMessage || e.message };
+  }
+}
+
+// The incident log is JSON lines: {type: "incident", id, ...} when the breaker trips and {type: "ack", ids, ...}
+// when an operator acknowledges incidents before unpausing. Appending only lets the watchdog and the
+// operator commands share it without overwriting each other.
+function readIncidentLog(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+}
+
+function appendIncidentLog(file, entry) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify(entry, (_, v) => (typeof v === "bigint" ? v.toString() : v)) + "\n");
+}
+
+function openIncidents(entries) {
+  const acked = new Set(entries.filter((e) => e.type === "ack").flatMap((e) => e.ids));
+  return entries.filter((e) => e.type === "incident" && !acked.has(e.id));
+}
+
+module.exports = {
+  TRIGGERS,
+  resolveTriggers,
+  detectAnomalies,
+  pauseAll,
+  unpauseAll,
+  readIncidentLog,
+  appendIncidentLog,
+  openIncidents
+};
@@ -0,0 +1,94 @@
+const { createRegistry } = require("./prometheus");
+const { reconcile } = require("./reconcile");
+
+// Bridge health metrics. Flow metrics are recomputed from the event store every round;
+// per-deployment gauges come from contract views, and RPC errors accumulate for the process lifetime.
+// Chain ids in labels are bridge thisChainIds, amounts are token base units.
+function createBridgeMetrics() {
+  const registry = createRegistry();
+  const pair = ["from_chain_id", "to_chain_id"];
+  const deployment = ["network", "chain_id"];
+
+  const m = {
+    lockedVolume: registry.gauge("bridge_locked_volume", "Amount locked for transfers from one chain to another", pair),
+    lockedTransfers: registry.gauge("bridge_locked_transfers", "Number of Locked events per chain pair", pair),
+    releasedVolume: registry.gauge("bridge_released_volume", "Amount released for transfers from one chain to another", pair),
+    releasedTransfers: registry.gauge("bridge_released_transfers", "Number of Released events per chain pair", pair),
+    pendingTransfers: registry.gauge("bridge_pending_transfers", "Locks without a matching release", pair),
+    pendingOldestAge: registry.gauge("bridge_pending_oldest_age_seconds", "Age of the oldest pending transfer", pair),
+    escrowBalance: registry.gauge("bridge_escrow_balance", "Token balance held by the bridge contract", deployment),
+    threshold: registry.gauge("bridge_threshold", "Signatures required by release()", deployment),
+    validatorCount: registry.gauge("bridge_validator_count", "Registered validators", deployment),
+    paused: registry.gauge("bridge_paused", "1 when the bridge is paused", deployment),
+    lastBlock: registry.gauge("bridge_last_processed_block", "Last block indexed for the deployment", deployment),
+    up: registry.gauge("bridge_rpc_up", "1 when the last round reached the RPC endpoint", deployment),
+    rpcErrors: registry.counter("bridge_rpc_errors_total", "Failed rounds per deployment", deployment),
+    lastUpdate: registry.gauge("bridge_exporter_last_update_timestamp_seconds", "Unix time of the last completed round")
+  };
+
+  function updateFromStore(store, { now } = {}) {
+    const flows = (events, fromOf, toOf) => {
+      const out = new Map();
+      for (const e of events) {
+        const labels = { from_chain_id: fromOf(e), to_chain_id: toOf(e) };
+        const key = `${labels.from_chain_id}:${labels.to_chain_id}`;
+        const acc = out.get(key) || { labels, volume: 0n, count: 0 };
+        acc.volume += BigInt(e.args.amount);
+        acc.count++;
+        out.set(key, acc);
+      }
+      return out.values();
+    };
+
+    for (const metric of [m.lockedVolume, m.lockedTransfers, m.releasedVolume, m.releasedTransfers, m.pendingTransfers, m.pendingOldestAge]) {
+      metric.reset();
+    }
+    for (const f of flows(store.events({ name: "Locked" }), (e) => e.thisChainId, (e) => e.args.toChainId)) {
+      m.lockedVolume.set(f.labels, f.volume);
+      m.lockedTransfers.set(f.labels, f.count);
+    }
+    for (const f of flows(store.events({ name: "Released" }), (e) => e.args.fromChainId, (e) => e.thisChainId)) {
+      m.releasedVolume.set(f.labels, f.volume);
+      m.releasedTransfers.set(f.labels, f.count);
+    }
+
+    const pending = new Map();
+    for (const t of reconcile(store, { now }).transfers.filter((t) => t.status === "pending")) {
+      const key = `${t.fromChainId}:${t.toChainId}`;
+      const acc = pending.get(key) || { labels: { from_chain_id: t.fromChainId, to_chain_id: t.toChainId }, count: 0, oldest: 0 };
+      acc.count++;
+      acc.oldest = Math.max(acc.oldest, t.ageSeconds);
+      pending.set(key, acc);
+    }
+    for (const p of pending.values()) {
+      m.pendingTransfers.set(p.labels, p.count);
+      m.pendingOldestAge.set(p.labels, p.oldest);
+    }
+  }
+
+  // view: { threshold, validatorCount, paused, escrowBalance, lastBlock }
+  function updateDeployment(labels, view) {
+    m.threshold.set(labels, view.threshold);
+    m.validatorCount.set(labels, view.validatorCount);
+    m.paused.set(labels, view.paused);
+    m.escrowBalance.set(labels, view.escrowBalance);
+    if (view.lastBlock !== null && view.lastBlock !== undefined) m.lastBlock.set(labels, view.lastBlock);
+    m.up.set(labels, 1);
+    m.rpcErrors.inc(labels, 0);
+  }
+
+  function rpcError(labels) {
+    m.rpcErrors.inc(labels);
+    m.up.set(labels, 0);
+  }
+
+  return {
+    updateFromStore,
+    updateDeployment,
+    rpcError,
+    markUpdated: (at = Date.now()) => m.lastUpdate.set({}, Math.floor(at / 1000)),
+    render: registry.render
+  };
+}
+
+module.exports = { createBridgeMetrics };
@@ -0,0 +1,28 @@
+const { ethers } = require("ethers");
+const { BRIDGE_ABI } = require("./abi");
+
+// Connects to every configured bridge and indexes the deployments by the thisChainId they report,
+// which is the chain id used in Locked.toChainId and release(fromChainId).
+async function connectChains(chainConfigs, signerKey) {
+  const chains = new Map();
+  for (const cfg of chainConfigs) {
+    const provider = new ethers.JsonRpcProvider(cfg.rpcUrl);
+    const bridge = new ethers.Contract(cfg.bridge, BRIDGE_ABI, provider);
+    const thisChainId = (await bridge.thisChainId()).toString();
+    if (chains.has(thisChainId)) {
+      throw new Error(`Two configured bridges report thisChainId ${thisChainId} (${chains.get(thisChainId).name}, ${cfg.name})`);
+    }
+    chains.set(thisChainId, {
+      name: cfg.name || thisChainId,
+      thisChainId,
+      provider,
+      bridge,
+      signer: signerKey ? new ethers.Wallet(signerKey, provider) : null,
+      confirmations: Number(cfg.confirmations ?? 1),
+      startBlock: Number(cfg.startBlock ?? 0)
+    });
+  }
+  return chains;
+}
+
+module.exports = { connectChains };
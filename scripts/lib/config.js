@@ -0,0 +1,177 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { readRegistry } = require("./deployments");
+
+// One file per environment; every network name must be unique across them so --network alone picks the chain.
+const CONFIG_DIR = process.env.BRIDGE_CONFIG_DIR || path.join(__dirname, "..", "..", "config");
+const ENVIRONMENTS = ["local", "testnet", "mainnet"];
+
+const isAddress = (v) => typeof v === "string" && ethers.isAddress(v) && v === v.trim();
+const uint = { type: "integer", min: 0 };
+const address = { type: "address" };
+const validatorList = { type: "array", items: address };
+
+// Fields of a chain entry. RPC urls carrying API keys stay out of the file: when rpcUrlEnv names a set
+// environment variable it replaces rpcUrl. token and bridge are null until there is something deployed
+// to point at; deploy.js deploys a TestToken when token is null.
+const CHAIN_SCHEMA = {
+  chainId: { ...uint, min: 1, required: true },
+  rpcUrl: { type: "url", required: true },
+  rpcUrlEnv: { type: "string" },
+  thisChainId: { ...uint, min: 1 },
+  token: { ...address, nullable: true },
+  bridge: { ...address, nullable: true },
+  feeBridge: { ...address, nullable: true },
+  confirmations: uint,
+  validators: validatorList,
+  threshold: { ...uint, min: 1 },
+  fee: { type: "object", fields: { feeBps: { ...uint, max: 10000, required: true }, minimumAmount: { type: "amount", required: true } } }
+};
+
+const SCHEMA = {
+  environment: { type: "string", oneOf: ENVIRONMENTS, required: true },
+  validators: validatorList,
+  threshold: { ...uint, min: 1 },
+  chains: { type: "map", values: { type: "object", fields: CHAIN_SCHEMA }, required: true }
+};
+
+const CHECKS = {
+  string: (v) => typeof v === "string" && v.length > 0,
+  integer: (v) => Number.isInteger(v),
+  address: isAddress,
+  url: (v) => typeof v === "string" && /^(https?|wss?):\/\/\S+$/.test(v),
+  amount: (v) => (typeof v === "string" && /^\d+$/.test(v)) || Number.isSafeInteger(v),
+  array: Array.isArray,
+  object: (v) => v !== null && typeof v === "object" && !Array.isArray(v),
+  map: (v) => v !== null && typeof v === "object" && !Array.isArray(v) && Object.keys(v).length > 0
+};
+
+const TYPE_NAMES = { integer: "an integer", address: "a checksummed or lowercase address", url: "an http(s) or ws(s) url", amount: "a whole number (string for large values)", map: "a non-empty object", array: "an array", object: "an object", string: "a non-empty string" };
+
+function checkValue(rule, value, at, errors) {
+  if (value === null && rule.nullable) return;
+  if (!CHECKS[rule.type](value)) return errors.push(`${at}: expected ${TYPE_NAMES[rule.type]}, got ${JSON.stringify(value)}`);
+  if (rule.oneOf && !rule.oneOf.includes(value)) errors.push(`${at}: must be one of ${rule.oneOf.join(", ")}, got ${JSON.stringify(value)}`);
+  if (rule.min !== undefined && value < rule.min) errors.push(`${at}: must be at least ${rule.min}, got ${value}`);
+  if (rule.max !== undefined && value > rule.max) errors.push(`${at}: must be at most ${rule.max}, got ${value}`);
+  if (rule.type === "array") value.forEach((item, i) => checkValue(rule.items, item, `${at}[${i}]`, errors));
+  if (rule.type === "object") checkFields(rule.fields, value, at, errors);
+  if (rule.type === "map") for (const [key, item] of Object.entries(value)) checkValue(rule.values, item, `${at}.${key}`, errors);
+}
+
+function checkFields(fields, obj, at, errors) {
+  for (const key of Object.keys(obj)) {
+    if (!fields[key]) errors.push(`${at ? `${at}.` : ""}${key}: unknown field (expected ${Object.keys(fields).join(", ")})`);
+  }
+  for (const [key, rule] of Object.entries(fields)) {
+    const where = at ? `${at}.${key}` : key;
+    if (obj[key] === undefined) {
+      if (rule.required) errors.push(`${where}: required`);
+    } else {
+      checkValue(rule, obj[key], where, errors);
+    }
+  }
+}
+
+// Schema problems first; cross-field rules (thresholds, duplicate thisChainIds) only on a well-formed file.
+function validateConfig(raw) {
+  const errors = [];
+  if (!CHECKS.object(raw)) return ["expected a JSON object"];
+  checkFields(SCHEMA, raw, "", errors);
+  if (errors.length) return errors;
+
+  const seen = new Map();
+  for (const [name, chain] of Object.entries(raw.chains)) {
+    const validators = chain.validators || raw.validators || [];
+    const threshold = chain.threshold ?? raw.threshold ?? 1;
+    const lower = validators.map((v) => v.toLowerCase());
+    if (new Set(lower).size !== lower.length) errors.push(`chains.${name}.validators: lists a validator twice`);
+    if (threshold > Math.max(validators.length, 1)) errors.push(`chains.${name}.threshold: ${threshold} is more than the ${validators.length} validators`);
+    const thisChainId = chain.thisChainId ?? chain.chainId;
+    if (seen.has(thisChainId)) errors.push(`chains.${name}.thisChainId: ${thisChainId} is already used by ${seen.get(thisChainId)}`);
+    seen.set(thisChainId, name);
+  }
+  return errors;
+}
+
+// A validated chain with defaults applied and rpcUrl resolved from the environment.
+function resolveChain(name, chain, raw, environment) {
+  return {
+    name,
+    environment,
+    chainId: chain.chainId,
+    rpcUrl: (chain.rpcUrlEnv && process.env[chain.rpcUrlEnv]) || chain.rpcUrl,
+    thisChainId: chain.thisChainId ?? chain.chainId,
+    token: chain.token || null,
+    bridge: chain.bridge || null,
+    feeBridge: chain.feeBridge || null,
+    confirmations: chain.confirmations ?? 1,
+    validators: (chain.validators || raw.validators || []).map((v) => ethers.getAddress(v)),
+    threshold: chain.threshold ?? raw.threshold ?? 1,
+    fee: chain.fee ? { feeBps: chain.fee.feeBps, minimumAmount: BigInt(chain.fee.minimumAmount) } : null
+  };
+}
+
+function loadEnvironment(file) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new Error(`Cannot read bridge config ${file}: ${e.message}`);
+  }
+  const errors = validateConfig(raw);
+  if (errors.length) throw new Error(`Invalid bridge config ${file}:\n  ${errors.join("\n  ")}`);
+  const chains = {};
+  for (const [name, chain] of Object.entries(raw.chains)) chains[name] = resolveChain(name, chain, raw, raw.environment);
+  return { file, environment: raw.environment, chains };
+}
+
+let cached = null;
+
+// All environment files in CONFIG_DIR, merged into one network table. A missing file is skipped so a
+// checkout can carry only the environments it deploys to.
+function loadConfig(dir = CONFIG_DIR) {
+  if (cached && cached.dir === dir) return cached;
+  const config = { dir, environments: {}, chains: {} };
+  for (const env of ENVIRONMENTS) {
+    const file = path.join(dir, `${env}.json`);
+    if (!fs.existsSync(file)) continue;
+    const loaded = loadEnvironment(file);
+    if (loaded.environment !== env) throw new Error(`Invalid bridge config ${file}:\n  environment: the file is for ${env}, it says ${loaded.environment}`);
+    for (const [name, chain] of Object.entries(loaded.chains)) {
+      if (config.chains[name]) throw new Error(`Network ${name} is defined in both ${config.chains[name].environment}.json and ${env}.json`);
+      config.chains[name] = chain;
+    }
+    config.environments[env] = loaded;
+  }
+  cached = config;
+  return config;
+}
+
+function chainConfig(network, config = loadConfig()) {
+  const chain = config.chains[network];
+  if (!chain) throw new Error(`Network "${network}" is not in any config/*.json (${Object.keys(config.chains).join(", ") || "none defined"})`);
+  return chain;
+}
+
+// Network entries for hardhat.config.js; accounts are the only part that stays in .env. Local nodes sign
+// with their unlocked accounts and may run under another HARDHAT_CHAIN_ID, so they get neither.
+function hardhatNetworks(accounts, config = loadConfig()) {
+  const networks = {};
+  for (const chain of Object.values(config.chains)) {
+    networks[chain.name] = chain.environment === "local" ? { url: chain.rpcUrl } : { url: chain.rpcUrl, accounts, chainId: chain.chainId };
+  }
+  return networks;
+}
+
+// The bridge a script should talk to on a network: the configured address, else the latest recorded deployment.
+function bridgeAddressFor(network, registryFile) {
+  const chain = loadConfig().chains[network];
+  if (chain && chain.bridge) return chain.bridge;
+  const entry = readRegistry(registryFile).networks[network];
+  if (entry && entry.current) return entry.current.contracts.CrossChainTokenBridge;
+  throw new Error(`No bridge address for ${network}: set chains.${network}.bridge in config/ or deploy with scripts/deploy.js`);
+}
+
+module.exports = { CONFIG_DIR, ENVIRONMENTS, SCHEMA, validateConfig, loadConfig, chainConfig, hardhatNetworks, bridgeAddressFor };
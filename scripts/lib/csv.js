@@ -0,0 +1,15 @@
+function csvCell(v) {
+  if (v === undefined || v === null) return "";
+  const s = String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// columns: list of keys, or [{ key, header }] pairs.
+function toCsv(rows, columns) {
+  const cols = columns.map((c) => (typeof c === "string" ? { key: c, header: c } : c));
+  const lines = [cols.map((c) => csvCell(c.header)).join(",")];
+  for (const row of rows) lines.push(cols.map((c) => csvCell(row[c.key])).join(","));
+  return lines.join("\n") + "\n";
+}
+
+module.exports = { toCsv };
@@ -0,0 +1,58 @@
+const { ethers } = require("ethers");
+
+// Two sources declare a contract named CrossChainTokenBridge; the lock/release bridge lives in CrossChainBridge.sol.
+const BRIDGE_CONTRACT = "contracts/CrossChainBridge.sol:CrossChainTokenBridge";
+const TOKEN_CONTRACT = "contracts/TestToken.sol:TestToken";
+const FEE_BRIDGE_CONTRACT = "contracts/CrossChainTokenBridge.sol:CrossChainTokenBridge";
+
+async function contractFactory(artifacts, name, signer) {
+  const artifact = await artifacts.readArtifact(name);
+  return new ethers.ContractFactory(artifact.abi, artifact.bytecode, signer);
+}
+
+// Deploys one lock/release bridge (and a TestToken when no token is given) and returns the registry record.
+async function deployBridge({ artifacts, signer, network, token, thisChainId, validators, threshold, log = console.log }) {
+  const deployer = await signer.getAddress();
+  const provider = signer.provider;
+
+  if (!token) {
+    const t = await (await contractFactory(artifacts, TOKEN_CONTRACT, signer)).deploy();
+    await t.waitForDeployment();
+    token = await t.getAddress();
+    log(`[${network}] Deployed BridgeToken (TestToken): ${token}`);
+  }
+
+  const finalValidators = validators && validators.length ? validators : [deployer];
+  const Bridge = await contractFactory(artifacts, BRIDGE_CONTRACT, signer);
+  const bridge = await Bridge.deploy(token, thisChainId, finalValidators, threshold);
+  await bridge.waitForDeployment();
+  const receipt = await bridge.deploymentTransaction().wait();
+  const bridgeAddress = await bridge.getAddress();
+  log(`[${network}] CrossChainTokenBridge: ${bridgeAddress}`);
+
+  return {
+    network,
+    chainId: Number((await provider.getNetwork()).chainId),
+    deployer,
+    contracts: {
+      Token: token,
+      CrossChainTokenBridge: bridgeAddress
+    },
+    params: { thisChainId: Number(thisChainId), validators: finalValidators, threshold: Number(threshold) },
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    deployedAt: new Date().toISOString()
+  };
+}
+
+// Deploys the fee-charging bridge variant; feeBps is in basis points, minimumAmount in token base units.
+async function deployFeeBridge({ artifacts, signer, network, feeBps, minimumAmount, log = console.log }) {
+  const FeeBridge = await contractFactory(artifacts, FEE_BRIDGE_CONTRACT, signer);
+  const feeBridge = await FeeBridge.deploy(feeBps, minimumAmount);
+  await feeBridge.waitForDeployment();
+  const address = await feeBridge.getAddress();
+  log(`[${network}] Fee bridge (${feeBps} bps, minimum ${minimumAmount}): ${address}`);
+  return address;
+}
+
+module.exports = { BRIDGE_CONTRACT, TOKEN_CONTRACT, FEE_BRIDGE_CONTRACT, deployBridge, deployFeeBridge };
@@ -0,0 +1,41 @@
+const path = require("path");
+const { readJson, writeJson } = require("./json-store");
+
+// DEPLOYMENTS_FILE points every script at another registry (a testnet copy, or a test's temp file).
+const DEFAULT_REGISTRY = process.env.DEPLOYMENTS_FILE || path.join(__dirname, "..", "..", "deployments.json");
+
+// Registry layout: { networks: { <name>: { current: <deployment>, history: [<older deployments>] } } }
+function normalize(data) {
+  if (!data) return { networks: {} };
+  if (data.networks) return data;
+  // Older deploy.js runs wrote a single deployment object.
+  return { networks: { [data.network]: { current: data, history: [] } } };
+}
+
+function readRegistry(file = DEFAULT_REGISTRY) {
+  return normalize(readJson(file, null));
+}
+
+function recordDeployment(record, file = DEFAULT_REGISTRY) {
+  const registry = readRegistry(file);
+  const entry = registry.networks[record.network] || { current: null, history: [] };
+  if (entry.current) entry.history.push(entry.current);
+  entry.current = record;
+  registry.networks[record.network] = entry;
+  writeJson(file, registry);
+  return registry;
+}
+
+function currentDeployments(registry) {
+  return Object.values(registry.networks)
+    .map((entry) => entry.current)
+    .filter(Boolean);
+}
+
+function getDeployment(network, file = DEFAULT_REGISTRY) {
+  const entry = readRegistry(file).networks[network];
+  if (!entry || !entry.current) throw new Error(`No deployment recorded for network "${network}" in ${file}`);
+  return entry.current;
+}
+
+module.exports = { DEFAULT_REGISTRY, readRegistry, recordDeployment, currentDeployments, getDeployment };
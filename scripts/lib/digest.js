@@ -0,0 +1,25 @@
+const { ethers } = require("ethers");
+
+// keccak256(abi.encodePacked("RELEASE", to, amount, fromChainId, thisChainId, nonce)),
+// exactly as CrossChainTokenBridge.release() rebuilds it. toChainId is the destination's thisChainId.
+function releaseDigest({ to, amount, fromChainId, toChainId, nonce }) {
+  return ethers.solidityPackedKeccak256(
+    ["string", "address", "uint256", "uint256", "uint256", "uint256"],
+    ["RELEASE", to, amount, fromChainId, toChainId, nonce]
+  );
+}
+
+// The EIP-191 hash the contract recovers from (digest.toEthSignedMessageHash()).
+function releaseMessageHash(params) {
+  return ethers.hashMessage(ethers.getBytes(releaseDigest(params)));
+}
+
+function signRelease(wallet, params) {
+  return wallet.signMessage(ethers.getBytes(releaseDigest(params)));
+}
+
+function recoverReleaseSigner(params, signature) {
+  return ethers.recoverAddress(releaseMessageHash(params), signature);
+}
+
+module.exports = { releaseDigest, releaseMessageHash, signRelease, recoverReleaseSigner };
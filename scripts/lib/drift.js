@@ -0,0 +1,69 @@
+const { ethers } = require("ethers");
+const { readValidatorSet } = require("./validator-set");
+
+const byAddress = (a, b) => a.toLowerCase().localeCompare(b.toLowerCase());
+
+// What a deployment record says the bridge should look like. The validator set and threshold come from
+// params unless a declared validator set (the rotation tool's validators.json) covers this network, since
+// a completed rotation is intended drift from the original params. The deployer is the owner until
+// the record says otherwise.
+function expectedState(record, declared = null) {
+  const params = record.params || {};
+  const rotated = declared && (!declared.networks || declared.networks.includes(record.network));
+  return {
+    token: ethers.getAddress(record.contracts.Token),
+    thisChainId: String(params.thisChainId),
+    validators: (rotated ? declared.validators : params.validators || []).map((v) => ethers.getAddress(v)).sort(byAddress),
+    threshold: Number(rotated ? declared.threshold : params.threshold),
+    owner: ethers.getAddress(record.owner || record.deployer),
+    paused: false
+  };
+}
+
+async function readDeployedState(bridge, fromBlock = 0) {
+  const provider = bridge.runner.provider;
+  if ((await provider.getCode(bridge.target)) === "0x") return { missing: true };
+  const [token, thisChainId, validators, validatorCount, threshold, owner, paused] = await Promise.all([
+    bridge.token(),
+    bridge.thisChainId(),
+    readValidatorSet(bridge, fromBlock),
+    bridge.validatorCount(),
+    bridge.threshold(),
+    bridge.owner(),
+    bridge.paused()
+  ]);
+  return { token, thisChainId: thisChainId.toString(), validators, validatorCount: Number(validatorCount), threshold: Number(threshold), owner, paused };
+}
+
+// Differences as [{ field, expected, actual, detail? }]; an empty list means the chain matches the record.
+function diffState(expected, actual) {
+  if (actual.missing) return [{ field: "code", expected: "bridge contract", actual: "no code at the recorded address" }];
+  const diffs = [];
+  for (const field of ["token", "thisChainId", "threshold", "owner", "paused"]) {
+    const same = typeof expected[field] === "string" ? expected[field].toLowerCase() === String(actual[field]).toLowerCase() : expected[field] === actual[field];
+    if (!same) diffs.push({ field, expected: expected[field], actual: actual[field] });
+  }
+
+  const want = new Set(expected.validators.map((v) => v.toLowerCase()));
+  const have = new Set(actual.validators.map((v) => v.toLowerCase()));
+  const added = actual.validators.filter((v) => !want.has(v.toLowerCase()));
+  const removed = expected.validators.filter((v) => !have.has(v.toLowerCase()));
+  if (added.length || removed.length) {
+    diffs.push({ field: "validators", expected: expected.validators, actual: actual.validators, detail: { added, removed } });
+  }
+  // The set is rebuilt from events; a count mismatch means validators changed in blocks that were not scanned.
+  if (actual.validatorCount !== actual.validators.length) {
+    diffs.push({ field: "validatorCount", expected: actual.validators.length, actual: actual.validatorCount });
+  }
+  return diffs;
+}
+
+function formatDiff(d) {
+  if (d.field === "validators") {
+    return [...d.detail.added.map((v) => `+ validator ${v} (not recorded)`), ...d.detail.removed.map((v) => `- validator ${v} (recorded, no longer a validator)`)];
+  }
+  if (d.field === "validatorCount") return [`validatorCount ${d.actual}, but events from the deployment block account for ${d.expected}`];
+  return [`${d.field}: recorded ${d.expected}, on chain ${d.actual}`];
+}
+
+module.exports = { expectedState, readDeployedState, diffState, formatDiff };
@@ -0,0 +1,119 @@
+const fs = require("fs");
+const path = require("path");
+
+const RECENT_BLOCKS = 128;
+const COMPACT_AFTER = 5000;
+
+// Append-only JSON-lines store for indexed bridge events. Every change is one line:
+//   {op: "events", source, events, block?, hash?}  new events for a source (one bridge deployment), and with
+//                                                  block/hash the cursor they were indexed up to
+//   {op: "cursor", source, block, hash}            last indexed block and its hash (files written before
+//                                                  events carried the cursor)
+//   {op: "rollback", source, block}                drop everything above block after a reorg
+// A range's events and cursor share one line, so a crash records the whole range or none of it and a restart
+// cannot index it twice. Replaying the lines rebuilds the state; compact() rewrites the file as one line per source.
+function createEventStore(file) {
+  const sources = new Map();
+  let lines = 0;
+
+  function source(key) {
+    if (!sources.has(key)) sources.set(key, { events: [], cursor: null, recent: [] });
+    return sources.get(key);
+  }
+
+  function moveCursor(s, block, hash) {
+    s.cursor = { block, hash };
+    s.recent = s.recent.filter((b) => b.block < block);
+    s.recent.push({ block, hash });
+    if (s.recent.length > RECENT_BLOCKS) s.recent.splice(0, s.recent.length - RECENT_BLOCKS);
+  }
+
+  function apply(entry) {
+    const s = source(entry.source);
+    if (entry.op === "events") {
+      s.events.push(...entry.events);
+      if (entry.block !== undefined) moveCursor(s, entry.block, entry.hash);
+    } else if (entry.op === "cursor") {
+      moveCursor(s, entry.block, entry.hash);
+    } else if (entry.op === "rollback") {
+      s.events = s.events.filter((e) => e.blockNumber <= entry.block);
+      s.recent = s.recent.filter((b) => b.block <= entry.block);
+      const last = s.recent[s.recent.length - 1];
+      s.cursor = last && last.block === entry.block ? { ...last } : { block: entry.block, hash: null };
+    } else if (entry.op === "snapshot") {
+      sources.set(entry.source, { events: entry.events, cursor: entry.cursor, recent: entry.recent });
+    }
+  }
+
+  function append(entry) {
+    apply(entry);
+    fs.appendFileSync(file, JSON.stringify(entry) + "\n");
+    lines++;
+  }
+
+  function compact() {
+    const tmp = `${file}.tmp`;
+    const out = [...sources.entries()].map(([key, s]) => JSON.stringify({ op: "snapshot", source: key, ...s }) + "\n");
+    fs.writeFileSync(tmp, out.join(""));
+    fs.renameSync(tmp, file);
+    lines = out.length;
+  }
+
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  if (fs.existsSync(file)) {
+    const text = fs.readFileSync(file, "utf8");
+    const all = text.split("\n");
+    all.forEach((line, i) => {
+      if (!line.trim()) return;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (e) {
+        if (i !== all.length - 1) throw new Error(`Event store ${file} is corrupt at line ${i + 1}: ${e.message}`);
+        // A crash mid-append leaves a partial last line; that change never happened, so cut it off.
+        fs.truncateSync(file, Buffer.byteLength(text) - Buffer.byteLength(line));
+        return;
+      }
+      apply(entry);
+      lines++;
+      // A complete last line without its newline would run into the next append.
+      if (i === all.length - 1) fs.appendFileSync(file, "\n");
+    });
+    if (lines > COMPACT_AFTER) compact();
+  }
+
+  function matches(e, q) {
+    if (q.source && e.source !== q.source) return false;
+    if (q.network && e.network !== q.network) return false;
+    if (q.name && e.name !== q.name) return false;
+    if (q.names && !q.names.includes(e.name)) return false;
+    if (q.fromBlock !== undefined && e.blockNumber < q.fromBlock) return false;
+    if (q.toBlock !== undefined && e.blockNumber > q.toBlock) return false;
+    if (q.since !== undefined && e.timestamp < q.since) return false;
+    if (q.until !== undefined && e.timestamp > q.until) return false;
+    if (q.nonce !== undefined && e.args.nonce !== String(q.nonce)) return false;
+    return !q.where || q.where(e);
+  }
+
+  return {
+    cursor: (key) => (sources.has(key) ? sources.get(key).cursor : null),
+    recentBlocks: (key) => (sources.has(key) ? [...sources.get(key).recent] : []),
+    sources: () => [...sources.keys()],
+    addEvents: (key, events) => events.length && append({ op: "events", source: key, events }),
+    // One indexed range: its events (possibly none) and the block and hash it reached, written as one line.
+    recordRange: (key, events, block, hash) => append({ op: "events", source: key, events, block, hash }),
+    rollback: (key, block) => append({ op: "rollback", source: key, block }),
+    compact,
+    // Events across all sources in chain order per source; q filters by source, network, name(s),
+    // block range, timestamp range (since/until, unix seconds), nonce and an arbitrary where(e).
+    events(q = {}) {
+      const out = [];
+      for (const s of sources.values()) {
+        for (const e of s.events) if (matches(e, q)) out.push(e);
+      }
+      return out;
+    }
+  };
+}
+
+module.exports = { createEventStore };
@@ -0,0 +1,17 @@
+const DEFAULT_STEP = 2000;
+
+// queryFilter over a block range in chunks, since public RPCs cap eth_getLogs ranges.
+async function queryInChunks(contract, filter, fromBlock, toBlock, step = DEFAULT_STEP) {
+  const events = [];
+  for (let from = fromBlock; from <= toBlock; from += step) {
+    const to = Math.min(from + step - 1, toBlock);
+    events.push(...(await contract.queryFilter(filter, from, to)));
+  }
+  return events;
+}
+
+function byChainOrder(a, b) {
+  return a.blockNumber - b.blockNumber || a.index - b.index;
+}
+
+module.exports = { queryInChunks, byChainOrder };
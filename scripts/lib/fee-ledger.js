@@ -0,0 +1,196 @@
+const { ethers } = require("ethers");
+const { FEE_BRIDGE_ABI, ERC20_ABI } = require("./abi");
+const { byChainOrder } = require("./events");
+
+const DAY = 86400;
+const STEP = 2000;
+const feeIface = new ethers.Interface(FEE_BRIDGE_ABI);
+const erc20Iface = new ethers.Interface(ERC20_ABI);
+const TRANSFER = erc20Iface.getEvent("Transfer").topicHash;
+const INITIATED = feeIface.getEvent("TransactionInitiated").topicHash;
+const COMPLETED = feeIface.getEvent("TransactionCompleted").topicHash;
+
+// Ledger kinds, by how tokens move in or out of the fee bridge:
+//   deposit     amount pulled from the sender by initiateBridge (fee included)
+//   fee         the fee initiateBridge forwards to owner()
+//   payout      completeBridge paying the receiver
+//   withdrawal  withdrawTokens to owner(); any other outgoing transfer has no other source
+//   funding     tokens sent to the bridge directly
+const KINDS = ["deposit", "fee", "payout", "withdrawal", "funding"];
+const INFLOWS = ["deposit", "funding"];
+
+const CSV_COLUMNS = [
+  "date",
+  "timestamp",
+  "network",
+  "chainId",
+  "feeBridge",
+  "token",
+  "symbol",
+  "kind",
+  "direction",
+  "amount",
+  "amountBaseUnits",
+  "counterparty",
+  "destinationChainId",
+  "bridgeTransactionId",
+  "txHash",
+  "blockNumber",
+  "logIndex"
+];
+
+async function logsInChunks(provider, filter, fromBlock, toBlock) {
+  const logs = [];
+  for (let from = fromBlock; from <= toBlock; from += STEP) {
+    logs.push(...(await provider.getLogs({ ...filter, fromBlock: from, toBlock: Math.min(from + STEP - 1, toBlock) })));
+  }
+  return logs;
+}
+
+async function tokenInfo(provider, address) {
+  const token = new ethers.Contract(address, ERC20_ABI, provider);
+  const [symbol, decimals] = await Promise.all([token.symbol().catch(() => null), token.decimals().catch(() => null)]);
+  return { symbol: symbol || address, decimals: decimals === null ? null : Number(decimals) };
+}
+
+// Every token movement in or out of one fee bridge, classified by the bridge event in the same transaction.
+// record: registry record with contracts.FeeBridge; returns entries in chain order.
+async function readFeeLedger(provider, record, toBlock) {
+  const feeBridge = record.contracts.FeeBridge;
+  const fromBlock = record.blockNumber || 0;
+  toBlock = toBlock ?? (await provider.getBlockNumber());
+  const padded = ethers.zeroPadValue(feeBridge, 32);
+
+  const [bridgeLogs, outgoing, incoming] = await Promise.all([
+    logsInChunks(provider, { address: feeBridge, topics: [[INITIATED, COMPLETED]] }, fromBlock, toBlock),
+    logsInChunks(provider, { topics: [TRANSFER, padded] }, fromBlock, toBlock),
+    logsInChunks(provider, { topics: [TRANSFER, null, padded] }, fromBlock, toBlock)
+  ]);
+
+  const byTx = new Map();
+  for (const log of bridgeLogs) byTx.set(log.transactionHash, feeIface.parseLog(log));
+
+  const blocks = new Map();
+  const tokens = new Map();
+  const entries = [];
+  for (const log of [...outgoing, ...incoming].sort(byChainOrder)) {
+    if (log.removed) continue;
+    const transfer = erc20Iface.parseLog(log);
+    if (!transfer) continue;
+    const inbound = transfer.args.to.toLowerCase() === feeBridge.toLowerCase();
+    const call = byTx.get(log.transactionHash);
+    let kind;
+    if (inbound) kind = call && call.name === "TransactionInitiated" ? "deposit" : "funding";
+    else if (call && call.name === "TransactionInitiated") kind = "fee";
+    else kind = call && call.name === "TransactionCompleted" ? "payout" : "withdrawal";
+
+    if (!blocks.has(log.blockNumber)) blocks.set(log.blockNumber, await provider.getBlock(log.blockNumber));
+    if (!tokens.has(log.address)) tokens.set(log.address, await tokenInfo(provider, log.address));
+    const info = tokens.get(log.address);
+    entries.push({
+      network: record.network,
+      chainId: record.chainId,
+      feeBridge,
+      token: log.address,
+      symbol: info.symbol,
+      decimals: info.decimals,
+      kind,
+      amount: transfer.args.value.toString(),
+      counterparty: inbound ? transfer.args.from : transfer.args.to,
+      destinationChainId: call && call.name === "TransactionInitiated" ? call.args.chainId.toString() : null,
+      bridgeTransactionId: call ? call.args.transactionId.toString() : null,
+      txHash: log.transactionHash,
+      blockNumber: log.blockNumber,
+      logIndex: log.index,
+      timestamp: blocks.get(log.blockNumber).timestamp
+    });
+  }
+  return entries;
+}
+
+const sum = (entries) => entries.reduce((acc, e) => acc + BigInt(e.amount), 0n);
+const changePercent = (current, previous) => (previous ? Number(((current - previous) * 10000n) / previous) / 100 : null);
+
+function group(entries, keyOf) {
+  const groups = new Map();
+  for (const e of entries) {
+    const key = keyOf(e);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(e);
+  }
+  return [...groups.values()];
+}
+
+// Revenue per token, destination chain and day, withdrawals and escrow movements, with the last periodDays
+// compared to the periodDays before. Amounts are base-unit strings.
+function summarizeLedger(entries, { now, periodDays = 7 }) {
+  const current = (e) => e.timestamp >= now - periodDays * DAY;
+  const previous = (e) => e.timestamp >= now - 2 * periodDays * DAY && !current(e);
+  const fees = entries.filter((e) => e.kind === "fee");
+
+  const tokens = group(entries, (e) => `${e.network}:${e.token}`).map((list) => {
+    const of = (kind, when = () => true) => sum(list.filter((e) => e.kind === kind && when(e)));
+    const [revenueCurrent, revenuePrevious] = [of("fee", current), of("fee", previous)];
+    const inflow = sum(list.filter((e) => INFLOWS.includes(e.kind)));
+    const outflow = sum(list.filter((e) => !INFLOWS.includes(e.kind)));
+    return {
+      network: list[0].network,
+      token: list[0].token,
+      symbol: list[0].symbol,
+      feeRevenue: of("fee").toString(),
+      feeCount: list.filter((e) => e.kind === "fee").length,
+      revenueCurrentPeriod: revenueCurrent.toString(),
+      revenuePreviousPeriod: revenuePrevious.toString(),
+      revenueChangePercent: changePercent(revenueCurrent, revenuePrevious),
+      withdrawn: of("withdrawal").toString(),
+      withdrawnCurrentPeriod: of("withdrawal", current).toString(),
+      deposited: of("deposit").toString(),
+      paidOut: of("payout").toString(),
+      funded: of("funding").toString(),
+      // What the ledger says the bridge still holds; compare with balanceOf(feeBridge).
+      escrowNet: (inflow - outflow).toString()
+    };
+  });
+
+  const byDestination = group(fees, (e) => `${e.network}:${e.token}:${e.destinationChainId}`).map((list) => ({
+    network: list[0].network,
+    symbol: list[0].symbol,
+    destinationChainId: list[0].destinationChainId,
+    transfers: list.length,
+    feeRevenue: sum(list).toString(),
+    revenueCurrentPeriod: sum(list.filter(current)).toString(),
+    revenuePreviousPeriod: sum(list.filter(previous)).toString()
+  }));
+
+  const day = (e) => new Date(e.timestamp * 1000).toISOString().slice(0, 10);
+  const daily = group(fees, (e) => `${day(e)}:${e.network}:${e.token}`)
+    .map((list) => ({ date: day(list[0]), network: list[0].network, symbol: list[0].symbol, transfers: list.length, feeRevenue: sum(list).toString() }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  return {
+    periodDays,
+    tokens,
+    byDestination,
+    daily,
+    withdrawals: entries
+      .filter((e) => e.kind === "withdrawal")
+      .map((e) => ({ network: e.network, symbol: e.symbol, amount: e.amount, to: e.counterparty, txHash: e.txHash, at: new Date(e.timestamp * 1000).toISOString() }))
+  };
+}
+
+// One row per movement with decimal amounts, signed by direction, for spreadsheet and accounting imports.
+function ledgerRows(entries) {
+  return entries.map((e) => {
+    const outflow = !INFLOWS.includes(e.kind);
+    const amount = e.decimals === null ? null : ethers.formatUnits(e.amount, e.decimals);
+    return {
+      ...e,
+      date: new Date(e.timestamp * 1000).toISOString().slice(0, 10),
+      direction: outflow ? "out" : "in",
+      amount: amount === null ? null : outflow ? `-${amount}` : amount,
+      amountBaseUnits: outflow ? `-${e.amount}` : e.amount
+    };
+  });
+}
+
+module.exports = { KINDS, CSV_COLUMNS, readFeeLedger, summarizeLedger, ledgerRows };
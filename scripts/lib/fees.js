@@ -0,0 +1,85 @@
+const { ethers } = require("ethers");
+const { FEE_BRIDGE_ABI, ERC20_ABI } = require("./abi");
+
+const BPS = 10000n;
+// Used when initiateBridge cannot be estimated yet, typically because the token is not approved.
+// A first transfer measures about 280k gas: it writes a fresh BridgeTransaction record.
+const INITIATE_GAS_FALLBACK = 300000n;
+
+// Same integer arithmetic as initiateBridge: the fee rounds down, the receiver gets the rest.
+function splitFee(amount, feeBps) {
+  const fee = (BigInt(amount) * BigInt(feeBps)) / BPS;
+  return { fee, netAmount: BigInt(amount) - fee };
+}
+
+// Quotes a transfer through the fee bridge on the source chain.
+// feeBridge: contract (or address + provider), from: sender address, toChainId: destination EVM chain id.
+// Problems that would make initiateBridge revert are listed in `problems`; `ok` is false when there are any.
+async function quoteTransfer({ feeBridge, provider, from, toChainId, token, amount }) {
+  const bridge = typeof feeBridge === "string" ? new ethers.Contract(feeBridge, FEE_BRIDGE_ABI, provider) : feeBridge;
+  provider = provider || bridge.runner.provider;
+  const erc20 = new ethers.Contract(token, ERC20_ABI, provider);
+  amount = BigInt(amount);
+  toChainId = BigInt(toChainId);
+
+  const [feeBps, minimumAmount, destination, network, feeData, balance, allowance] = await Promise.all([
+    bridge.feePercentage(),
+    bridge.minimumAmount(),
+    bridge.chainConfigs(toChainId),
+    provider.getNetwork(),
+    provider.getFeeData(),
+    erc20.balanceOf(from),
+    erc20.allowance(from, bridge.target)
+  ]);
+  const { fee, netAmount } = splitFee(amount, feeBps);
+
+  const problems = [];
+  if (toChainId === network.chainId) problems.push("destination is the source chain");
+  if (!destination.enabled) problems.push(`chain ${toChainId} is not enabled on the fee bridge`);
+  if (amount < minimumAmount) problems.push(`amount is below the minimum of ${minimumAmount}`);
+  if (balance < amount) problems.push(`balance ${balance} is below the amount`);
+
+  const needsApproval = allowance < amount;
+  let initiateGas = INITIATE_GAS_FALLBACK;
+  let estimated = false;
+  if (!needsApproval && !problems.length) {
+    initiateGas = await bridge.initiateBridge.estimateGas(toChainId, from, token, amount, { from });
+    estimated = true;
+  }
+  const approveGas = needsApproval ? await erc20.approve.estimateGas(bridge.target, amount, { from }) : 0n;
+  const gasPrice = feeData.maxFeePerGas || feeData.gasPrice || 0n;
+
+  return {
+    quotedAt: new Date().toISOString(),
+    feeBridge: bridge.target,
+    sourceChainId: network.chainId,
+    destinationChainId: toChainId,
+    token,
+    amount,
+    feeBps,
+    fee,
+    netAmount,
+    minimumAmount,
+    needsApproval,
+    gas: {
+      initiateBridge: initiateGas,
+      approve: approveGas,
+      estimated,
+      pricePerGas: gasPrice,
+      cost: (initiateGas + approveGas) * gasPrice
+    },
+    problems,
+    ok: problems.length === 0
+  };
+}
+
+// Throws when the fee or minimum on chain no longer match what the user was shown.
+async function assertQuoteCurrent(feeBridge, quote) {
+  const [feeBps, minimumAmount] = await Promise.all([feeBridge.feePercentage(), feeBridge.minimumAmount()]);
+  const changes = [];
+  if (feeBps !== quote.feeBps) changes.push(`fee ${quote.feeBps} -> ${feeBps} bps`);
+  if (minimumAmount !== quote.minimumAmount) changes.push(`minimum ${quote.minimumAmount} -> ${minimumAmount}`);
+  if (changes.length) throw new Error(`Fee bridge settings changed since the quote (${changes.join(", ")}); quote again`);
+}
+
+module.exports = { BPS, splitFee, quoteTransfer, assertQuoteCurrent };
@@ -0,0 +1,96 @@
+const { ethers } = require("ethers");
+const { BRIDGE_ABI } = require("./abi");
+const { deployBridge } = require("./deployer");
+const { signRelease } = require("./digest");
+
+const TOKEN_ABI = ["function mint(address to, uint256 amount)", "function approve(address spender, uint256 amount) returns (bool)"];
+
+async function gasOf(txPromise) {
+  const receipt = await (await txPromise).wait();
+  return Number(receipt.gasUsed);
+}
+
+// Validator sets of each size with thresholds 1, a simple majority and all of them.
+function sweepCases(validatorCounts) {
+  const cases = [];
+  for (const n of validatorCounts) {
+    for (const t of [...new Set([1, Math.floor(n / 2) + 1, n])].filter((t) => t <= n)) cases.push({ validators: n, threshold: t });
+  }
+  return cases;
+}
+
+function caseKey({ validators, threshold }) {
+  return `v${validators}-t${threshold}`;
+}
+
+// Deploys a fresh bridge with `validators` random validator keys and measures gas per operation.
+// lockFirst pays for the bridge's first token balance slot; lock is the steady-state cost.
+// release carries exactly `threshold` valid signatures, the minimum the relayer submits.
+async function benchmarkCase({ artifacts, signer, validators, threshold, thisChainId = 1 }) {
+  const keys = Array.from({ length: validators }, () => ethers.Wallet.createRandom());
+  const record = await deployBridge({
+    artifacts,
+    signer,
+    network: "hardhat",
+    thisChainId,
+    validators: keys.map((k) => k.address),
+    threshold,
+    log: () => {}
+  });
+  const provider = signer.provider;
+  const user = await signer.getAddress();
+  const bridge = new ethers.Contract(record.contracts.CrossChainTokenBridge, BRIDGE_ABI, signer);
+  const token = new ethers.Contract(record.contracts.Token, TOKEN_ABI, signer);
+  const amount = ethers.parseEther("10");
+  const toChainId = BigInt(thisChainId) + 1n;
+
+  await (await token.mint(user, amount * 10n)).wait();
+  await (await token.approve(record.contracts.CrossChainTokenBridge, ethers.MaxUint256)).wait();
+
+  const gas = { deploy: Number((await provider.getTransactionReceipt(record.txHash)).gasUsed) };
+  gas.lockFirst = await gasOf(bridge.lock(amount, toChainId, user, 1n));
+  gas.lock = await gasOf(bridge.lock(amount, toChainId, user, 2n));
+
+  const params = { to: user, amount, fromChainId: toChainId, toChainId: BigInt(thisChainId), nonce: 1000n };
+  const signatures = await Promise.all(keys.slice(0, threshold).map((k) => signRelease(k, params)));
+  gas.release = await gasOf(bridge.release(user, amount, params.fromChainId, params.nonce, signatures));
+
+  const extra = ethers.Wallet.createRandom().address;
+  gas.addValidator = await gasOf(bridge.addValidator(extra));
+  gas.removeValidator = await gasOf(bridge.removeValidator(extra));
+  if (validators > 1) {
+    gas.setThreshold = await gasOf(bridge.setThreshold(threshold === 1 ? 2 : threshold - 1));
+    await (await bridge.setThreshold(threshold)).wait();
+  }
+  gas.pause = await gasOf(bridge.pause());
+  gas.unpause = await gasOf(bridge.unpause());
+  return gas;
+}
+
+// results/baseline: { [caseKey]: { [operation]: gas } }. A measurement regresses when it exceeds its
+// baseline by more than marginPercent and counts as an improvement when it is that much below it.
+// Signatures and random addresses make runs differ by a few gas, so the margin should stay above zero.
+function compareToBaseline(results, baseline, marginPercent) {
+  const regressions = [];
+  const improvements = [];
+  const unbaselined = [];
+  for (const [key, ops] of Object.entries(results)) {
+    if (!baseline[key]) {
+      unbaselined.push(key);
+      continue;
+    }
+    for (const [op, gas] of Object.entries(ops)) {
+      const base = baseline[key][op];
+      if (base === undefined) {
+        unbaselined.push(`${key} ${op}`);
+        continue;
+      }
+      const change = { case: key, operation: op, baseline: base, current: gas, changePercent: Number((((gas - base) / base) * 100).toFixed(2)) };
+      if (gas > base * (1 + marginPercent / 100)) regressions.push(change);
+      else if (gas < base * (1 - marginPercent / 100)) improvements.push(change);
+    }
+  }
+  return { regressions, improvements, unbaselined };
+}
+
+module.exports = { sweepCases, caseKey, benchmarkCase, compareToBaseline };
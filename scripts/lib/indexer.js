@@ -0,0 +1,180 @@
+const path = require("path");
+const { ethers } = require("ethers");
+const { BRIDGE_ABI } = require("./abi");
+const { readRegistry, currentDeployments } = require("./deployments");
+const { connectDeployment } = require("./networks");
+const { loadConfig } = require("./config");
+const { recoverReleaseSigner } = require("./digest");
+
+const DEFAULT_STORE = path.join(__dirname, "..", "..", "indexer", "events.jsonl");
+
+const INDEXED_EVENTS = [
+  "Locked",
+  "Released",
+  "ValidatorAdded",
+  "ValidatorRemoved",
+  "ThresholdUpdated",
+  "Paused",
+  "Unpaused",
+  "OwnershipTransferred"
+];
+
+const iface = new ethers.Interface(BRIDGE_ABI);
+const TOPICS = INDEXED_EVENTS.map((name) => iface.getEvent(name).topicHash);
+
+function sourceKey(network, bridge) {
+  return `${network}:${bridge.toLowerCase()}`;
+}
+
+function serializeArgs(parsed) {
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    const v = parsed.args[i];
+    args[input.name] = typeof v === "bigint" ? v.toString() : v;
+  });
+  return args;
+}
+
+// Validators whose signatures a release carried, recovered from the call data. null when release() was
+// reached through another contract, where the signatures are not in the transaction input.
+async function releaseSigners(provider, entry, thisChainId) {
+  const tx = await provider.getTransaction(entry.transactionHash);
+  if (!tx || !tx.to || tx.to.toLowerCase() !== entry.address.toLowerCase()) return null;
+  const call = iface.parseTransaction({ data: tx.data });
+  if (!call || call.name !== "release") return null;
+  const [to, amount, fromChainId, nonce, signatures] = call.args;
+  const signers = [];
+  for (const signature of signatures) {
+    try {
+      const signer = recoverReleaseSigner({ to, amount, fromChainId, toChainId: thisChainId, nonce }, signature);
+      if (!signers.includes(signer)) signers.push(signer);
+    } catch (e) {
+      // A malformed signature cannot be attributed to anyone.
+    }
+  }
+  return signers;
+}
+
+// Follows one or more bridge deployments and writes their events into an event store.
+// sources: [{ network, bridge, provider, startBlock, thisChainId }]
+function createIndexer({ store, sources, step = 2000, confirmations = 0, log = console.log }) {
+  async function findCommonAncestor(src, key) {
+    for (const b of store.recentBlocks(key).reverse()) {
+      const block = await src.provider.getBlock(b.block);
+      if (block && block.hash === b.hash) return b.block;
+    }
+    // The reorg is deeper than the blocks we remember: start over.
+    return src.startBlock - 1;
+  }
+
+  async function indexSource(src) {
+    const key = sourceKey(src.network, src.bridge);
+    let cursor = store.cursor(key);
+
+    if (cursor && cursor.hash) {
+      const block = await src.provider.getBlock(cursor.block);
+      if (!block || block.hash !== cursor.hash) {
+        const ancestor = await findCommonAncestor(src, key);
+        log(`[${src.network}] reorg detected at block ${cursor.block}, rolling back to ${ancestor}`);
+        store.rollback(key, ancestor);
+        cursor = store.cursor(key);
+      }
+    }
+
+    const head = (await src.provider.getBlockNumber()) - (src.confirmations ?? confirmations);
+    const start = Math.max(cursor ? cursor.block + 1 : src.startBlock, src.startBlock);
+    let indexed = 0;
+
+    for (let from = start; from <= head; from += step) {
+      const to = Math.min(from + step - 1, head);
+      const end = await src.provider.getBlock(to);
+      const logs = await src.provider.getLogs({ address: src.bridge, fromBlock: from, toBlock: to, topics: [TOPICS] });
+
+      const blocks = new Map();
+      const events = [];
+      for (const entry of logs) {
+        if (entry.removed) continue;
+        if (!blocks.has(entry.blockNumber)) blocks.set(entry.blockNumber, await src.provider.getBlock(entry.blockNumber));
+        const parsed = iface.parseLog(entry);
+        events.push({
+          source: key,
+          network: src.network,
+          bridge: src.bridge,
+          thisChainId: src.thisChainId,
+          name: parsed.name,
+          blockNumber: entry.blockNumber,
+          blockHash: entry.blockHash,
+          txHash: entry.transactionHash,
+          logIndex: entry.index,
+          timestamp: blocks.get(entry.blockNumber).timestamp,
+          args: serializeArgs(parsed),
+          ...(parsed.name === "Released" && { signers: await releaseSigners(src.provider, entry, src.thisChainId) })
+        });
+      }
+
+      // Block hashes chain, so an unchanged hash at `to` means nothing at or below it was reorged meanwhile.
+      const check = await src.provider.getBlock(to);
+      if (!check || check.hash !== end.hash) {
+        log(`[${src.network}] chain changed while indexing ${from}-${to}, retrying next round`);
+        break;
+      }
+
+      store.recordRange(key, events, to, end.hash);
+      indexed += events.length;
+    }
+    return indexed;
+  }
+
+  async function tick() {
+    const results = {};
+    for (const src of sources) {
+      try {
+        results[src.network] = await indexSource(src);
+      } catch (e) {
+        log(`[${src.network}] indexing failed: ${e.shortMessage || e.message}`);
+        results[src.network] = null;
+      }
+    }
+    return results;
+  }
+
+  return { tick, indexSource };
+}
+
+// One indexer source per current deployment in the registry; `deployment` has the connected contracts.
+// Networks in config/ carry their own confirmation depth; the others use the indexer-wide setting.
+async function registrySources(hardhatConfig, registryFile) {
+  const { chains } = loadConfig();
+  const sources = [];
+  for (const record of currentDeployments(readRegistry(registryFile))) {
+    const deployment = connectDeployment(record, hardhatConfig);
+    sources.push({
+      network: record.network,
+      bridge: record.contracts.CrossChainTokenBridge,
+      provider: deployment.provider,
+      startBlock: record.blockNumber || 0,
+      thisChainId: String(record.params ? record.params.thisChainId : await deployment.bridge.thisChainId()),
+      confirmations: chains[record.network] ? chains[record.network].confirmations : undefined,
+      deployment
+    });
+  }
+  return sources;
+}
+
+// Admin state of a deployment as of the last indexed block, rebuilt from its events.
+function deploymentState(store, source) {
+  const state = { validators: [], threshold: null, paused: false, owner: null };
+  const validators = new Set();
+  for (const e of store.events({ source })) {
+    if (e.name === "ValidatorAdded") validators.add(e.args.validator);
+    else if (e.name === "ValidatorRemoved") validators.delete(e.args.validator);
+    else if (e.name === "ThresholdUpdated") state.threshold = Number(e.args.threshold);
+    else if (e.name === "Paused") state.paused = true;
+    else if (e.name === "Unpaused") state.paused = false;
+    else if (e.name === "OwnershipTransferred") state.owner = e.args.newOwner;
+  }
+  state.validators = [...validators];
+  return state;
+}
+
+module.exports = { DEFAULT_STORE, INDEXED_EVENTS, createIndexer, registrySources, deploymentState, sourceKey };
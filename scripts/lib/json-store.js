@@ -0,0 +1,17 @@
+const fs = require("fs");
+const path = require("path");
+
+function readJson(file, fallback) {
+  if (!fs.existsSync(file)) return fallback;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// Write through a temp file and rename so a crash never leaves half a file behind.
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, (_, v) => (typeof v === "bigint" ? v.toString() : v), 2));
+  fs.renameSync(tmp, file);
+}
+
+module.exports = { readJson, writeJson };
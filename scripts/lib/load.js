@@ -0,0 +1,152 @@
+const { ethers } = require("ethers");
+const { BRIDGE_ABI, ERC20_ABI } = require("./abi");
+const { revertReason } = require("./revert-reasons");
+
+// Arrival-rate curves in transactions per minute as [fractionOfRun, rate] points,
+// interpolated linearly over the run duration.
+const PROFILES = {
+  high: { description: "High traffic scenario", curve: [[0, 1000], [1, 1000]] },
+  low: { description: "Low traffic scenario", curve: [[0, 100], [1, 100]] },
+  peak: { description: "Peak traffic scenario", curve: [[0, 200], [0.5, 1500], [1, 200]] },
+  stable: { description: "Stable traffic scenario", curve: [[0, 800], [1, 800]] }
+};
+
+function rateAt(curve, fraction) {
+  for (let i = 1; i < curve.length; i++) {
+    const [x0, y0] = curve[i - 1];
+    const [x1, y1] = curve[i];
+    if (fraction <= x1) return x1 === x0 ? y1 : y0 + ((y1 - y0) * (fraction - x0)) / (x1 - x0);
+  }
+  return curve[curve.length - 1][1];
+}
+
+// Custom curves may be given in absolute seconds; normalise them to fractions of the run.
+function normalizeCurve(points) {
+  const end = points[points.length - 1][0] || 1;
+  return points.map(([t, rate]) => [t / end, rate]);
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function stats(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const total = sorted.reduce((a, b) => a + b, 0);
+  return {
+    count: sorted.length,
+    avg: sorted.length ? Math.round(total / sorted.length) : 0,
+    min: sorted[0] || 0,
+    max: sorted[sorted.length - 1] || 0,
+    p50: percentile(sorted, 50),
+    p90: percentile(sorted, 90),
+    p99: percentile(sorted, 99)
+  };
+}
+
+// Funds `count` fresh accounts with gas and tokens and approves the bridge from each of them.
+async function prepareAccounts({ funder, bridgeAddress, tokenAddress, count, tokensEach, ethEach }) {
+  const provider = funder.provider;
+  const token = new ethers.Contract(tokenAddress, [...ERC20_ABI, "function mint(address to, uint256 amount)"], funder);
+  const approveGas = [];
+  const wallets = [];
+
+  for (let i = 0; i < count; i++) {
+    const wallet = new ethers.NonceManager(ethers.Wallet.createRandom().connect(provider));
+    const address = await wallet.getAddress();
+    await (await funder.sendTransaction({ to: address, value: ethEach })).wait();
+    // TestToken has an open mint; fall back to a transfer for other tokens.
+    try {
+      await (await token.mint(address, tokensEach)).wait();
+    } catch (e) {
+      await (await token.transfer(address, tokensEach)).wait();
+    }
+    const receipt = await (await token.connect(wallet).approve(bridgeAddress, ethers.MaxUint256)).wait();
+    approveGas.push(Number(receipt.gasUsed));
+    wallets.push({ wallet, address });
+  }
+  return { wallets, approveGas };
+}
+
+async function measureRpcLatency(provider) {
+  const started = Date.now();
+  await provider.getBlockNumber();
+  return Date.now() - started;
+}
+
+// Sends lock() calls following the arrival curve for durationSec and records every outcome.
+async function runLoad({ bridgeAddress, wallets, curve, durationSec, toChainId, amount, tickMs = 100 }) {
+  const provider = wallets[0].wallet.provider;
+  const samples = [];
+  const inFlight = new Set();
+  const rpcLatency = [];
+  let owed = 0;
+  let next = 0;
+  let lastProbe = 0;
+
+  const sendOne = async () => {
+    const account = wallets[next++ % wallets.length];
+    const bridge = new ethers.Contract(bridgeAddress, BRIDGE_ABI, account.wallet);
+    const nonce = BigInt(ethers.hexlify(ethers.randomBytes(32)));
+    const sentAt = Date.now();
+    try {
+      const tx = await bridge.lock(amount, toChainId, account.address, nonce);
+      const receipt = await tx.wait();
+      samples.push({ ok: true, latencyMs: Date.now() - sentAt, gasUsed: Number(receipt.gasUsed), amount });
+    } catch (e) {
+      // A failed send leaves the NonceManager ahead of the chain; resync it.
+      account.wallet.reset();
+      samples.push({ ok: false, latencyMs: Date.now() - sentAt, reason: revertReason(e) || e.shortMessage || e.code || "error" });
+    }
+  };
+
+  const started = Date.now();
+  for (;;) {
+    const elapsed = (Date.now() - started) / 1000;
+    if (elapsed >= durationSec) break;
+    owed += (rateAt(curve, elapsed / durationSec) / 60) * (tickMs / 1000);
+    while (owed >= 1) {
+      owed -= 1;
+      const p = sendOne().finally(() => inFlight.delete(p));
+      inFlight.add(p);
+    }
+    if (Date.now() - lastProbe >= 1000) {
+      lastProbe = Date.now();
+      measureRpcLatency(provider).then((ms) => rpcLatency.push(ms), () => {});
+    }
+    await new Promise((r) => setTimeout(r, tickMs));
+  }
+  await Promise.all(inFlight);
+
+  return { samples, rpcLatency, wallClockSec: (Date.now() - started) / 1000 };
+}
+
+function summarize({ samples, rpcLatency, wallClockSec }, targetCurve) {
+  const ok = samples.filter((s) => s.ok);
+  const reverts = {};
+  for (const s of samples.filter((s) => !s.ok)) reverts[s.reason] = (reverts[s.reason] || 0) + 1;
+
+  const latency = stats(ok.map((s) => s.latencyMs));
+  const volume = ok.reduce((acc, s) => acc + BigInt(s.amount), 0n);
+  const targetRates = targetCurve.map(([, r]) => r);
+
+  return {
+    sent: samples.length,
+    confirmed: ok.length,
+    failed: samples.length - ok.length,
+    durationSeconds: Number(wallClockSec.toFixed(1)),
+    targetTransactionsPerMinute: Math.max(...targetRates),
+    transactionsPerMinute: Number(((ok.length / wallClockSec) * 60).toFixed(1)),
+    totalVolume: volume.toString(),
+    avgTransactionSize: ok.length ? (volume / BigInt(ok.length)).toString() : "0",
+    successRate: samples.length ? Number(((ok.length / samples.length) * 100).toFixed(2)) : 0,
+    avgProcessingTime: latency.avg,
+    networkLatency: stats(rpcLatency).avg,
+    latencyPercentiles: { p50: latency.p50, p90: latency.p90, p99: latency.p99, max: latency.max },
+    gasPerLock: stats(ok.map((s) => s.gasUsed)),
+    reverts
+  };
+}
+
+module.exports = { PROFILES, rateAt, normalizeCurve, percentile, prepareAccounts, runLoad, summarize };
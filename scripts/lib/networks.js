@@ -0,0 +1,41 @@
+const { ethers } = require("ethers");
+const { BRIDGE_ABI, ERC20_ABI } = require("./abi");
+
+// RPC url for a recorded deployment: the url stored with it (plan-only networks) or hardhat.config.js.
+function rpcUrlFor(record, hardhatConfig) {
+  const cfg = (hardhatConfig && hardhatConfig.networks[record.network]) || {};
+  const url = record.rpcUrl || cfg.url;
+  if (!url) throw new Error(`No RPC url for network ${record.network}`);
+  return url;
+}
+
+function connectDeployment(record, hardhatConfig) {
+  // With the chain id known up front the provider never loops on network detection when a node is down.
+  const network = record.chainId ? ethers.Network.from(BigInt(record.chainId)) : undefined;
+  const provider = new ethers.JsonRpcProvider(rpcUrlFor(record, hardhatConfig), network, network && { staticNetwork: network });
+  return {
+    record,
+    network: record.network,
+    provider,
+    bridge: new ethers.Contract(record.contracts.CrossChainTokenBridge, BRIDGE_ABI, provider),
+    token: new ethers.Contract(record.contracts.Token, ERC20_ABI, provider)
+  };
+}
+
+// Local nodes have unlocked accounts; remote networks use the first key from hardhat.config.js.
+async function signerFor(provider, hardhatConfig, network) {
+  const cfg = (hardhatConfig && hardhatConfig.networks[network]) || {};
+  const keys = Array.isArray(cfg.accounts) ? cfg.accounts : [];
+  return keys.length ? new ethers.Wallet(keys[0], provider) : provider.getSigner(0);
+}
+
+// Rejects when promise has not settled after ms; a hung RPC call must not stall a whole round.
+function withTimeout(promise, ms, what) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = { rpcUrlFor, connectDeployment, signerFor, withTimeout };
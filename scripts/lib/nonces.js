@@ -0,0 +1,117 @@
+const { ethers } = require("ethers");
+const { readJson, writeJson } = require("./json-store");
+const { revertReason } = require("./revert-reasons");
+const { transferId } = require("./reconcile");
+
+const STRATEGIES = ["derived", "random"];
+const DOMAIN = ethers.id("CrossChainTokenBridge lock nonce");
+
+// usedNonce is shared by local locks and inbound releases, and inbound releases carry nonces picked on
+// other chains. Hashing the source thisChainId and the sender in keeps two chains or two senders from
+// deriving the same value; the counter makes consecutive locks of one sender distinct.
+function deriveNonce({ sourceChainId, from, toChainId, counter }) {
+  const encoded = ethers.AbiCoder.defaultAbiCoder().encode(
+    ["bytes32", "uint256", "address", "uint256", "uint256"],
+    [DOMAIN, sourceChainId, from, toChainId, counter]
+  );
+  return BigInt(ethers.keccak256(encoded));
+}
+
+function randomNonce() {
+  return BigInt(ethers.hexlify(ethers.randomBytes(32)));
+}
+
+// next() hands out a nonce the bridge has not used yet. "derived" keeps a counter per bridge, sender and
+// destination in stateFile and advances it before returning, so a crash between allocation and lock skips
+// a value instead of reusing it; a lost state file only costs a few usedNonce probes. "random" needs no state.
+function createNonceAllocator({ bridge, sourceChainId, from, toChainId, strategy = "derived", stateFile, maxProbes = 16 }) {
+  if (!STRATEGIES.includes(strategy)) throw new Error(`Unknown nonce strategy "${strategy}" (use ${STRATEGIES.join(" or ")})`);
+  if (strategy === "derived" && !stateFile) throw new Error("The derived nonce strategy needs a stateFile");
+  const key = [sourceChainId, bridge.target, from, toChainId].join(":").toLowerCase();
+
+  function candidate() {
+    if (strategy === "random") return randomNonce();
+    const state = readJson(stateFile, {});
+    const counter = BigInt(state[key] || 0);
+    writeJson(stateFile, { ...state, [key]: (counter + 1n).toString() });
+    return deriveNonce({ sourceChainId, from, toChainId, counter });
+  }
+
+  async function next() {
+    for (let i = 0; i < maxProbes; i++) {
+      const nonce = candidate();
+      if (!(await bridge.usedNonce(nonce))) return nonce;
+    }
+    throw new Error(`No unused nonce after ${maxProbes} probes`);
+  }
+
+  return { strategy, next };
+}
+
+// Calls attempt(nonce) with a fresh nonce. When the nonce is taken between the usedNonce check and the
+// transaction (another lock or a release landed first, reverting with "nonce used"), retries with a new one.
+async function withFreshNonce(allocator, attempt, { retries = 3, onRetry = () => {} } = {}) {
+  for (let i = 0; ; i++) {
+    const nonce = await allocator.next();
+    try {
+      return await attempt(nonce);
+    } catch (e) {
+      if (i >= retries || revertReason(e) !== "nonce used") throw e;
+      onRetry(nonce, e);
+    }
+  }
+}
+
+// Every usedNonce slot (chain, nonce) is claimed either by a local lock or by an inbound transfer: a
+// Locked event on another chain with toChainId = this chain and/or the Released event it produced.
+// More than one claim on a slot is a collision: the later lock reverted, or the inbound transfer can
+// never be released (`stuck`). Chains are keyed by thisChainId, so all deployments of a chain are scanned
+// together.
+function findNonceCollisions(store) {
+  const slots = new Map();
+
+  function claim(chainId, nonce, id, fields) {
+    const key = `${chainId}#${nonce}`;
+    if (!slots.has(key)) slots.set(key, { chainId, nonce, claims: new Map() });
+    const claims = slots.get(key).claims;
+    claims.set(id, { id, ...claims.get(id), ...fields });
+  }
+
+  for (const e of store.events({ name: "Locked" })) {
+    claim(e.thisChainId, e.args.nonce, e.txHash, { kind: "local lock", network: e.network, sender: e.args.from, tx: e.txHash });
+    claim(e.args.toChainId, e.args.nonce, transferId(e.thisChainId, e.args.toChainId, e.args.nonce), {
+      kind: "inbound transfer",
+      sender: e.args.from,
+      lockTx: e.txHash,
+      released: false
+    });
+  }
+  // After all locks, so a release marks its transfer as released whichever order the sources were indexed in.
+  for (const e of store.events({ name: "Released" })) {
+    claim(e.thisChainId, e.args.nonce, transferId(e.args.fromChainId, e.thisChainId, e.args.nonce), {
+      kind: "inbound transfer",
+      network: e.network,
+      released: true,
+      releaseTx: e.txHash
+    });
+  }
+
+  const collisions = [];
+  for (const slot of slots.values()) {
+    if (slot.claims.size < 2) continue;
+    const claims = [...slot.claims.values()];
+    collisions.push({
+      chainId: slot.chainId,
+      nonce: slot.nonce,
+      claims,
+      stuck: claims.filter((c) => c.kind === "inbound transfer" && !c.released).map((c) => c.id)
+    });
+  }
+  return {
+    generatedAt: new Date().toISOString(),
+    summary: { slots: slots.size, collisions: collisions.length, stuck: collisions.reduce((n, c) => n + c.stuck.length, 0) },
+    collisions
+  };
+}
+
+module.exports = { STRATEGIES, deriveNonce, randomNonce, createNonceAllocator, withFreshNonce, findNonceCollisions };
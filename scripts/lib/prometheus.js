@@ -0,0 +1,62 @@
+// Minimal metric registry rendering the Prometheus text exposition format (version 0.0.4).
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatValue(value) {
+  if (typeof value === "boolean") return value ? "1" : "0";
+  const n = Number(value);
+  if (Number.isNaN(n)) return "NaN";
+  if (!Number.isFinite(n)) return n > 0 ? "+Inf" : "-Inf";
+  return String(n);
+}
+
+function createRegistry() {
+  const metrics = [];
+
+  function define(type, name, help, labelNames = []) {
+    const series = new Map();
+
+    function keyOf(labels = {}) {
+      for (const l of Object.keys(labels)) {
+        if (!labelNames.includes(l)) throw new Error(`${name} has no label "${l}"`);
+      }
+      return labelNames.map((l) => `${l}="${escapeLabel(labels[l] !== undefined ? labels[l] : "")}"`).join(",");
+    }
+
+    metrics.push({ type, name, help, series });
+    return {
+      set(labels, value) {
+        series.set(keyOf(labels), value);
+      },
+      inc(labels, by = 1) {
+        const key = keyOf(labels);
+        series.set(key, Number(series.get(key) || 0) + by);
+      },
+      // Drops all series, for gauges that are recomputed from scratch every round.
+      reset() {
+        series.clear();
+      }
+    };
+  }
+
+  function render() {
+    const lines = [];
+    for (const m of metrics) {
+      lines.push(`# HELP ${m.name} ${m.help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}`);
+      lines.push(`# TYPE ${m.name} ${m.type}`);
+      for (const [key, value] of m.series) lines.push(`${m.name}${key ? `{${key}}` : ""} ${formatValue(value)}`);
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  return {
+    gauge: (name, help, labelNames) => define("gauge", name, help, labelNames),
+    counter: (name, help, labelNames) => define("counter", name, help, labelNames),
+    render
+  };
+}
+
+module.exports = { CONTENT_TYPE, createRegistry };
@@ -0,0 +1,111 @@
+// Pairs Locked events on the source chain with Released events on the destination chain.
+// A transfer is identified by (fromChainId, toChainId, nonce); chain ids are bridge thisChainIds.
+const STATUSES = ["completed", "pending", "orphaned", "mismatched"];
+
+function transferId(fromChainId, toChainId, nonce) {
+  return `${fromChainId}->${toChainId}#${nonce}`;
+}
+
+function reconcile(store, { now = Math.floor(Date.now() / 1000) } = {}) {
+  const locks = store.events({ name: "Locked" });
+  const releases = store.events({ name: "Released" });
+  const indexedChains = new Set([...locks, ...releases].map((e) => e.thisChainId));
+  for (const e of store.events({ name: "ThresholdUpdated" })) indexedChains.add(e.thisChainId);
+
+  const releasesById = new Map();
+  for (const r of releases) {
+    releasesById.set(transferId(r.args.fromChainId, r.thisChainId, r.args.nonce), r);
+  }
+
+  const transfers = [];
+  const matched = new Set();
+
+  for (const l of locks) {
+    const id = transferId(l.thisChainId, l.args.toChainId, l.args.nonce);
+    const r = releasesById.get(id);
+    const row = {
+      id,
+      fromChainId: l.thisChainId,
+      toChainId: l.args.toChainId,
+      nonce: l.args.nonce,
+      sender: l.args.from,
+      lockedTo: l.args.to,
+      lockedAmount: l.args.amount,
+      lockTx: l.txHash,
+      lockedAt: l.timestamp,
+      releasedTo: null,
+      releasedAmount: null,
+      releaseTx: null,
+      releasedAt: null,
+      ageSeconds: null,
+      status: null,
+      issues: []
+    };
+
+    if (r) {
+      matched.add(id);
+      Object.assign(row, {
+        releasedTo: r.args.to,
+        releasedAmount: r.args.amount,
+        releaseTx: r.txHash,
+        releasedAt: r.timestamp
+      });
+      if (r.args.to !== l.args.to) row.issues.push("recipient differs");
+      if (r.args.amount !== l.args.amount) row.issues.push("amount differs");
+      row.status = row.issues.length ? "mismatched" : "completed";
+    } else {
+      row.status = "pending";
+      row.ageSeconds = Math.max(now - l.timestamp, 0);
+      if (!indexedChains.has(l.args.toChainId)) row.issues.push("destination chain not indexed");
+    }
+    transfers.push(row);
+  }
+
+  for (const [id, r] of releasesById) {
+    if (matched.has(id)) continue;
+    transfers.push({
+      id,
+      fromChainId: r.args.fromChainId,
+      toChainId: r.thisChainId,
+      nonce: r.args.nonce,
+      sender: null,
+      lockedTo: null,
+      lockedAmount: null,
+      lockTx: null,
+      lockedAt: null,
+      releasedTo: r.args.to,
+      releasedAmount: r.args.amount,
+      releaseTx: r.txHash,
+      releasedAt: r.timestamp,
+      ageSeconds: null,
+      status: "orphaned",
+      issues: [indexedChains.has(r.args.fromChainId) ? "no matching Locked event" : "source chain not indexed"]
+    });
+  }
+
+  const summary = Object.fromEntries(STATUSES.map((s) => [s, 0]));
+  for (const t of transfers) summary[t.status]++;
+  const pending = transfers.filter((t) => t.status === "pending");
+  summary.oldestPendingSeconds = pending.length ? Math.max(...pending.map((t) => t.ageSeconds)) : 0;
+
+  return { generatedAt: new Date(now * 1000).toISOString(), summary, transfers };
+}
+
+const CSV_COLUMNS = [
+  "id",
+  "status",
+  "fromChainId",
+  "toChainId",
+  "nonce",
+  "sender",
+  "lockedTo",
+  "lockedAmount",
+  "releasedTo",
+  "releasedAmount",
+  "ageSeconds",
+  "lockTx",
+  "releaseTx",
+  "issues"
+];
+
+module.exports = { reconcile, transferId, STATUSES, CSV_COLUMNS };
@@ -0,0 +1,195 @@
+const { readJson, writeJson } = require("./json-store");
+const { signRelease } = require("./digest");
+const { aggregateSignatures, explainAggregation } = require("./aggregator");
+const { queryInChunks } = require("./events");
+
+const MAX_BLOCK_RANGE = 2000;
+
+function transferKey(fromChainId, nonce) {
+  return `${fromChainId}:${nonce}`;
+}
+
+async function requestSignature(validator, transfer) {
+  if (validator.wallet) {
+    return { signer: validator.wallet.address, signature: await signRelease(validator.wallet, transfer) };
+  }
+
+  const res = await fetch(`${validator.url.replace(/\/$/, "")}/sign`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({
+      fromChainId: transfer.fromChainId,
+      toChainId: transfer.toChainId,
+      nonce: transfer.nonce,
+      to: transfer.to,
+      amount: transfer.amount,
+      txHash: transfer.lockTx
+    })
+  });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(body.error || `HTTP ${res.status}`);
+  return body;
+}
+
+function createRelayer({ chains, validators, stateFile, pollIntervalMs = 4000, log = console.log }) {
+  const state = readJson(stateFile, { chains: {}, transfers: {} });
+  let timer = null;
+  let running = false;
+
+  function save() {
+    writeJson(stateFile, state);
+  }
+
+  function update(key, fields) {
+    state.transfers[key] = { ...state.transfers[key], ...fields, updatedAt: new Date().toISOString() };
+    save();
+  }
+
+  async function scanChain(chain) {
+    const cursor = state.chains[chain.thisChainId] || { lastBlock: chain.startBlock - 1 };
+    const head = await chain.provider.getBlockNumber();
+    const safe = head - chain.confirmations;
+
+    for (let from = cursor.lastBlock + 1; from <= safe; from += MAX_BLOCK_RANGE) {
+      const to = Math.min(from + MAX_BLOCK_RANGE - 1, safe);
+      const events = await chain.bridge.queryFilter(chain.bridge.filters.Locked(), from, to);
+
+      for (const ev of events) {
+        const key = transferKey(chain.thisChainId, ev.args.nonce.toString());
+        if (state.transfers[key]) continue;
+        state.transfers[key] = {
+          status: "pending",
+          fromChainId: chain.thisChainId,
+          toChainId: ev.args.toChainId.toString(),
+          nonce: ev.args.nonce.toString(),
+          from: ev.args.from,
+          to: ev.args.to,
+          amount: ev.args.amount.toString(),
+          lockTx: ev.transactionHash,
+          lockBlock: ev.blockNumber,
+          attempts: 0,
+          updatedAt: new Date().toISOString()
+        };
+        log(`[${chain.name}] Locked nonce ${ev.args.nonce} -> chain ${ev.args.toChainId}`);
+      }
+
+      state.chains[chain.thisChainId] = { lastBlock: to };
+      save();
+    }
+  }
+
+  async function findRelease(dest, transfer) {
+    // Straight from the node: the provider's cached block number can predate the release that set usedNonce.
+    const head = Number(await dest.provider.send("eth_blockNumber", []));
+    const events = await queryInChunks(dest.bridge, dest.bridge.filters.Released(transfer.to), dest.startBlock, head, MAX_BLOCK_RANGE);
+    return events.find(
+      (ev) => ev.args.nonce.toString() === transfer.nonce && ev.args.fromChainId.toString() === transfer.fromChainId
+    );
+  }
+
+  async function collectSignatures(transfer) {
+    const signatures = [];
+    for (const validator of validators) {
+      try {
+        const { signature } = await requestSignature(validator, transfer);
+        signatures.push(signature);
+      } catch (e) {
+        log(`Validator ${validator.url || validator.wallet.address} refused nonce ${transfer.nonce}: ${e.message}`);
+      }
+    }
+    return signatures;
+  }
+
+  async function settleSubmitted(key, transfer, dest) {
+    const receipt = await dest.provider.getTransactionReceipt(transfer.releaseTx);
+    if (receipt) {
+      if (receipt.status === 1) update(key, { status: "released", releaseBlock: receipt.blockNumber });
+      else update(key, { status: "pending", lastError: `release ${transfer.releaseTx} reverted` });
+      return;
+    }
+    // Not mined and no longer known to the node: the transaction was dropped, try again.
+    if (!(await dest.provider.getTransaction(transfer.releaseTx))) {
+      update(key, { status: "pending", lastError: `release ${transfer.releaseTx} dropped` });
+    }
+  }
+
+  async function relay(key, transfer, dest) {
+    if (await dest.bridge.usedNonce(transfer.nonce)) {
+      const ev = await findRelease(dest, transfer);
+      if (ev) update(key, { status: "released", releaseTx: ev.transactionHash, releaseBlock: ev.blockNumber });
+      else update(key, { status: "nonce-used", lastError: `nonce ${transfer.nonce} already used on chain ${dest.thisChainId}` });
+      return;
+    }
+    if (await dest.bridge.paused()) return;
+
+    // Only submit a signature set that is known to pass _verifyThreshold.
+    const aggregated = await aggregateSignatures(dest.bridge, transfer, await collectSignatures(transfer));
+    if (!aggregated.ok) {
+      update(key, { attempts: transfer.attempts + 1, lastError: explainAggregation(aggregated) });
+      return;
+    }
+
+    const tx = await dest.bridge
+      .connect(dest.signer)
+      .release(transfer.to, transfer.amount, transfer.fromChainId, transfer.nonce, aggregated.signatures);
+    // Persist the hash before waiting so a restart checks this tx instead of sending another.
+    update(key, { status: "submitted", releaseTx: tx.hash, attempts: transfer.attempts + 1 });
+    log(`[${dest.name}] release nonce ${transfer.nonce} sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+    update(key, { status: "released", releaseBlock: receipt.blockNumber, lastError: undefined });
+    log(`[${dest.name}] release nonce ${transfer.nonce} confirmed in block ${receipt.blockNumber}`);
+  }
+
+  async function processTransfers() {
+    for (const [key, transfer] of Object.entries(state.transfers)) {
+      if (transfer.status !== "pending" && transfer.status !== "submitted") continue;
+
+      const dest = chains.get(transfer.toChainId);
+      if (!dest) {
+        update(key, { status: "unroutable", lastError: `no bridge configured for chain ${transfer.toChainId}` });
+        continue;
+      }
+
+      try {
+        if (transfer.status === "submitted") await settleSubmitted(key, transfer, dest);
+        else await relay(key, transfer, dest);
+      } catch (e) {
+        update(key, { lastError: e.shortMessage || e.message });
+        log(`[${dest.name}] nonce ${transfer.nonce}: ${e.shortMessage || e.message}`);
+      }
+    }
+  }
+
+  async function tick() {
+    for (const chain of chains.values()) {
+      try {
+        await scanChain(chain);
+      } catch (e) {
+        log(`[${chain.name}] scan failed: ${e.shortMessage || e.message}`);
+      }
+    }
+    await processTransfers();
+  }
+
+  async function loop() {
+    if (!running) return;
+    await tick();
+    if (running) timer = setTimeout(loop, pollIntervalMs);
+  }
+
+  return {
+    state,
+    tick,
+    start() {
+      running = true;
+      return loop();
+    },
+    stop() {
+      running = false;
+      clearTimeout(timer);
+    }
+  };
+}
+
+module.exports = { createRelayer, transferKey };
@@ -0,0 +1,96 @@
+const { ethers } = require("ethers");
+const { BRIDGE_ABI } = require("./abi");
+const { releaseDigest, releaseMessageHash } = require("./digest");
+const { aggregateSignatures } = require("./aggregator");
+const { explainRevert } = require("./revert-reasons");
+
+const iface = new ethers.Interface(BRIDGE_ABI);
+
+// release(to, amount, fromChainId, nonce, signatures) arguments from raw calldata.
+function decodeRelease(data) {
+  let call;
+  try {
+    call = iface.parseTransaction({ data });
+  } catch (e) {
+    call = null;
+  }
+  if (!call || call.name !== "release") throw new Error("not a release(to, amount, fromChainId, nonce, signatures) call");
+  const [to, amount, fromChainId, nonce, signatures] = call.args;
+  return { to, amount, fromChainId, nonce, signatures: [...signatures] };
+}
+
+function ecdsaError(reason) {
+  if (reason.startsWith("length")) return "ECDSAInvalidSignatureLength";
+  if (reason === "high s value") return "ECDSAInvalidSignatureS";
+  return "ECDSAInvalidSignature";
+}
+
+// The first check release() fails, in the order the contract runs them, or null if it would pass.
+// _verifyThreshold recovers signatures in order and returns once threshold distinct validators signed,
+// so a malformed entry only reverts when it comes before that point.
+function firstFailure({ call, paused, thisChainId, nonceUsed, threshold, signatures }) {
+  const fail = (reason, detail) => ({ reason, detail, explanation: explainRevert({ reason }) });
+  if (paused) return fail("EnforcedPause", "paused() is true; unpause before retrying");
+  if (call.to === ethers.ZeroAddress) return fail("to=0");
+  if (call.amount === 0n) return fail("amount=0");
+  if (call.fromChainId === BigInt(thisChainId)) {
+    return fail("bad fromChain", `fromChainId ${call.fromChainId} is this bridge's thisChainId; it must name the source chain`);
+  }
+  if (nonceUsed) return fail("nonce used", `usedNonce(${call.nonce}) is true; the release already happened or a lock here took the nonce`);
+  if (signatures.length < threshold) return fail("not enough sigs", `${signatures.length} signatures, threshold ${threshold}`);
+
+  let valid = 0;
+  for (const s of signatures) {
+    if (s.status === "malformed") return fail(ecdsaError(s.reason), `signature #${s.index}: ${s.reason}`);
+    if (s.status === "valid" && ++valid >= threshold) return null;
+  }
+  const strangers = signatures.filter((s) => s.status === "not-validator").length;
+  return fail(
+    "threshold not met",
+    `${valid} of ${threshold} distinct validator signatures` +
+      (strangers
+        ? `; ${strangers} recovered to non-validators, which usually means they signed different fields` +
+          ` (to, amount, fromChainId, nonce, or a thisChainId other than ${thisChainId})`
+        : "")
+  );
+}
+
+// Replays release() checks against the bridge as of blockTag (the block before a mined transaction, so
+// usedNonce and paused are what the transaction saw). bridge: contract with a provider runner.
+async function inspectRelease(bridge, call, { blockTag, from } = {}) {
+  const at = { blockTag };
+  const [thisChainId, threshold, validatorCount, paused, nonceUsed] = await Promise.all([
+    bridge.thisChainId(at),
+    bridge.threshold(at),
+    bridge.validatorCount(at),
+    bridge.paused(at),
+    bridge.usedNonce(call.nonce, at)
+  ]);
+  const params = { ...call, toChainId: thisChainId };
+  const { details } = await aggregateSignatures(bridge, call, call.signatures, { blockTag });
+
+  const inspection = {
+    call,
+    thisChainId: Number(thisChainId),
+    threshold: Number(threshold),
+    validatorCount: Number(validatorCount),
+    paused,
+    nonceUsed,
+    digest: releaseDigest(params),
+    messageHash: releaseMessageHash(params),
+    signatures: details
+  };
+  inspection.failure = firstFailure(inspection);
+
+  // What the node itself says, to catch anything the replay above does not model (e.g. the token transfer).
+  try {
+    const data = iface.encodeFunctionData("release", [call.to, call.amount, call.fromChainId, call.nonce, call.signatures]);
+    await bridge.runner.call({ to: bridge.target, from, data, blockTag });
+    inspection.simulated = null;
+  } catch (e) {
+    inspection.simulated = explainRevert(e);
+  }
+  return inspection;
+}
+
+module.exports = { decodeRelease, inspectRelease };
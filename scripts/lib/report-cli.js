@@ -0,0 +1,178 @@
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const { createEventStore } = require("./event-store");
+const { DEFAULT_STORE, createIndexer, registrySources } = require("./indexer");
+const { readRegistry, currentDeployments } = require("./deployments");
+const { readEscrowBalances } = require("./solvency");
+const { connectDeployment, withTimeout } = require("./networks");
+const { expectedState, readDeployedState, diffState } = require("./drift");
+const { readSecurityFacts } = require("./security-checks");
+const { readJson } = require("./json-store");
+const { toCsv } = require("./csv");
+const { CSV_COLUMNS: LEDGER_COLUMNS, readFeeLedger, ledgerRows } = require("./fee-ledger");
+const { prepareContext, sectionsFor } = require("./report-sections");
+const { validateRules, buildReport } = require("./report-engine");
+const { FORMATS, writeReport } = require("./report-format");
+const { DEFAULT_HISTORY, DEFAULT_TRENDS, validateTrends, trendMetrics, createHistory, compareRuns, withTrends } = require("./report-history");
+
+const DEFAULT_RULES = path.join(__dirname, "..", "..", "report.rules.json");
+const FORMAT_ALIASES = { md: "markdown" };
+
+function loadRules(file) {
+  const explicit = file || process.env.REPORT_RULES;
+  const spec = readJson(explicit || DEFAULT_RULES, null);
+  if (!spec) {
+    if (explicit) throw new Error(`Report rules file not found: ${explicit}`);
+    return { options: {}, rules: [], trends: DEFAULT_TRENDS };
+  }
+  const errors = [...validateRules(spec), ...validateTrends(spec.trends)];
+  if (errors.length) throw new Error(`Invalid report rules ${explicit || DEFAULT_RULES}:\n  ${errors.join("\n  ")}`);
+  return { options: spec.options || {}, rules: spec.rules, trends: { ...DEFAULT_TRENDS, ...spec.trends } };
+}
+
+function parseFormats(list) {
+  return list.split(",").map((f) => {
+    const format = FORMAT_ALIASES[f.trim()] || f.trim();
+    if (!FORMATS[format]) throw new Error(`Unknown report format "${f}" (json, md, html, csv)`);
+    return format;
+  });
+}
+
+// withFacts: also run the live security reads (owner code, open allowances), which scan the token's Approval logs.
+async function readChainStates(records, hardhatConfig, timeoutMs, withFacts) {
+  const states = [];
+  for (const record of records) {
+    const base = { network: record.network, bridge: record.contracts.CrossChainTokenBridge };
+    let provider;
+    try {
+      const conn = connectDeployment(record, hardhatConfig);
+      provider = conn.provider;
+      const state = await withTimeout(readDeployedState(conn.bridge, record.blockNumber || 0), timeoutMs, `${record.network} state`);
+      const facts =
+        withFacts && !state.missing
+          ? await withTimeout(readSecurityFacts(conn, state, record.blockNumber || 0), timeoutMs, `${record.network} security checks`).catch((e) => {
+              console.error(`Security checks for ${record.network} incomplete: ${e.shortMessage || e.message}`);
+              return null;
+            })
+          : null;
+      states.push({ ...base, state, diffs: diffState(expectedState(record), state), facts });
+    } catch (e) {
+      states.push({ ...base, error: e.shortMessage || e.message });
+    } finally {
+      if (provider) provider.destroy();
+    }
+  }
+  return states;
+}
+
+// Fee bridge ledgers of the deployments that record contracts.FeeBridge; a chain that cannot be read is listed in errors.
+async function readFeeLedgers(records, hardhatConfig, timeoutMs) {
+  const ledger = { entries: [], errors: [] };
+  for (const record of records.filter((r) => r.contracts.FeeBridge)) {
+    let provider;
+    try {
+      provider = connectDeployment(record, hardhatConfig).provider;
+      ledger.entries.push(...(await withTimeout(readFeeLedger(provider, record), timeoutMs, `${record.network} fee ledger`)));
+    } catch (e) {
+      console.error(`Fee ledger for ${record.network} unavailable: ${e.shortMessage || e.message}`);
+      ledger.errors.push({ network: record.network, error: e.shortMessage || e.message });
+    } finally {
+      if (provider) provider.destroy();
+    }
+  }
+  return ledger;
+}
+
+// "What changed since": the last recorded run of a kind (report or monitor) against the history before it.
+function printHistory(history, trends, opts) {
+  if (!history) throw new Error("history cannot be combined with --no-history");
+  if (opts.since !== undefined) trends = { ...trends, baselineHours: Number(opts.since) };
+  const all = history.runs({ kind: opts.kind, network: opts.network });
+  if (!all.length) return console.log(`No ${opts.kind} runs recorded in ${history.file}${opts.network ? ` for ${opts.network}` : ""}`);
+  const last = all[all.length - 1];
+  const runs = history.runs({ kind: opts.kind, report: last.report, network: last.network || null });
+  const scope = [last.report, last.network].filter(Boolean).join(", ");
+  console.log(`Last ${opts.kind} run ${new Date(last.at * 1000).toISOString()}${scope ? ` (${scope})` : ""}, ${runs.length} runs recorded`);
+  for (const c of compareRuns(trends, runs, last)) {
+    const change = c.previous === null ? `${c.current} (no earlier value)` : `${c.previous} -> ${c.current} (${c.changePercent === null ? c.change : `${c.changePercent}%`}) since ${c.since}`;
+    console.log(`${c.regression ? "REGRESSION " : ""}${c.metric}: ${[c.trend, change].filter(Boolean).join(" ")}`);
+  }
+}
+
+// Shared entry point of bridge-report.js and the per-topic analysis scripts. defaults: report names used
+// when none are given on the command line.
+async function runReportCli(defaults = []) {
+  const { values: opts, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      format: { type: "string", default: "json" },
+      out: { type: "string", default: "./reports" },
+      rules: { type: "string" },
+      store: { type: "string" },
+      network: { type: "string" },
+      "no-index": { type: "boolean" },
+      history: { type: "string" },
+      "no-history": { type: "boolean" },
+      since: { type: "string" },
+      kind: { type: "string", default: "report" },
+      strict: { type: "boolean" },
+      timeout: { type: "string", default: "30000" }
+    }
+  });
+  const history = opts["no-history"] ? null : createHistory(opts.history || process.env.REPORT_HISTORY || DEFAULT_HISTORY);
+  if (positionals[0] === "history") return printHistory(history, loadRules(opts.rules).trends, opts);
+
+  const names = positionals.length ? positionals : defaults;
+  if (!names.length) throw new Error("Name at least one report, e.g. bridge-report.js security financial");
+  const formats = parseFormats(opts.format);
+  const spec = loadRules(opts.rules);
+
+  const hre = require("hardhat");
+  const records = currentDeployments(readRegistry()).filter((r) => !opts.network || r.network === opts.network);
+  if (!records.length) throw new Error("No deployments recorded in deployments.json");
+  const store = createEventStore(opts.store || process.env.INDEXER_STORE || DEFAULT_STORE);
+  if (!opts["no-index"]) {
+    const sources = (await registrySources(hre.config)).filter((s) => !opts.network || s.network === opts.network);
+    await createIndexer({ store, sources, log: (...args) => console.error(...args) }).tick();
+    sources.forEach((s) => s.provider.destroy());
+  }
+
+  const ctx = prepareContext({
+    store,
+    deployments: records,
+    balances: await readEscrowBalances(hre.config)
+      .then((balances) => balances.filter((b) => !opts.network || b.network === opts.network))
+      .catch((e) => {
+        console.error(`Escrow balances unavailable, solvency is left out: ${e.shortMessage || e.message}`);
+        return null;
+      }),
+    chainStates: await readChainStates(records, hre.config, Number(opts.timeout), sectionsFor(names).includes("security")),
+    feeLedger: sectionsFor(names).includes("fees") ? await readFeeLedgers(records, hre.config, Number(opts.timeout)) : null,
+    options: spec.options
+  });
+  let report = buildReport(names, ctx, spec);
+  if (history) {
+    const run = { kind: "report", report: report.report, network: opts.network || null, at: ctx.now, metrics: trendMetrics(spec.trends, report.sections) };
+    report = withTrends(report, spec.trends, compareRuns(spec.trends, history.runs({ kind: "report", report: run.report, network: run.network }), run));
+    history.append(run);
+  }
+  const name = `${names.join("-")}-${Date.now()}`;
+  const files = writeReport(report, { dir: opts.out, name, formats });
+  if (ctx.feeLedger) {
+    // The ledger itself, one movement per row, for accounting imports.
+    const file = path.join(opts.out, `${name}-fee-ledger.csv`);
+    fs.writeFileSync(file, toCsv(ledgerRows(ctx.feeLedger.entries), LEDGER_COLUMNS));
+    files.push(file);
+  }
+
+  for (const r of [...report.findings, ...report.recommendations]) {
+    console.log(`${r.type === "finding" ? "FINDING" : "RECOMMEND"} [${r.severity}] ${r.message}`);
+    for (const [field, value] of Object.entries(r.evidence || {})) console.log(`    ${field}: ${Array.isArray(value) ? value.join(", ") : value}`);
+  }
+  console.log(`Report ${report.report}: ${report.findings.length} findings, ${report.recommendations.length} recommendations`);
+  files.forEach((f) => console.log("Saved:", f));
+  if (opts.strict && report.findings.some((f) => f.severity === "critical")) process.exitCode = 2;
+}
+
+module.exports = { DEFAULT_RULES, loadRules, runReportCli };
@@ -0,0 +1,109 @@
+const { SECTIONS, sectionsFor } = require("./report-sections");
+
+const OPERATORS = {
+  "<": (c) => c < 0,
+  "<=": (c) => c <= 0,
+  ">": (c) => c > 0,
+  ">=": (c) => c >= 0,
+  "==": (c) => c === 0,
+  "!=": (c) => c !== 0
+};
+const SEVERITIES = ["info", "warning", "critical"];
+const TYPES = ["finding", "recommendation"];
+
+const isInteger = (v) => typeof v === "bigint" || (typeof v === "number" && Number.isInteger(v)) || (typeof v === "string" && /^-?\d+$/.test(v));
+
+// Amounts are base-unit strings that do not fit a double, so integers compare as BigInt.
+function compare(a, b) {
+  if (typeof a === "boolean" || typeof b === "boolean") return a === b ? 0 : 1;
+  if (isInteger(a) && isInteger(b)) {
+    const [x, y] = [BigInt(a), BigInt(b)];
+    return x < y ? -1 : x > y ? 1 : 0;
+  }
+  const [x, y] = [Number(a), Number(b)];
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+// Rules file: { options: { <section>: {...} }, rules: [{ id, section, metric, op, value, type, severity, message, each?, evidence? }] }.
+// metric is a dot path into the section's data; with each (an array field such as "chains") the rule runs per
+// item and the message can use the item's fields, e.g. {network}. {value} and {threshold} are always available.
+// evidence lists further fields (paths, like metric) copied into every result.
+function validateRules(spec) {
+  const errors = [];
+  if (!spec || typeof spec !== "object" || !Array.isArray(spec.rules)) return ["expected { rules: [...] }"];
+  const ids = new Set();
+  spec.rules.forEach((r, i) => {
+    const at = `rules[${i}]${r && r.id ? ` (${r.id})` : ""}`;
+    if (!r || typeof r.id !== "string" || !r.id) return errors.push(`${at}: id is required`);
+    if (ids.has(r.id)) errors.push(`${at}: duplicate id`);
+    ids.add(r.id);
+    if (!SECTIONS[r.section]) errors.push(`${at}: unknown section "${r.section}" (${Object.keys(SECTIONS).join(", ")})`);
+    if (typeof r.metric !== "string" || !r.metric) errors.push(`${at}: metric is required`);
+    if (!OPERATORS[r.op]) errors.push(`${at}: op must be one of ${Object.keys(OPERATORS).join(" ")}`);
+    if (!["number", "string", "boolean"].includes(typeof r.value)) errors.push(`${at}: value must be a number, string or boolean`);
+    if (!TYPES.includes(r.type)) errors.push(`${at}: type must be ${TYPES.join(" or ")}`);
+    if (r.severity !== undefined && !SEVERITIES.includes(r.severity)) errors.push(`${at}: severity must be one of ${SEVERITIES.join(", ")}`);
+    if (typeof r.message !== "string" || !r.message) errors.push(`${at}: message is required`);
+    if (r.evidence !== undefined && !(Array.isArray(r.evidence) && r.evidence.every((f) => typeof f === "string" && f))) {
+      errors.push(`${at}: evidence must be a list of field names`);
+    }
+  });
+  for (const section of Object.keys(spec.options || {})) {
+    if (!SECTIONS[section]) errors.push(`options.${section}: unknown section`);
+  }
+  return errors;
+}
+
+function readPath(data, path) {
+  return path.split(".").reduce((v, key) => (v === undefined || v === null ? undefined : v[key]), data);
+}
+
+const interpolate = (template, fields) => template.replace(/\{(\w+)\}/g, (m, key) => (fields[key] === undefined ? m : String(fields[key])));
+
+// A metric that is null (no data yet, chain unreachable) is skipped; one that does not exist is a rule error.
+function evaluateRules(rules, sections) {
+  const results = [];
+  for (const rule of rules) {
+    const data = sections[rule.section];
+    if (!data) continue;
+    const items = rule.each ? readPath(data, rule.each) : [data];
+    if (!Array.isArray(items)) throw new Error(`Report rule ${rule.id}: ${rule.section}.${rule.each} is not a list`);
+    for (const item of items) {
+      const value = readPath(item, rule.metric);
+      if (value === undefined) throw new Error(`Report rule ${rule.id}: ${rule.section}${rule.each ? `.${rule.each}[]` : ""} has no metric "${rule.metric}"`);
+      if (value === null || !OPERATORS[rule.op](compare(value, rule.value))) continue;
+      const context = rule.each ? item : {};
+      results.push({
+        rule: rule.id,
+        type: rule.type,
+        section: rule.section,
+        severity: rule.severity || "info",
+        network: context.network || null,
+        message: interpolate(rule.message, { ...context, value, threshold: rule.value }),
+        value,
+        threshold: rule.value,
+        evidence: rule.evidence ? Object.fromEntries(rule.evidence.map((field) => [field, readPath(item, field) ?? null])) : null
+      });
+    }
+  }
+  return results;
+}
+
+// One report over any mix of named reports and sections; findings and recommendations come only from rules.
+function buildReport(names, ctx, spec = { rules: [] }) {
+  const ids = sectionsFor(names);
+  const sections = {};
+  for (const id of ids) sections[id] = SECTIONS[id].collect(ctx);
+  const results = evaluateRules(spec.rules, sections);
+  return {
+    report: names.join("+"),
+    timestamp: new Date(ctx.now * 1000).toISOString(),
+    bridgeAddresses: ctx.deployments.map((d) => ({ network: d.network, bridge: d.contracts.CrossChainTokenBridge })),
+    sections,
+    titles: Object.fromEntries(ids.map((id) => [id, SECTIONS[id].title])),
+    findings: results.filter((r) => r.type === "finding"),
+    recommendations: results.filter((r) => r.type === "recommendation")
+  };
+}
+
+module.exports = { OPERATORS, SEVERITIES, readPath, validateRules, evaluateRules, buildReport };
@@ -0,0 +1,101 @@
+const fs = require("fs");
+const path = require("path");
+const { toCsv } = require("./csv");
+
+const FORMATS = { json: "json", markdown: "md", html: "html", csv: "csv" };
+
+const isRowList = (v) => Array.isArray(v) && v.length > 0 && v.every((x) => x && typeof x === "object" && !Array.isArray(x));
+const cell = (v) => (v === null || v === undefined ? "" : Array.isArray(v) ? v.join("; ") : typeof v === "object" ? JSON.stringify(v) : String(v));
+
+// Splits section data into scalar fields (nested objects flattened to dot paths) and tables (lists of objects).
+function layout(data, prefix = "", out = { fields: [], tables: [] }) {
+  for (const [key, value] of Object.entries(data)) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (isRowList(value)) out.tables.push({ name, columns: [...new Set(value.flatMap(Object.keys))], rows: value });
+    else if (value && typeof value === "object" && !Array.isArray(value)) layout(value, name, out);
+    else out.fields.push([name, value]);
+  }
+  return out;
+}
+
+const evidenceText = (evidence) => (evidence ? Object.entries(evidence).map(([k, v]) => `${k}: ${cell(v)}`).join(", ") : "");
+
+function results(report) {
+  return [...report.findings, ...report.recommendations];
+}
+
+function markdown(report) {
+  const row = (cells) => `| ${cells.map((c) => cell(c).replace(/\|/g, "\\|")).join(" | ")} |`;
+  const table = (columns, rows) => [row(columns), row(columns.map(() => "---")), ...rows.map(row)].join("\n");
+  const lines = [`# Bridge report: ${report.report}`, "", `Generated ${report.timestamp}`, ""];
+  lines.push(table(["network", "bridge"], report.bridgeAddresses.map((b) => [b.network, b.bridge])), "");
+  lines.push("## Findings and recommendations", "");
+  const all = results(report);
+  lines.push(all.length ? table(["type", "severity", "rule", "message", "evidence"], all.map((r) => [r.type, r.severity, r.rule, r.message, evidenceText(r.evidence)])) : "None.", "");
+  for (const [id, data] of Object.entries(report.sections)) {
+    const { fields, tables } = layout(data);
+    lines.push(`## ${report.titles[id]}`, "");
+    if (fields.length) lines.push(table(["metric", "value"], fields), "");
+    for (const t of tables) lines.push(`### ${t.name}`, "", table(t.columns, t.rows.map((r) => t.columns.map((c) => r[c]))), "");
+  }
+  return lines.join("\n");
+}
+
+function html(report) {
+  const esc = (v) => cell(v).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+  const table = (columns, rows) =>
+    `<table><tr>${columns.map((c) => `<th>${esc(c)}</th>`).join("")}</tr>${rows.map((r) => `<tr>${r.map((c) => `<td>${esc(c)}</td>`).join("")}</tr>`).join("")}</table>`;
+  const all = results(report);
+  const parts = [
+    `<h1>Bridge report: ${esc(report.report)}</h1>`,
+    `<p>Generated ${esc(report.timestamp)}</p>`,
+    table(["network", "bridge"], report.bridgeAddresses.map((b) => [b.network, b.bridge])),
+    "<h2>Findings and recommendations</h2>",
+    all.length ? table(["type", "severity", "rule", "message", "evidence"], all.map((r) => [r.type, r.severity, r.rule, r.message, evidenceText(r.evidence)])) : "<p>None.</p>"
+  ];
+  for (const [id, data] of Object.entries(report.sections)) {
+    const { fields, tables } = layout(data);
+    parts.push(`<h2>${esc(report.titles[id])}</h2>`);
+    if (fields.length) parts.push(table(["metric", "value"], fields));
+    for (const t of tables) parts.push(`<h3>${esc(t.name)}</h3>`, table(t.columns, t.rows.map((r) => t.columns.map((c) => r[c]))));
+  }
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><title>Bridge report: ${esc(report.report)}</title>
+<style>body{font-family:sans-serif;margin:2em}table{border-collapse:collapse;margin:0.5em 0 1.5em}td,th{border:1px solid #ccc;padding:4px 8px;text-align:left}th{background:#f3f3f3}</style>
+</head><body>
+${parts.join("\n")}
+</body></html>
+`;
+}
+
+// One flat row per metric, table cell and rule result, so the file loads into a spreadsheet as is.
+function csv(report) {
+  const rows = results(report).map((r) => ({ type: r.type, section: r.section, key: r.rule, value: cell(r.value), severity: r.severity, message: r.message, evidence: evidenceText(r.evidence) }));
+  for (const [id, data] of Object.entries(report.sections)) {
+    const { fields, tables } = layout(data);
+    for (const [key, value] of fields) rows.push({ type: "metric", section: id, key, value: cell(value) });
+    for (const t of tables) {
+      t.rows.forEach((r, i) => t.columns.forEach((c) => rows.push({ type: "metric", section: id, key: `${t.name}[${i}].${c}`, value: cell(r[c]) })));
+    }
+  }
+  return toCsv(rows, ["type", "section", "key", "value", "severity", "message", "evidence"]);
+}
+
+const RENDERERS = { json: (report) => JSON.stringify(report, null, 2) + "\n", markdown, html, csv };
+
+function renderReport(report, format) {
+  if (!RENDERERS[format]) throw new Error(`Unknown report format "${format}" (${Object.keys(FORMATS).join(", ")})`);
+  return RENDERERS[format](report);
+}
+
+// Writes <dir>/<name>.<ext> for every format, creating dir as needed; returns the file paths.
+function writeReport(report, { dir, name, formats = ["json"] }) {
+  fs.mkdirSync(dir, { recursive: true });
+  return formats.map((format) => {
+    const file = path.join(dir, `${name}.${FORMATS[format] || format}`);
+    fs.writeFileSync(file, renderReport(report, format));
+    return file;
+  });
+}
+
+module.exports = { FORMATS, renderReport, writeReport };
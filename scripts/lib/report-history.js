@@ -0,0 +1,179 @@
+const fs = require("fs");
+const path = require("path");
+const { SECTIONS } = require("./report-sections");
+const { SEVERITIES, readPath } = require("./report-engine");
+
+const DEFAULT_HISTORY = path.join(__dirname, "..", "..", "reports", "history.jsonl");
+const SPARKS = "▁▂▃▄▅▆▇█";
+const DEFAULT_TRENDS = { baselineHours: 24, points: 14, percent: 25, min: 0, severity: "warning", metrics: [] };
+
+const isAmount = (v) => typeof v === "string" && /^-?\d+$/.test(v);
+
+// trends in the rules file: { baselineHours, points, percent, min, severity, metrics: [{ id, section, metric, each?, worse, percent?, min?, severity? }] }.
+// worse is the direction that counts as a regression ("up" or "down"); percent and min set how large the change
+// against the baseline run must be, relative and absolute, before it is flagged.
+function validateTrends(trends) {
+  if (trends === undefined) return [];
+  if (!trends || typeof trends !== "object" || !Array.isArray(trends.metrics)) return ["trends: expected { metrics: [...] }"];
+  const errors = [];
+  for (const key of ["baselineHours", "points", "percent", "min"]) {
+    if (trends[key] !== undefined && !(typeof trends[key] === "number" && trends[key] >= 0)) errors.push(`trends.${key}: must be a number of at least 0`);
+  }
+  const ids = new Set();
+  trends.metrics.forEach((m, i) => {
+    const at = `trends.metrics[${i}]${m && m.id ? ` (${m.id})` : ""}`;
+    if (!m || typeof m.id !== "string" || !m.id) return errors.push(`${at}: id is required`);
+    if (ids.has(m.id)) errors.push(`${at}: duplicate id`);
+    ids.add(m.id);
+    if (!SECTIONS[m.section]) errors.push(`${at}: unknown section "${m.section}"`);
+    if (typeof m.metric !== "string" || !m.metric) errors.push(`${at}: metric is required`);
+    if (!["up", "down"].includes(m.worse)) errors.push(`${at}: worse must be "up" or "down"`);
+    for (const key of ["percent", "min"]) {
+      if (m[key] !== undefined && !(typeof m[key] === "number" && m[key] >= 0)) errors.push(`${at}: ${key} must be a number of at least 0`);
+    }
+    for (const s of [trends.severity, m.severity]) {
+      if (s !== undefined && !SEVERITIES.includes(s)) errors.push(`${at}: severity must be one of ${SEVERITIES.join(", ")}`);
+    }
+  });
+  return errors;
+}
+
+// Flat { key: value } of the tracked metrics present in a run's sections; list metrics get one key per network,
+// or per network and token symbol for per-token lists.
+function trendMetrics(trends, sections) {
+  const metrics = {};
+  for (const m of trends.metrics) {
+    const data = sections[m.section];
+    if (!data) continue;
+    const items = m.each ? readPath(data, m.each) : [data];
+    if (!Array.isArray(items)) continue;
+    for (const item of items) {
+      const value = readPath(item, m.metric);
+      if (value !== undefined) metrics[m.each ? `${m.id}:${item.network}${item.symbol ? `/${item.symbol}` : ""}` : m.id] = value;
+    }
+  }
+  return metrics;
+}
+
+// A run's scope: which report it was and which network it was limited to (--network), null for all networks.
+function sameScope(a, b) {
+  return a.kind === b.kind && (a.report || null) === (b.report || null) && (a.network || null) === (b.network || null);
+}
+
+// Append-only JSON-lines file, one line per run: { kind, report, network, at, metrics }.
+function createHistory(file) {
+  return {
+    file,
+    runs({ kind, report, network } = {}) {
+      if (!fs.existsSync(file)) return [];
+      return fs
+        .readFileSync(file, "utf8")
+        .split("\n")
+        .filter((line) => line.trim())
+        .map((line) => JSON.parse(line))
+        .filter((r) => (!kind || r.kind === kind) && (!report || r.report === report) && (network === undefined || (r.network || null) === network))
+        .sort((a, b) => a.at - b.at);
+    },
+    append(run) {
+      fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+      fs.appendFileSync(file, JSON.stringify(run) + "\n");
+    }
+  };
+}
+
+function sparkline(values) {
+  const nums = values.filter((v) => v !== null && v !== undefined).map(Number);
+  if (!nums.length) return "";
+  const [lo, hi] = [Math.min(...nums), Math.max(...nums)];
+  return nums.map((v) => SPARKS[hi === lo ? 0 : Math.round(((v - lo) / (hi - lo)) * (SPARKS.length - 1))]).join("");
+}
+
+// Amounts are base-unit strings and are subtracted as BigInt; counts and percentages stay numbers.
+function difference(previous, current) {
+  if (isAmount(previous) && isAmount(current)) {
+    const [a, b] = [BigInt(previous), BigInt(current)];
+    return { change: (b - a).toString(), changePercent: a ? Number(((b - a) * 10000n) / (a < 0n ? -a : a)) / 100 : null };
+  }
+  const [a, b] = [Number(previous), Number(current)];
+  return { change: Math.round((b - a) * 100) / 100, changePercent: a ? Math.round(((b - a) / Math.abs(a)) * 10000) / 100 : null };
+}
+
+function definitionFor(trends, key) {
+  return trends.metrics.find((m) => m.id === key.split(":")[0]);
+}
+
+// A change is a regression when it goes the `worse` way by at least min (absolute) and percent (relative to the
+// baseline; a baseline of zero only needs min).
+function isRegression(trends, def, { change, changePercent }) {
+  const percent = def.percent ?? trends.percent;
+  const min = def.min ?? trends.min;
+  const signed = def.worse === "up" ? Number(change) : -Number(change);
+  if (signed <= 0 || signed < min) return false;
+  return changePercent === null || Math.abs(changePercent) >= percent;
+}
+
+// Compares a run with the history before it. Only runs of the same report over the same networks count: a
+// single-network run would otherwise read as a drop against an all-networks one. The baseline for every metric
+// is its last value recorded at least baselineHours before the run, or the oldest value when the history is shorter.
+function compareRuns(trends, runs, current) {
+  trends = { ...DEFAULT_TRENDS, ...trends };
+  const cutoff = current.at - trends.baselineHours * 3600;
+  const earlier = runs.filter((r) => r.at < current.at && sameScope(r, current));
+  const changes = [];
+  for (const [key, value] of Object.entries(current.metrics)) {
+    const def = definitionFor(trends, key);
+    if (!def) continue;
+    const past = earlier.filter((r) => r.metrics[key] !== undefined && r.metrics[key] !== null);
+    const baseline = [...past].reverse().find((r) => r.at <= cutoff) || past[0];
+    const series = [...past.slice(-(trends.points - 1)).map((r) => r.metrics[key]), value];
+    const row = { metric: key, previous: null, current: value, change: null, changePercent: null, since: null, regression: false, trend: sparkline(series) };
+    if (baseline && value !== null) {
+      Object.assign(row, { previous: baseline.metrics[key], since: new Date(baseline.at * 1000).toISOString() }, difference(baseline.metrics[key], value));
+      row.regression = isRegression(trends, def, row);
+    }
+    changes.push(row);
+  }
+  return changes;
+}
+
+// Regressions as report findings, in the same shape as rule results.
+function regressionFindings(trends, changes) {
+  return changes
+    .filter((c) => c.regression)
+    .map((c) => {
+      const def = definitionFor(trends, c.metric);
+      const item = c.metric.includes(":") ? c.metric.split(":")[1] : null;
+      return {
+        rule: `trend.${def.id}`,
+        type: "finding",
+        section: "trends",
+        severity: def.severity || trends.severity || DEFAULT_TRENDS.severity,
+        network: item && item.split("/")[0],
+        message: `${def.id}${item ? ` on ${item}` : ""} went ${def.worse} from ${c.previous} to ${c.current}${c.changePercent === null ? "" : ` (${c.changePercent > 0 ? "+" : ""}${c.changePercent}%)`} since ${c.since}`,
+        value: c.current,
+        threshold: c.previous
+      };
+    });
+}
+
+// Adds the comparison to a built report as its "trends" section, and its regressions to the findings.
+function withTrends(report, trends, changes) {
+  return {
+    ...report,
+    sections: { ...report.sections, trends: { baselineHours: { ...DEFAULT_TRENDS, ...trends }.baselineHours, regressions: changes.filter((c) => c.regression).length, changes } },
+    titles: { ...report.titles, trends: "Trends" },
+    findings: [...report.findings, ...regressionFindings(trends, changes)]
+  };
+}
+
+module.exports = {
+  DEFAULT_HISTORY,
+  DEFAULT_TRENDS,
+  validateTrends,
+  trendMetrics,
+  createHistory,
+  sparkline,
+  compareRuns,
+  regressionFindings,
+  withTrends
+};
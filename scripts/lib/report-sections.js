@@ -0,0 +1,351 @@
+const { ethers } = require("ethers");
+const { reconcile } = require("./reconcile");
+const { assessSolvency } = require("./solvency");
+const { formatDiff } = require("./drift");
+const { summarizeLedger } = require("./fee-ledger");
+const { crossChainFacts } = require("./security-checks");
+
+const DAY = 86400;
+const sum = (values) => values.reduce((acc, v) => acc + BigInt(v), 0n);
+const percent = (part, whole) => (whole ? Math.round((part / whole) * 10000) / 100 : null);
+
+// Inputs shared by every section; derived data is computed once so composed reports do not repeat it.
+//   store        event store (see event-store.js)
+//   deployments  current registry records
+//   balances     escrow balances as returned by readEscrowBalances, or null when not read
+//   chainStates  [{ network, bridge, state, diffs, facts } | { network, bridge, error }] from readDeployedState/diffState,
+//                facts from readSecurityFacts (null when they could not be read)
+//   feeLedger    { entries, errors: [{ network, error }] } from readFeeLedger for the fee bridges, or null when not read
+function prepareContext({ store, deployments = [], balances = null, chainStates = [], feeLedger = null, options = {}, now = Math.floor(Date.now() / 1000) }) {
+  const reconciliation = reconcile(store, { now });
+  return {
+    store,
+    deployments,
+    balances,
+    chainStates,
+    feeLedger,
+    options,
+    now,
+    reconciliation,
+    solvency: balances ? assessSolvency(store, balances, { now }) : null,
+    locks: reconciliation.transfers.filter((t) => t.lockTx)
+  };
+}
+
+// Share of the current validators that signed at least one release on the network in the last `days` days.
+// Releases indexed without signers (sent through another contract, or indexed before signers were recorded) do not count.
+function participation(ctx, network, validators, days) {
+  const releases = ctx.store.events({ network, name: "Released", since: ctx.now - days * DAY }).filter((e) => Array.isArray(e.signers));
+  const signed = new Set(releases.flatMap((e) => e.signers.map((s) => s.toLowerCase())));
+  const idle = validators.filter((v) => !signed.has(v.toLowerCase()));
+  return {
+    releasesWithSigners: releases.length,
+    participationPercent: releases.length && validators.length ? percent(validators.length - idle.length, validators.length) : null,
+    idleValidators: releases.length ? idle : []
+  };
+}
+
+function quantile(sorted, q) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil(q * sorted.length) - 1)];
+}
+
+// Each section turns the context into plain data (amounts as base-unit strings) that rules and renderers read.
+const SECTIONS = {
+  overview: {
+    title: "Overview",
+    collect(ctx) {
+      const times = ctx.locks.map((t) => t.lockedAt);
+      return {
+        deployments: ctx.deployments.map((d) => ({ network: d.network, thisChainId: d.params ? String(d.params.thisChainId) : null, bridge: d.contracts.CrossChainTokenBridge })),
+        chains: ctx.deployments.length,
+        transfers: ctx.locks.length,
+        lockedVolume: sum(ctx.locks.map((t) => t.lockedAmount)).toString(),
+        firstTransferAt: times.length ? new Date(Math.min(...times) * 1000).toISOString() : null,
+        lastTransferAt: times.length ? new Date(Math.max(...times) * 1000).toISOString() : null
+      };
+    }
+  },
+
+  transfers: {
+    title: "Transfers",
+    collect(ctx) {
+      const { summary, transfers } = ctx.reconciliation;
+      const settled = summary.completed + summary.pending + summary.mismatched;
+      return {
+        ...summary,
+        total: transfers.length,
+        // Share of locks released as locked; null until there is a lock.
+        completionRate: percent(summary.completed, settled),
+        issues: transfers.filter((t) => t.issues.length).map((t) => ({ id: t.id, status: t.status, issues: t.issues.join("; ") }))
+      };
+    }
+  },
+
+  solvency: {
+    title: "Escrow solvency",
+    collect(ctx) {
+      if (!ctx.solvency) return { solvent: null, chains: [] };
+      return {
+        solvent: ctx.solvency.solvent,
+        chains: ctx.solvency.chains.map((c) => ({
+          network: c.network,
+          thisChainId: c.thisChainId,
+          escrowBalance: c.escrowBalance.toString(),
+          lockedOut: c.lockedOut.toString(),
+          releasedIn: c.releasedIn.toString(),
+          unexplained: c.unexplained.toString(),
+          pendingInbound: c.pendingInbound.toString(),
+          surplus: c.surplus.toString(),
+          solvent: c.solvent
+        }))
+      };
+    }
+  },
+
+  volume: {
+    title: "Volume",
+    collect(ctx) {
+      const chains = ctx.deployments.map((d) => {
+        const id = d.params ? String(d.params.thisChainId) : null;
+        const out = ctx.locks.filter((t) => t.fromChainId === id);
+        const released = ctx.reconciliation.transfers.filter((t) => t.releaseTx && t.toChainId === id);
+        return {
+          network: d.network,
+          thisChainId: id,
+          lockedCount: out.length,
+          lockedOut: sum(out.map((t) => t.lockedAmount)).toString(),
+          releasedCount: released.length,
+          releasedIn: sum(released.map((t) => t.releasedAmount)).toString()
+        };
+      });
+      const routes = new Map();
+      for (const t of ctx.locks) {
+        const key = `${t.fromChainId}->${t.toChainId}`;
+        const r = routes.get(key) || { route: key, transfers: 0, volume: 0n };
+        r.transfers++;
+        r.volume += BigInt(t.lockedAmount);
+        routes.set(key, r);
+      }
+      return {
+        totalLocked: sum(ctx.locks.map((t) => t.lockedAmount)).toString(),
+        chains,
+        routes: [...routes.values()].sort((a, b) => b.transfers - a.transfers).map((r) => ({ ...r, volume: r.volume.toString() }))
+      };
+    }
+  },
+
+  fees: {
+    title: "Fees and revenue",
+    collect(ctx) {
+      const periodDays = (ctx.options.fees && ctx.options.fees.periodDays) || 7;
+      const feeBridges = ctx.deployments.filter((d) => d.contracts.FeeBridge).length;
+      if (!ctx.feeLedger) return { feeBridges, unreadable: [], periodDays, tokens: [], byDestination: [], daily: [], withdrawals: [] };
+      return {
+        feeBridges,
+        unreadable: ctx.feeLedger.errors.map((e) => e.network),
+        ...summarizeLedger(ctx.feeLedger.entries, { now: ctx.now, periodDays })
+      };
+    }
+  },
+
+  performance: {
+    title: "Performance",
+    collect(ctx) {
+      const latencies = ctx.reconciliation.transfers
+        .filter((t) => t.status === "completed" && t.lockedAt && t.releasedAt)
+        .map((t) => Math.max(t.releasedAt - t.lockedAt, 0))
+        .sort((a, b) => a - b);
+      const lastDay = ctx.locks.filter((t) => t.lockedAt >= ctx.now - DAY);
+      return {
+        releasedTransfers: latencies.length,
+        releaseLatency: {
+          avgSeconds: latencies.length ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+          medianSeconds: quantile(latencies, 0.5),
+          p95Seconds: quantile(latencies, 0.95),
+          maxSeconds: latencies.length ? latencies[latencies.length - 1] : null
+        },
+        pending: ctx.reconciliation.summary.pending,
+        oldestPendingSeconds: ctx.reconciliation.summary.oldestPendingSeconds,
+        transfersLast24h: lastDay.length,
+        transfersPerHourLast24h: Math.round((lastDay.length / 24) * 100) / 100,
+        volumeLast24h: sum(lastDay.map((t) => t.lockedAmount)).toString()
+      };
+    }
+  },
+
+  security: {
+    title: "Security",
+    collect(ctx) {
+      const days = (ctx.options.security && ctx.options.security.participationDays) || 7;
+      const live = (c) => !c.error && !c.state.missing;
+      const record = (network) => ctx.deployments.find((d) => d.network === network);
+      const shared = crossChainFacts(
+        ctx.chainStates.map((c) => {
+          const params = (record(c.network) || {}).params;
+          return {
+            network: c.network,
+            thisChainId: live(c) ? c.state.thisChainId : params ? String(params.thisChainId) : null,
+            validators: live(c) ? c.state.validators : []
+          };
+        })
+      );
+      const chains = ctx.chainStates.map((c) => {
+        const { sharedValidators, sharedThisChainIdWith } = shared[c.network];
+        const common = {
+          sharedThisChainIdWith,
+          sharedThisChainIdCount: sharedThisChainIdWith.length,
+          ...participation(ctx, c.network, live(c) ? c.state.validators : [], days)
+        };
+        if (!live(c)) {
+          return {
+            network: c.network,
+            bridge: c.bridge,
+            reachable: !c.error,
+            ...(c.error && { error: c.error }),
+            thisChainId: null,
+            validatorCount: null,
+            threshold: null,
+            thresholdRatioPercent: null,
+            paused: null,
+            owner: null,
+            ownerIsContract: null,
+            ownerIsValidator: null,
+            sharedValidators: [],
+            sharedValidatorCount: null,
+            escrowBalance: null,
+            emptyEscrowUnpaused: null,
+            openApprovals: null,
+            approvals: [],
+            driftCount: c.error ? null : c.diffs.length,
+            drift: c.error ? [] : c.diffs.flatMap(formatDiff),
+            ...common
+          };
+        }
+        const { state, facts } = c;
+        const balance = ctx.balances && ctx.balances.find((b) => b.network === c.network);
+        const validators = new Set(state.validators.map((v) => v.toLowerCase()));
+        return {
+          network: c.network,
+          bridge: c.bridge,
+          reachable: true,
+          thisChainId: state.thisChainId,
+          validatorCount: state.validators.length,
+          threshold: state.threshold,
+          thresholdRatioPercent: percent(state.threshold, state.validators.length),
+          paused: state.paused,
+          owner: state.owner,
+          ownerIsContract: facts ? facts.ownerIsContract : null,
+          ownerIsValidator: validators.has(state.owner.toLowerCase()),
+          sharedValidators,
+          sharedValidatorCount: sharedValidators.length,
+          escrowBalance: balance ? balance.balance.toString() : null,
+          emptyEscrowUnpaused: balance ? !state.paused && balance.balance === 0n : null,
+          openApprovals: facts ? facts.allowances.length : null,
+          approvals: facts ? facts.allowances.map((a) => `${a.holder}: ${a.allowance}`) : [],
+          driftCount: c.diffs.length,
+          drift: c.diffs.flatMap(formatDiff),
+          ...common
+        };
+      });
+      return {
+        chains,
+        orphanedReleases: ctx.reconciliation.summary.orphaned,
+        mismatchedReleases: ctx.reconciliation.summary.mismatched
+      };
+    }
+  },
+
+  scalability: {
+    title: "Scalability",
+    collect(ctx) {
+      const days = (ctx.options.scalability && ctx.options.scalability.days) || 14;
+      const today = Math.floor(ctx.now / DAY) * DAY;
+      const daily = [];
+      for (let i = days - 1; i >= 0; i--) {
+        const start = today - i * DAY;
+        const locks = ctx.locks.filter((t) => t.lockedAt >= start && t.lockedAt < start + DAY);
+        daily.push({ date: new Date(start * 1000).toISOString().slice(0, 10), transfers: locks.length, volume: sum(locks.map((t) => t.lockedAmount)).toString() });
+      }
+      const inWindow = (from, to) => ctx.locks.filter((t) => t.lockedAt >= ctx.now - from * DAY && t.lockedAt < ctx.now - to * DAY).length;
+      const last7 = inWindow(7, 0);
+      const previous7 = inWindow(14, 7);
+      const peak = daily.reduce((best, d) => (d.transfers > best.transfers ? d : best), daily[0]);
+      return {
+        transfersLast7d: last7,
+        transfersPrevious7d: previous7,
+        weeklyGrowthPercent: previous7 ? Math.round(((last7 - previous7) / previous7) * 10000) / 100 : null,
+        peakDay: peak.transfers ? peak.date : null,
+        peakDayTransfers: peak.transfers,
+        daily
+      };
+    }
+  },
+
+  community: {
+    title: "Users",
+    collect(ctx) {
+      const senders = new Map();
+      for (const t of ctx.locks) {
+        const key = t.sender.toLowerCase();
+        const s = senders.get(key) || { address: t.sender, transfers: 0, volume: 0n, firstAt: t.lockedAt };
+        s.transfers++;
+        s.volume += BigInt(t.lockedAmount);
+        s.firstAt = Math.min(s.firstAt, t.lockedAt);
+        senders.set(key, s);
+      }
+      const total = sum(ctx.locks.map((t) => t.lockedAmount));
+      const share = (v) => (total ? Number((v * 10000n) / total) / 100 : null);
+      const top = [...senders.values()].sort((a, b) => (b.volume > a.volume ? 1 : b.volume < a.volume ? -1 : 0)).slice(0, 5);
+      return {
+        uniqueSenders: senders.size,
+        uniqueRecipients: new Set(ctx.locks.map((t) => t.lockedTo.toLowerCase())).size,
+        newSendersLast7d: [...senders.values()].filter((s) => s.firstAt >= ctx.now - 7 * DAY).length,
+        returningSenders: [...senders.values()].filter((s) => s.transfers > 1).length,
+        topSenderSharePercent: top.length ? share(top[0].volume) : null,
+        topSenders: top.map((s) => ({ address: s.address, transfers: s.transfers, volume: s.volume.toString(), sharePercent: share(s.volume) }))
+      };
+    }
+  },
+
+  compliance: {
+    title: "Compliance",
+    collect(ctx) {
+      const large = { amount: "100000", decimals: 18, ...(ctx.options.compliance && ctx.options.compliance.largeTransfer) };
+      const limit = ethers.parseUnits(String(large.amount), large.decimals);
+      const flagged = ctx.locks.filter((t) => BigInt(t.lockedAmount) >= limit);
+      return {
+        largeTransferLimit: limit.toString(),
+        largeTransferCount: flagged.length,
+        largeTransfers: flagged.map((t) => ({ id: t.id, sender: t.sender, recipient: t.lockedTo, amount: String(t.lockedAmount), lockTx: t.lockTx })),
+        recipientMismatches: ctx.reconciliation.transfers.filter((t) => t.issues.includes("recipient differs")).length,
+        unmatchedReleases: ctx.reconciliation.summary.orphaned
+      };
+    }
+  }
+};
+
+// Named reports; the original analysis scripts each map to one. Names compose: several give one report.
+const REPORTS = {
+  audit: ["overview", "transfers", "solvency"],
+  security: ["security", "transfers"],
+  financial: ["volume", "fees", "solvency"],
+  performance: ["performance", "transfers"],
+  regulatory: ["compliance", "transfers"],
+  scalability: ["scalability", "performance"],
+  community: ["community"],
+  insights: ["transfers", "performance", "volume"],
+  comprehensive: Object.keys(SECTIONS)
+};
+
+function sectionsFor(names) {
+  const ids = [];
+  for (const name of names) {
+    const sections = REPORTS[name] || (SECTIONS[name] && [name]);
+    if (!sections) throw new Error(`Unknown report or section "${name}" (reports: ${Object.keys(REPORTS).join(", ")}; sections: ${Object.keys(SECTIONS).join(", ")})`);
+    for (const id of sections) if (!ids.includes(id)) ids.push(id);
+  }
+  return ids;
+}
+
+module.exports = { SECTIONS, REPORTS, prepareContext, sectionsFor };
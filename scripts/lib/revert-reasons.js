@@ -0,0 +1,61 @@
+const { ethers } = require("ethers");
+const { BRIDGE_ABI } = require("./abi");
+
+// Operator-facing explanations for the bridge's require() strings and OpenZeppelin custom errors.
+const REASONS = {
+  "nonce used": "this nonce is already used on the bridge (usedNonce is shared by lock and release); pick another nonce",
+  "same chain": "the destination chain is this bridge's own thisChainId; lock to a different chain",
+  "bad fromChain": "fromChainId equals this bridge's thisChainId; a release must come from another chain",
+  "bad threshold": "threshold must be at least 1 and at most validatorCount",
+  "last validator": "the last validator cannot be removed; add its replacement first",
+  "not validator": "the address is not a validator",
+  "dup": "the address is already a validator",
+  "v=0": "the validator address is the zero address",
+  "amount=0": "amount must be greater than zero",
+  "to=0": "recipient is the zero address",
+  "not enough sigs": "fewer signatures than the current threshold",
+  "threshold not met": "not enough distinct validator signatures over this exact release",
+  EnforcedPause: "the bridge is paused",
+  ExpectedPause: "the bridge is not paused",
+  OwnableUnauthorizedAccount: "only the bridge owner can do this",
+  ECDSAInvalidSignature: "a signature is malformed and makes the whole release revert",
+  ECDSAInvalidSignatureLength: "a signature has the wrong length and makes the whole release revert",
+  ECDSAInvalidSignatureS: "a signature has a non-canonical s value and makes the whole release revert",
+  SafeERC20FailedOperation: "the token transfer failed",
+  ERC20InsufficientBalance: "the token balance is too low",
+  ERC20InsufficientAllowance: "the bridge is not approved for enough tokens"
+};
+
+const iface = new ethers.Interface(BRIDGE_ABI);
+
+// Errors raised by signer.sendTransaction (not a contract call) carry raw revert data only.
+function decodeRevertData(data) {
+  if (typeof data !== "string" || !data.startsWith("0x") || data.length < 10) return null;
+  try {
+    const parsed = iface.parseError(data);
+    if (!parsed) return null;
+    return parsed.name === "Error" ? parsed.args[0] : parsed.name;
+  } catch (e) {
+    return null;
+  }
+}
+
+function revertReason(error) {
+  for (let e = error; e; e = e.error || e.info?.error) {
+    if (e.reason) return e.reason;
+    if (e.revert && e.revert.name) return e.revert.name;
+    const decoded = decodeRevertData(e.data);
+    if (decoded) return decoded;
+  }
+  const match = /reverted with reason string '([^']+)'/.exec(error && error.message);
+  return match ? match[1] : null;
+}
+
+function explainRevert(error) {
+  const reason = revertReason(error);
+  if (reason && REASONS[reason]) return `${reason}: ${REASONS[reason]}`;
+  if (reason) return reason;
+  return (error && (error.shortMessage || error.message)) || String(error);
+}
+
+module.exports = { explainRevert, revertReason, REASONS };
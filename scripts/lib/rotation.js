@@ -0,0 +1,128 @@
+const { ethers } = require("ethers");
+const { readValidatorSet } = require("./validator-set");
+
+const byAddress = (a, b) => a.toLowerCase().localeCompare(b.toLowerCase());
+
+// Validates a validator-set file: { validators: [address], threshold, networks?: [name] }.
+function parseValidatorSet(spec) {
+  if (!spec || !Array.isArray(spec.validators) || !spec.validators.length) throw new Error("validator set needs a non-empty validators list");
+  const validators = spec.validators.map((v) => ethers.getAddress(v)).sort(byAddress);
+  const duplicate = validators.find((v, i) => i > 0 && v === validators[i - 1]);
+  if (duplicate) throw new Error(`validator ${duplicate} is listed twice`);
+  if (validators.includes(ethers.ZeroAddress)) throw new Error("the zero address cannot be a validator");
+  const threshold = Number(spec.threshold);
+  if (!Number.isInteger(threshold) || threshold < 1 || threshold > validators.length) {
+    throw new Error(`threshold must be between 1 and ${validators.length}, got ${spec.threshold}`);
+  }
+  return { validators, threshold, networks: spec.networks || null };
+}
+
+async function readChainState(bridge, fromBlock = 0) {
+  const [validators, threshold, validatorCount] = await Promise.all([
+    readValidatorSet(bridge, fromBlock),
+    bridge.threshold(),
+    bridge.validatorCount()
+  ]);
+  // The set is rebuilt from events; a count mismatch means the history from fromBlock is incomplete.
+  if (validators.length !== Number(validatorCount)) {
+    throw new Error(`found ${validators.length} validators in events but validatorCount is ${validatorCount}; check the deployment block`);
+  }
+  return { validators, threshold: Number(threshold), validatorCount: Number(validatorCount) };
+}
+
+// Ordered owner calls that take a chain from `live` to `desired`, each with the validatorCount and
+// threshold it leaves behind. Additions go first and a higher threshold is set before anything is removed,
+// so once the plan has started the threshold never sits below desired.threshold. Outgoing validators are
+// removed before the threshold is lowered: lowering it first would let the outgoing keys release on their
+// own until they are gone. removeValidator clamps the threshold to the remaining count, and the plan records
+// that clamp; a threshold lower than that is set last. Planning from whatever state a chain is in is what
+// makes apply resumable.
+function planRotation(live, desired) {
+  const current = new Set(live.validators.map((v) => v.toLowerCase()));
+  const target = new Set(desired.validators.map((v) => v.toLowerCase()));
+  let validatorCount = live.validatorCount;
+  let threshold = live.threshold;
+  const steps = [];
+  const step = (action, arg) => steps.push({ action, arg, validatorCount, threshold });
+
+  for (const v of desired.validators.filter((v) => !current.has(v.toLowerCase()))) {
+    validatorCount++;
+    step("addValidator", v);
+  }
+  if (threshold < desired.threshold) {
+    threshold = desired.threshold;
+    step("setThreshold", threshold);
+  }
+  for (const v of live.validators.filter((v) => !target.has(v.toLowerCase()))) {
+    validatorCount--;
+    threshold = Math.min(threshold, validatorCount);
+    step("removeValidator", v);
+  }
+  if (threshold !== desired.threshold) {
+    threshold = desired.threshold;
+    step("setThreshold", threshold);
+  }
+  return steps;
+}
+
+function describeStep(s) {
+  return `${s.action}(${s.arg}) -> ${s.validatorCount} validators, threshold ${s.threshold}`;
+}
+
+// The transaction as the node sees it, or null once it can never be mined: it was dropped from the mempool or
+// another transaction took its nonce.
+async function liveTransaction(provider, txHash) {
+  const tx = await provider.getTransaction(txHash);
+  if (!tx || tx.blockNumber !== null) return tx;
+  return (await provider.getTransactionCount(tx.from, "latest")) > tx.nonce ? null : tx;
+}
+
+// Receipt of a transaction recorded as pending by an earlier run, or null if it will never be mined. Only a
+// transaction still in the mempool is waited for, so a dropped one does not hold the chain for timeoutMs.
+// A transaction still waiting after that is an error, since re-planning then could send the same call twice.
+async function settlePending(provider, pending, timeoutMs) {
+  if (!(await liveTransaction(provider, pending.txHash))) return null;
+  try {
+    return await provider.waitForTransaction(pending.txHash, 1, timeoutMs);
+  } catch (e) {
+    if (e.code !== "TIMEOUT") throw e;
+  }
+  const tx = await liveTransaction(provider, pending.txHash);
+  if (!tx) return null;
+  if (tx.blockNumber !== null) return provider.getTransactionReceipt(pending.txHash);
+  throw new Error(`${pending.txHash} is still waiting to be mined; wait, or replace it with the same nonce, and run apply again`);
+}
+
+// Applies the plan for one chain. `progress` is this chain's entry in the rotation state file and `save`
+// persists it: a transaction is recorded as pending before it is awaited, so a rerun after a crash first
+// waits for it and then re-plans from the live chain instead of sending it again. A pending transaction that
+// was dropped or replaced is forgotten, and the re-plan from the live chain covers whatever it was doing.
+async function applyRotation({ bridge, fromBlock, desired, progress, save, log = console.log, receiptTimeoutMs = 300000 }) {
+  progress.applied = progress.applied || [];
+  if (progress.pending) {
+    log(`waiting for ${progress.pending.action}(${progress.pending.arg}) from the previous run: ${progress.pending.txHash}`);
+    const receipt = await settlePending(bridge.runner.provider, progress.pending, receiptTimeoutMs);
+    if (!receipt) log(`${progress.pending.txHash} was dropped or replaced; re-planning from the chain`);
+    else if (receipt.status === 1) progress.applied.push({ ...progress.pending, blockNumber: receipt.blockNumber });
+    progress.pending = null;
+    save();
+  }
+
+  const steps = planRotation(await readChainState(bridge, fromBlock), desired);
+  for (const s of steps) {
+    const tx = await bridge[s.action](s.arg);
+    progress.pending = { action: s.action, arg: s.arg, txHash: tx.hash };
+    save();
+    log(`${describeStep(s)}: ${tx.hash}`);
+    const receipt = await tx.wait();
+    progress.applied.push({ ...progress.pending, blockNumber: receipt.blockNumber });
+    progress.pending = null;
+    save();
+  }
+
+  const after = await readChainState(bridge, fromBlock);
+  if (planRotation(after, desired).length) throw new Error("chain still differs from the validator set after apply");
+  return { steps: steps.length, state: after };
+}
+
+module.exports = { parseValidatorSet, readChainState, planRotation, describeStep, applyRotation };
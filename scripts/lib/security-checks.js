@@ -0,0 +1,33 @@
+const { queryInChunks } = require("./events");
+
+// Live facts the drift state does not cover: whether owner() has code (a multisig or timelock rather than
+// an EOA), and the allowances token holders still grant the bridge after their locks.
+async function readSecurityFacts({ bridge, token, provider }, state, fromBlock = 0) {
+  const head = await provider.getBlockNumber();
+  const approvals = await queryInChunks(token, token.filters.Approval(null, bridge.target), fromBlock, head);
+  const allowances = [];
+  for (const holder of new Set(approvals.map((e) => e.args.owner))) {
+    const allowance = await token.allowance(holder, bridge.target);
+    if (allowance > 0n) allowances.push({ holder, allowance: allowance.toString() });
+  }
+  return { ownerIsContract: (await provider.getCode(state.owner)) !== "0x", allowances };
+}
+
+// Checks that need every chain at once. chains: [{ network, thisChainId, validators }].
+//   sharedValidators       validator keys of this chain that also sign on another chain
+//   sharedThisChainIdWith  other deployments with the same thisChainId; the release digest has no bridge
+//                          address in it, so their signatures replay on each other
+function crossChainFacts(chains) {
+  const facts = {};
+  for (const c of chains) {
+    const others = chains.filter((o) => o.network !== c.network);
+    const elsewhere = new Set(others.flatMap((o) => o.validators.map((v) => v.toLowerCase())));
+    facts[c.network] = {
+      sharedValidators: c.validators.filter((v) => elsewhere.has(v.toLowerCase())),
+      sharedThisChainIdWith: c.thisChainId === null ? [] : others.filter((o) => o.thisChainId === c.thisChainId).map((o) => o.network)
+    };
+  }
+  return facts;
+}
+
+module.exports = { readSecurityFacts, crossChainFacts };
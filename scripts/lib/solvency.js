@@ -0,0 +1,63 @@
+const { reconcile } = require("./reconcile");
+const { readRegistry, currentDeployments } = require("./deployments");
+const { connectDeployment } = require("./networks");
+
+async function readEscrowBalances(hardhatConfig, registryFile) {
+  const balances = [];
+  for (const record of currentDeployments(readRegistry(registryFile))) {
+    const { bridge, token } = connectDeployment(record, hardhatConfig);
+    balances.push({
+      network: record.network,
+      thisChainId: String(record.params ? record.params.thisChainId : await bridge.thisChainId()),
+      bridge: record.contracts.CrossChainTokenBridge,
+      token: record.contracts.Token,
+      balance: await token.balanceOf(record.contracts.CrossChainTokenBridge)
+    });
+  }
+  return balances;
+}
+
+// Compares each chain's escrow with what it can still be asked to pay out.
+// balances: [{ network, thisChainId, bridge, token, balance }] with balance as bigint.
+//
+//   netFlow        = locked on this chain - released from it (what bridge activity alone explains)
+//   unexplained    = balance - netFlow (liquidity seeded, withdrawn or sent to the bridge directly)
+//   pendingInbound = locks on other chains towards this one that are not released yet
+//   surplus        = balance - pendingInbound; negative means the chain cannot cover its obligations
+function assessSolvency(store, balances, { now } = {}) {
+  const { transfers } = reconcile(store, { now });
+  const sum = (events) => events.reduce((acc, e) => acc + BigInt(e.args.amount), 0n);
+
+  const chains = balances.map((b) => {
+    const lockedOut = sum(store.events({ name: "Locked", where: (e) => e.thisChainId === b.thisChainId }));
+    const releasedIn = sum(store.events({ name: "Released", where: (e) => e.thisChainId === b.thisChainId }));
+    const inbound = transfers.filter((t) => t.status === "pending" && t.toChainId === b.thisChainId);
+    const pendingInbound = inbound.reduce((acc, t) => acc + BigInt(t.lockedAmount), 0n);
+    const netFlow = lockedOut - releasedIn;
+    const surplus = b.balance - pendingInbound;
+
+    return {
+      network: b.network,
+      thisChainId: b.thisChainId,
+      bridge: b.bridge,
+      token: b.token,
+      escrowBalance: b.balance,
+      lockedOut,
+      releasedIn,
+      netFlow,
+      unexplained: b.balance - netFlow,
+      pendingInbound,
+      pendingInboundCount: inbound.length,
+      surplus,
+      solvent: surplus >= 0n
+    };
+  });
+
+  const alerts = chains
+    .filter((c) => !c.solvent)
+    .map((c) => `${c.network} (chain ${c.thisChainId}) escrow ${c.escrowBalance} cannot cover ${c.pendingInbound} pending inbound; deficit ${-c.surplus}`);
+
+  return { generatedAt: new Date().toISOString(), solvent: alerts.length === 0, chains, alerts };
+}
+
+module.exports = { assessSolvency, readEscrowBalances };
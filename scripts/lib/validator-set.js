@@ -0,0 +1,25 @@
+const { queryInChunks, byChainOrder } = require("./events");
+
+// isValidator is a mapping and cannot be enumerated, so the set is rebuilt from
+// ValidatorAdded/ValidatorRemoved and cross-checked against the live mapping.
+async function readValidatorSet(bridge, fromBlock = 0) {
+  const head = await bridge.runner.provider.getBlockNumber();
+  const [added, removed] = await Promise.all([
+    queryInChunks(bridge, bridge.filters.ValidatorAdded(), fromBlock, head),
+    queryInChunks(bridge, bridge.filters.ValidatorRemoved(), fromBlock, head)
+  ]);
+
+  const set = new Set();
+  for (const ev of [...added, ...removed].sort(byChainOrder)) {
+    if (ev.fragment.name === "ValidatorAdded") set.add(ev.args.validator);
+    else set.delete(ev.args.validator);
+  }
+
+  const live = [];
+  for (const v of set) {
+    if (await bridge.isValidator(v)) live.push(v);
+  }
+  return live.sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase()));
+}
+
+module.exports = { readValidatorSet };
@@ -0,0 +1,136 @@
+const http = require("http");
+const { ethers } = require("ethers");
+const { readJson, writeJson } = require("./json-store");
+const { releaseDigest, signRelease } = require("./digest");
+
+const MAX_BODY = 16 * 1024;
+
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+function parseRequest(body) {
+  for (const field of ["fromChainId", "toChainId", "nonce", "to", "amount", "txHash"]) {
+    if (body[field] === undefined || body[field] === null || body[field] === "") {
+      throw httpError(400, `missing ${field}`);
+    }
+  }
+  try {
+    return {
+      fromChainId: BigInt(body.fromChainId).toString(),
+      toChainId: BigInt(body.toChainId).toString(),
+      nonce: BigInt(body.nonce).toString(),
+      amount: BigInt(body.amount).toString(),
+      to: ethers.getAddress(body.to),
+      txHash: ethers.hexlify(body.txHash)
+    };
+  } catch (e) {
+    throw httpError(400, `malformed request: ${e.shortMessage || e.message}`);
+  }
+}
+
+function createValidatorService({ wallet, chains, signLogFile, log = console.log }) {
+  // Keyed by `${toChainId}:${nonce}`: the usedNonce slot a signature can consume on the destination.
+  const signLog = readJson(signLogFile, {});
+
+  async function findLock(source, { txHash, nonce }) {
+    const receipt = await source.provider.getTransactionReceipt(txHash);
+    if (!receipt || receipt.status !== 1) throw httpError(404, `lock transaction ${txHash} not found on chain ${source.thisChainId}`);
+
+    const confirmations = await receipt.confirmations();
+    if (confirmations < source.confirmations) {
+      throw httpError(425, `lock has ${confirmations}/${source.confirmations} confirmations`);
+    }
+
+    const bridgeAddress = (await source.bridge.getAddress()).toLowerCase();
+    for (const entry of receipt.logs) {
+      if (entry.address.toLowerCase() !== bridgeAddress) continue;
+      const parsed = source.bridge.interface.parseLog(entry);
+      if (parsed && parsed.name === "Locked" && parsed.args.nonce.toString() === nonce) return parsed.args;
+    }
+    throw httpError(404, `no Locked event with nonce ${nonce} in ${txHash}`);
+  }
+
+  async function sign(body) {
+    const request = parseRequest(body);
+    if (request.fromChainId === request.toChainId) throw httpError(400, "fromChainId equals toChainId");
+
+    const source = chains.get(request.fromChainId);
+    if (!source) throw httpError(400, `unknown source chain ${request.fromChainId}`);
+
+    const lock = await findLock(source, request);
+    if (
+      lock.to !== request.to ||
+      lock.amount.toString() !== request.amount ||
+      lock.toChainId.toString() !== request.toChainId
+    ) {
+      throw httpError(422, "request does not match the Locked event");
+    }
+
+    const digest = releaseDigest(request);
+    const signature = await signRelease(wallet, request);
+
+    // Checked after the last await so two concurrent requests cannot both pass it.
+    const key = `${request.toChainId}:${request.nonce}`;
+    const prior = signLog[key];
+    if (prior && prior.digest !== digest) {
+      throw httpError(409, `nonce ${request.nonce} for chain ${request.toChainId} was already signed with different parameters`);
+    }
+    if (!prior) {
+      signLog[key] = { ...request, digest, signature, signedAt: new Date().toISOString() };
+      writeJson(signLogFile, signLog);
+      log(`Signed nonce ${request.nonce} ${request.fromChainId} -> ${request.toChainId}`);
+    }
+
+    return { signer: wallet.address, digest, signature: signLog[key].signature };
+  }
+
+  return { sign, signLog };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    const onData = (chunk) => {
+      data += chunk;
+      if (data.length <= MAX_BODY) return;
+      // Stop buffering; the server answers 413 and then closes the connection so the rest is never read.
+      req.off("data", onData);
+      data = "";
+      reject(Object.assign(httpError(413, "request too large"), { close: true }));
+    };
+    req.on("data", onData);
+    req.on("end", () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (e) {
+        reject(httpError(400, "invalid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function createValidatorServer(service, { wallet, chains, log = console.log }) {
+  return http.createServer(async (req, res) => {
+    const send = (status, payload, close = false) => {
+      res.writeHead(status, { "content-type": "application/json", ...(close && { connection: "close" }) });
+      res.end(JSON.stringify(payload), () => close && req.destroy());
+    };
+
+    try {
+      if (req.method === "GET" && req.url === "/health") {
+        return send(200, { signer: wallet.address, chains: [...chains.keys()] });
+      }
+      if (req.method === "POST" && req.url === "/sign") {
+        return send(200, await service.sign(await readBody(req)));
+      }
+      send(404, { error: "not found" });
+    } catch (e) {
+      if (!e.status) log(`Sign request failed: ${e.message}`);
+      send(e.status || 500, { error: e.status ? e.message : "internal error" }, Boolean(e.close));
+    }
+  });
+}
+
+module.exports = { createValidatorService, createValidatorServer };
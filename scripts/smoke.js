@@ -1,19 +1,14 @@
 require("dotenv").config(); 
-const fs = require("fs");
-const path = require("path");
+const { BRIDGE_CONTRACT } = require("./lib/deployer");
+const { bridgeAddressFor } = require("./lib/config");
 
 async function main() {
-  const depPath = path.join(__dirname, "..", "deployments.json");
-  const deployments = JSON.parse(fs.readFileSync(depPath, "utf8"));
-
-  const bridgeAddr = deployments.contracts.CrossChainTokenBridge;
-  const tokenAddr = deployments.contracts.Token;
-
-  const [owner] = await ethers.getSigners();
-  const bridge = await ethers.getContractAt("CrossChainTokenBridge", bridgeAddr);
-  const token = await ethers.getContractAt("TokenManager", tokenAddr);
+  const bridgeAddr = bridgeAddressFor(hre.network.name);
+  const bridge = await ethers.getContractAt(BRIDGE_CONTRACT, bridgeAddr);
+  const tokenAddr = await bridge.token();
 
   console.log("Bridge:", bridgeAddr);
+  console.log("Token:", tokenAddr);
 
   await (await bridge.pause()).wait();
   console.log("Paused");
@@ -29,4 +24,3 @@ main().catch((e) => {
   console.error(e);
   process.exit(1);
 });
-
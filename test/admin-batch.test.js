@@ -0,0 +1,67 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { encodeAdminCall, newBatch, checkBatch, prepareBatch, signBatch, verifySigned, toSafeBuilder } = require("../scripts/lib/admin-batch");
+
+const BRIDGE = "0x1c85638e118b37167e9298c2268758e058DdfDA0";
+const FEE_BRIDGE = "0x7A9Ec1d04904907De0ED7b6839CcdD59c3716AC9";
+const TOKEN = "0xC9a43158891282A2B1475592D5719c001986Aaec";
+const deployment = { network: "baseSepolia", chainId: 84532, contracts: { CrossChainTokenBridge: BRIDGE, FeeBridge: FEE_BRIDGE } };
+const registry = { networks: { baseSepolia: { current: deployment, history: [] } } };
+
+function sampleBatch() {
+  const batch = newBatch();
+  batch.transactions.push(
+    encodeAdminCall({ deployment, kind: "bridge", method: "setThreshold", args: ["2"] }),
+    encodeAdminCall({ deployment, kind: "feeBridge", method: "withdrawTokens", args: [TOKEN, "3000"] })
+  );
+  return batch;
+}
+
+describe("Admin batches", function () {
+  it("Should encode owner calls with a description rebuilt from the calldata", function () {
+    const [threshold, withdraw] = sampleBatch().transactions;
+    expect(threshold).to.include({ network: "baseSepolia", chainId: 84532, to: BRIDGE, value: "0", description: "setThreshold(_threshold=2)" });
+    expect(withdraw.description).to.equal(`withdrawTokens(token=${TOKEN}, amount=3000)`);
+    expect(() => encodeAdminCall({ deployment, kind: "bridge", method: "release", args: [] })).to.throw("not an admin call");
+    expect(() => encodeAdminCall({ deployment, kind: "feeBridge", method: "configureChain", args: ["1", BRIDGE, "yes"] })).to.throw("true or false");
+  });
+
+  it("Should flag calldata, targets and chains that do not match", function () {
+    const batch = sampleBatch();
+    expect(checkBatch(batch, registry)).to.deep.equal([]);
+    batch.transactions[0].description = "setThreshold(_threshold=3)";
+    batch.transactions[1].to = BRIDGE;
+    batch.transactions[1].chainId = 8453;
+    const problems = checkBatch(batch, registry);
+    expect(problems).to.have.length(3);
+    expect(problems[0]).to.include("calldata decodes to setThreshold(_threshold=2)");
+  });
+
+  it("Should sign offline and detect a signed transaction that differs from the batch", async function () {
+    const wallet = ethers.Wallet.createRandom();
+    const batch = prepareBatch(sampleBatch(), {
+      from: wallet.address,
+      nonces: { baseSepolia: 7 },
+      gas: [40000n, 70000n],
+      fees: { baseSepolia: { maxFeePerGas: 2000000000n, maxPriorityFeePerGas: 1000000n } }
+    });
+    expect(batch.transactions.map((tx) => tx.nonce)).to.deep.equal([7, 8]);
+
+    let error = null;
+    await signBatch(batch, ethers.Wallet.createRandom()).catch((e) => (error = e));
+    expect(error.message).to.include("prepared for");
+
+    await signBatch(batch, wallet);
+    batch.transactions.forEach((tx) => expect(verifySigned(batch, tx)).to.equal(null));
+    batch.transactions[1].gasLimit = "90000";
+    expect(verifySigned(batch, batch.transactions[1])).to.include("gasLimit");
+  });
+
+  it("Should export one Safe Transaction Builder file per network with the raw calldata", function () {
+    const batch = sampleBatch();
+    const files = toSafeBuilder(batch);
+    expect(Object.keys(files)).to.deep.equal(["baseSepolia"]);
+    expect(files.baseSepolia.chainId).to.equal("84532");
+    expect(files.baseSepolia.transactions.map((t) => t.data)).to.deep.equal(batch.transactions.map((tx) => tx.data));
+  });
+});
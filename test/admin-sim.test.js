@@ -0,0 +1,69 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { encodeAdminCall, newBatch } = require("../scripts/lib/admin-batch");
+const { simulateBatch } = require("../scripts/lib/admin-sim");
+const { readValidatorSet } = require("../scripts/lib/validator-set");
+const { startChain } = require("./helpers/two-chains");
+
+describe("Admin batch simulation", function () {
+  this.timeout(120000);
+
+  let chain;
+  let live;
+  let deployment;
+  let validators;
+
+  before(async function () {
+    chain = await startChain({ validators: 3, threshold: 2 });
+    deployment = chain.record;
+    validators = chain.validators.map((v) => v.address);
+    // What bridge-admin.js hands the simulation: read-only contracts on the live chain.
+    live = { chainA: { fromBlock: deployment.blockNumber, connect: () => chain.bridge.connect(chain.provider) } };
+  });
+
+  after(async function () {
+    if (chain) await chain.stop();
+  });
+
+  const batchOf = (...calls) => {
+    const batch = newBatch();
+    batch.transactions.push(...calls.map(([method, ...args]) => encodeAdminCall({ deployment, kind: "bridge", method, args })));
+    return batch;
+  };
+
+  it("Should run a passing batch on a replica and leave the live bridge alone", async function () {
+    const batch = batchOf(["setThreshold", "3"], ["removeValidator", validators[2]]);
+    const { ok, results, states } = await simulateBatch(hre, batch, live);
+
+    expect(ok).to.equal(true);
+    expect(results.map((r) => r.ok)).to.deep.equal([true, true]);
+    expect(results[0]).to.include({ index: 1, network: "chainA", from: chain.owner.address, description: "setThreshold(_threshold=3)" });
+    const [state] = states;
+    expect(state.before).to.include({ owner: chain.owner.address, threshold: 2, paused: false });
+    expect(state.before.validators).to.have.members(validators);
+    // removeValidator clamps the threshold to the validators left.
+    expect(state.after).to.include({ owner: chain.owner.address, threshold: 2 });
+    expect(state.after.validators).to.have.members(validators.slice(0, 2));
+
+    expect(await chain.bridge.threshold()).to.equal(2n);
+    expect(await readValidatorSet(chain.bridge, deployment.blockNumber)).to.have.members(validators);
+  });
+
+  it("Should report the revert reason of a failing call and keep running the batch", async function () {
+    const batch = batchOf(["setThreshold", "4"], ["pause"]);
+    const { ok, results, states } = await simulateBatch(hre, batch, live);
+
+    expect(ok).to.equal(false);
+    expect(results[0]).to.include({ ok: false, reason: "bad threshold" });
+    expect(results[1].ok).to.equal(true);
+    expect(states[0].after).to.include({ threshold: 2, paused: true });
+  });
+
+  it("Should fail every call when the batch is sent from an account that is not the owner", async function () {
+    const batch = batchOf(["unpause"], ["setThreshold", "1"]);
+    batch.from = chain.user.address;
+    const { results } = await simulateBatch(hre, batch, live);
+
+    expect(results.map((r) => r.reason)).to.deep.equal(["OwnableUnauthorizedAccount", "OwnableUnauthorizedAccount"]);
+  });
+});
@@ -0,0 +1,103 @@
+const http = require("http");
+const { expect } = require("chai");
+const { createSinks, createAlerter } = require("../scripts/lib/alerts");
+const { resolveRules, alertsForEvents, rpcAlert } = require("../scripts/lib/alert-rules");
+
+function event(name, args, extra = {}) {
+  return { network: "base", bridge: "0xb", name, blockNumber: 10, txHash: `0x${name}`, logIndex: 0, args, ...extra };
+}
+
+describe("Alerts", function () {
+  let server;
+  let received;
+  let url;
+
+  before(function (done) {
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        received.push(JSON.parse(body));
+        res.end("ok");
+      });
+    });
+    server.listen(0, "127.0.0.1", () => {
+      url = `http://127.0.0.1:${server.address().port}/alerts`;
+      done();
+    });
+  });
+
+  after(function (done) {
+    server.close(done);
+  });
+
+  beforeEach(function () {
+    received = [];
+  });
+
+  it("Should deliver to a webhook and deduplicate within the window", async function () {
+    let now = 1_000_000;
+    const alerter = createAlerter({
+      sinks: createSinks([{ type: "webhook", url }]),
+      dedupSeconds: 60,
+      now: () => now
+    });
+    const alert = rpcAlert(resolveRules(), "base", new Error("connect ECONNREFUSED"));
+
+    expect((await alerter.emit(alert)).delivered).to.have.length(1);
+    now += 30 * 1000;
+    expect((await alerter.emit(alert)).suppressed).to.equal(true);
+    await alerter.emit({ ...alert, network: "polygon" });
+    now += 31 * 1000;
+    await alerter.emit(alert);
+
+    expect(received.map((a) => a.network)).to.deep.equal(["base", "polygon", "base"]);
+    expect(received[0]).to.include({ ruleId: "rpc.unreachable", severity: "critical" });
+  });
+
+  it("Should not start the dedup window when every sink fails", async function () {
+    let down = true;
+    const flaky = {
+      name: "flaky",
+      minSeverity: "info",
+      send: async () => {
+        if (down) throw new Error("connect ECONNREFUSED");
+      }
+    };
+    const alerter = createAlerter({ sinks: [flaky], dedupSeconds: 60, now: () => 1_000_000, log: () => {} });
+    const alert = rpcAlert(resolveRules(), "base", new Error("timeout"));
+
+    expect(await alerter.emit(alert)).to.deep.equal({ delivered: [], suppressed: false, failed: true });
+    down = false;
+    expect((await alerter.emit(alert)).delivered).to.deep.equal(["flaky"]);
+    expect((await alerter.emit(alert)).suppressed).to.equal(true);
+  });
+
+  it("Should skip sinks above the alert severity", async function () {
+    const alerter = createAlerter({ sinks: createSinks([{ type: "webhook", url, minSeverity: "critical" }]) });
+    const [alert] = alertsForEvents([event("ThresholdUpdated", { threshold: "1" })], resolveRules());
+
+    const result = await alerter.emit(alert);
+    expect(result.delivered).to.deep.equal([]);
+    expect(received).to.deep.equal([]);
+  });
+
+  it("Should map bridge events to rules", function () {
+    const rules = resolveRules({ "bridge.large-release": { amount: "1000" }, "bridge.unpaused": { enabled: false } });
+    const alerts = alertsForEvents(
+      [
+        event("Paused", { account: "0xa" }),
+        event("Unpaused", { account: "0xa" }),
+        event("Released", { to: "0xc", amount: "999000000000000000000", fromChainId: "1", nonce: "1" }),
+        event("Released", { to: "0xc", amount: "1000000000000000000000", fromChainId: "1", nonce: "2" }, { logIndex: 1 }),
+        event("Locked", { from: "0xa", to: "0xc", amount: "1", toChainId: "1", nonce: "3" })
+      ],
+      rules
+    );
+
+    expect(alerts.map((a) => a.ruleId)).to.deep.equal(["bridge.paused", "bridge.large-release"]);
+    expect(alerts[0].severity).to.equal("critical");
+    expect(alerts[1].details.nonce).to.equal("2");
+    expect(() => resolveRules({ "bridge.typo": {} })).to.throw(/Unknown alert rule/);
+  });
+});
@@ -0,0 +1,99 @@
+const { expect } = require("chai");
+const { resolveTriggers, detectAnomalies, openIncidents, pauseAll } = require("../scripts/lib/breaker");
+const { parseValidatorSet } = require("../scripts/lib/rotation");
+const { storeWith } = require("./helpers/event-store");
+
+const v1 = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const v2 = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+const stranger = "0x9965507D1a55bcC2695C58ba16FB37d819B0A4dc";
+
+function event(name, network, thisChainId, args, txHash = `0x${name}-${network}`) {
+  return { name, network, thisChainId, bridge: "0xb", blockNumber: 10, txHash, timestamp: 1000, args };
+}
+
+const locked = (nonce) => event("Locked", "base", "8453", { from: v1, to: v2, amount: "5", toChainId: "137", nonce }, `0xlock${nonce}`);
+const released = (nonce, amount = "5") => event("Released", "polygon", "137", { to: v2, amount, fromChainId: "8453", nonce }, `0xrelease${nonce}`);
+
+describe("Circuit breaker", function () {
+  const triggers = resolveTriggers({ "large-release": { amount: "100", decimals: 0 }, "orphan-release": { graceSeconds: 60 } });
+
+  it("Should trip on a release without a matching lock once the grace period has passed", function () {
+    const store = storeWith([locked("1"), released("1"), released("2")]);
+    const check = (now, extra = {}) => detectAnomalies({ store, fresh: [], triggers, now, ...extra });
+
+    expect(check(1030)).to.deep.equal([]);
+    const [trip] = check(1100);
+    expect(trip).to.include({ trigger: "orphan-release", network: "polygon" });
+    expect(trip.evidence).to.include({ transfer: "8453->137#2", txHash: "0xrelease2", amount: "5" });
+    expect(check(1100, { seenOrphans: new Set(["8453->137#2"]) })).to.deep.equal([]);
+    expect(check(1100, { unreachable: new Set(["8453"]) })).to.deep.equal([]);
+  });
+
+  it("Should trip on a release at or above the configured size", function () {
+    const store = storeWith([locked("3"), released("3", "100")]);
+    const trips = detectAnomalies({ store, fresh: store.events({ name: "Released" }), triggers, now: 2000 });
+    expect(trips.map((t) => t.trigger)).to.deep.equal(["large-release"]);
+    expect(trips[0].evidence).to.include({ txHash: "0xrelease3", amount: "100" });
+  });
+
+  it("Should trip on an escrow drop at or above the configured percentage", function () {
+    const run = (balance) =>
+      detectAnomalies({ store: storeWith([]), fresh: [], triggers, escrow: [{ network: "base", balance }], previousEscrow: { base: "1000" } });
+    expect(run(850n)).to.deep.equal([]);
+    const [trip] = run(800n);
+    expect(trip).to.include({ trigger: "escrow-drop", network: "base" });
+    expect(trip.evidence).to.deep.equal({ network: "base", previous: "1000", current: "800", limitPercent: 20 });
+  });
+
+  it("Should only trip on validator changes the declared set does not explain", function () {
+    const expected = parseValidatorSet({ validators: [v1, v2], threshold: 2 });
+    const fresh = [
+      event("ValidatorAdded", "base", "8453", { validator: v2, validatorCount: "2" }),
+      event("ValidatorRemoved", "base", "8453", { validator: stranger, validatorCount: "2" }),
+      event("ThresholdUpdated", "base", "8453", { threshold: "3" }),
+      event("ValidatorAdded", "base", "8453", { validator: stranger, validatorCount: "3" }),
+      event("ThresholdUpdated", "base", "8453", { threshold: "1" })
+    ];
+    const trips = detectAnomalies({ store: storeWith([]), fresh, triggers, expected });
+    expect(trips.map((t) => t.message)).to.deep.equal([
+      `undeclared validator ${stranger} added on base`,
+      "threshold on base lowered to 1, below the declared 2"
+    ]);
+    expect(detectAnomalies({ store: storeWith([]), fresh, triggers })).to.have.length(5);
+  });
+
+  it("Should trip on an unpause while incidents are open and respect disabled triggers", function () {
+    const fresh = [event("Unpaused", "base", "8453", { account: v1 })];
+    expect(detectAnomalies({ store: storeWith([]), fresh, triggers, incidentsOpen: false })).to.deep.equal([]);
+    expect(detectAnomalies({ store: storeWith([]), fresh, triggers, incidentsOpen: true })[0].trigger).to.equal("unacknowledged-unpause");
+    const off = resolveTriggers({ "unacknowledged-unpause": { enabled: false } });
+    expect(detectAnomalies({ store: storeWith([]), fresh, triggers: off, incidentsOpen: true })).to.deep.equal([]);
+    expect(() => resolveTriggers({ "no-such-trigger": {} })).to.throw(/Unknown breaker trigger/);
+  });
+
+  it("Should close incidents only through an acknowledgement", function () {
+    const log = [
+      { type: "incident", id: "a" },
+      { type: "pause", id: "a" },
+      { type: "incident", id: "b" },
+      { type: "ack", ids: ["a"], operator: "alice" }
+    ];
+    expect(openIncidents(log).map((i) => i.id)).to.deep.equal(["b"]);
+  });
+
+  it("Should give up on a stuck pause and report unreachable chains without holding up the rest", async function () {
+    const bridge = (paused, wait) => ({ paused: async () => paused, pause: async () => ({ hash: "0xp", wait }) });
+    const results = await pauseAll(
+      [
+        { network: "base", bridge: bridge(false, async () => ({ blockNumber: 7 })) },
+        { network: "polygon", bridge: bridge(false, () => new Promise(() => {})) },
+        { network: "ethereum", bridge: bridge(true) },
+        { network: "arbitrum", bridge: null, error: "connect ECONNREFUSED" }
+      ],
+      50
+    );
+    expect(results.map((r) => r.status)).to.deep.equal(["paused", "failed", "already paused", "failed"]);
+    expect(results[1].error).to.equal("pause 0xp timed out after 50ms");
+    expect(results[3].error).to.equal("connect ECONNREFUSED");
+  });
+});
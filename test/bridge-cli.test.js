@@ -0,0 +1,83 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+const { ethers } = require("ethers");
+const hre = require("hardhat");
+const { recordDeployment } = require("../scripts/lib/deployments");
+const { REASONS } = require("../scripts/lib/revert-reasons");
+const { startChain } = require("./helpers/two-chains");
+
+const SCRIPT = path.join(__dirname, "..", "scripts", "bridge-cli.js");
+
+describe("Operator CLI (local chain)", function () {
+  this.timeout(180000);
+
+  let chain;
+  let env;
+  const recipient = ethers.Wallet.createRandom().address;
+
+  // Runs the CLI as an operator would against the node, signing with its first account (the bridge owner).
+  function cli(...args) {
+    return new Promise((resolve) => {
+      execFile(process.execPath, [SCRIPT, "--network", "chainA", ...args], { cwd: hre.config.paths.root, env, timeout: 120000 }, (error, stdout, stderr) =>
+        resolve({ code: error ? error.code : 0, stdout, stderr })
+      );
+    });
+  }
+
+  before(async function () {
+    chain = await startChain();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bridge-cli-"));
+    fs.writeFileSync(
+      path.join(dir, "local.json"),
+      JSON.stringify({
+        environment: "local",
+        validators: [],
+        threshold: 1,
+        chains: { chainA: { chainId: 31001, rpcUrl: chain.url, thisChainId: 31001, token: null, bridge: null, confirmations: 0 } }
+      })
+    );
+    recordDeployment(chain.record, path.join(dir, "deployments.json"));
+    env = {
+      ...process.env,
+      PRIVATE_KEY: "",
+      BRIDGE_CONFIG_DIR: dir,
+      DEPLOYMENTS_FILE: path.join(dir, "deployments.json"),
+      NONCE_STATE: path.join(dir, "nonce-state.json")
+    };
+  });
+
+  after(async function () {
+    if (chain) await chain.stop();
+  });
+
+  it("Should lock with an explicit nonce and report it in status", async function () {
+    const locked = await cli("lock", "5", "--to", recipient, "--to-chain", "31002", "--nonce", "7");
+    expect(locked.code, locked.stderr).to.equal(0);
+    expect(locked.stdout).to.contain(`Locked 5 for ${recipient} on chain 31002, nonce 7`);
+    expect(await chain.bridge.usedNonce(7)).to.equal(true);
+
+    const { stdout } = await cli("status", "7");
+    expect(stdout).to.contain("Nonce 7 used: true");
+    expect(stdout).to.match(new RegExp(`Locked\\s+5\\.0 0x[0-9a-fA-F]{40} -> ${recipient} on chain 31002`));
+  });
+
+  it("Should refuse a used nonce and a lock to its own chain with the explained reason", async function () {
+    const reused = await cli("lock", "1", "--to", recipient, "--to-chain", "31002", "--nonce", "7");
+    expect(reused.code).to.equal(1);
+    expect(reused.stderr).to.contain(`Error: nonce used: ${REASONS["nonce used"]}`);
+
+    const same = await cli("lock", "1", "--to", recipient, "--to-chain", "31001");
+    expect(same.code).to.equal(1);
+    expect(same.stderr).to.contain(`Error: same chain: ${REASONS["same chain"]}`);
+  });
+
+  it("Should explain a revert the node reports", async function () {
+    const { code, stderr } = await cli("threshold", "set", "4");
+    expect(code).to.equal(1);
+    expect(stderr).to.contain(`Error: bad threshold: ${REASONS["bad threshold"]}`);
+    expect((await cli("threshold")).stdout).to.contain("Threshold: 2 of 3");
+  });
+});
@@ -0,0 +1,53 @@
+const { expect } = require("chai");
+const { createBridgeMetrics } = require("../scripts/lib/bridge-metrics");
+const { createRegistry } = require("../scripts/lib/prometheus");
+const { storeWith } = require("./helpers/event-store");
+
+const user = "0x0000000000000000000000000000000000000B0b";
+
+describe("Bridge metrics", function () {
+  it("Should export flows and pending transfers per chain pair", function () {
+    const metrics = createBridgeMetrics();
+    metrics.updateFromStore(
+      storeWith([
+        { name: "Locked", thisChainId: "8453", timestamp: 100, args: { from: user, to: user, amount: "300", toChainId: "137", nonce: "1" } },
+        { name: "Locked", thisChainId: "8453", timestamp: 400, args: { from: user, to: user, amount: "200", toChainId: "137", nonce: "2" } },
+        { name: "Locked", thisChainId: "8453", timestamp: 700, args: { from: user, to: user, amount: "50", toChainId: "137", nonce: "3" } },
+        { name: "Released", thisChainId: "137", timestamp: 500, args: { to: user, amount: "300", fromChainId: "8453", nonce: "1" } }
+      ]),
+      { now: 1000 }
+    );
+    const text = metrics.render();
+
+    expect(text).to.include('bridge_locked_volume{from_chain_id="8453",to_chain_id="137"} 550');
+    expect(text).to.include('bridge_locked_transfers{from_chain_id="8453",to_chain_id="137"} 3');
+    expect(text).to.include('bridge_released_volume{from_chain_id="8453",to_chain_id="137"} 300');
+    expect(text).to.include('bridge_pending_transfers{from_chain_id="8453",to_chain_id="137"} 2');
+    expect(text).to.include('bridge_pending_oldest_age_seconds{from_chain_id="8453",to_chain_id="137"} 600');
+  });
+
+  it("Should report deployment views and count RPC errors", function () {
+    const metrics = createBridgeMetrics();
+    const labels = { network: "base", chain_id: "8453" };
+    metrics.updateDeployment(labels, { threshold: 2n, validatorCount: 3n, paused: true, escrowBalance: 10n, lastBlock: 42 });
+    metrics.rpcError(labels);
+    metrics.rpcError(labels);
+    const text = metrics.render();
+
+    expect(text).to.include('bridge_threshold{network="base",chain_id="8453"} 2');
+    expect(text).to.include('bridge_paused{network="base",chain_id="8453"} 1');
+    expect(text).to.include('bridge_last_processed_block{network="base",chain_id="8453"} 42');
+    expect(text).to.include('bridge_rpc_up{network="base",chain_id="8453"} 0');
+    expect(text).to.include('bridge_rpc_errors_total{network="base",chain_id="8453"} 2');
+    expect(text).to.include("# TYPE bridge_rpc_errors_total counter");
+  });
+
+  it("Should escape label values and reject unknown labels", function () {
+    const registry = createRegistry();
+    const gauge = registry.gauge("test_value", "A test gauge", ["name"]);
+    gauge.set({ name: 'a "quoted"\nname' }, 1);
+
+    expect(registry.render()).to.include('test_value{name="a \\"quoted\\"\\nname"} 1');
+    expect(() => gauge.set({ other: "x" }, 1)).to.throw(/no label "other"/);
+  });
+});
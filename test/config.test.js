@@ -0,0 +1,77 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { validateConfig, loadConfig, hardhatNetworks } = require("../scripts/lib/config");
+
+const v1 = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const v2 = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+
+const testnet = () => ({
+  environment: "testnet",
+  validators: [v1, v2],
+  threshold: 2,
+  chains: {
+    baseSepolia: { chainId: 84532, rpcUrl: "https://sepolia.base.org", rpcUrlEnv: "TEST_BASE_SEPOLIA_RPC_URL", token: null, confirmations: 3 },
+    amoy: { chainId: 80002, rpcUrl: "https://rpc-amoy.polygon.technology", validators: [v1], threshold: 1, fee: { feeBps: 30, minimumAmount: "1000" } }
+  }
+});
+
+function configDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bridge-config-"));
+  for (const [name, content] of Object.entries(files)) fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify(content));
+  return dir;
+}
+
+describe("Environment config", function () {
+  it("Should accept the shipped environment files", function () {
+    const config = loadConfig(path.join(__dirname, "..", "config"));
+    expect(Object.keys(config.environments)).to.deep.equal(["local", "testnet", "mainnet"]);
+    expect(config.chains.ethereum.chainId).to.equal(1);
+    expect(config.chains.polygon.chainId).to.equal(137);
+  });
+
+  it("Should report every schema problem with its path", function () {
+    const raw = testnet();
+    raw.chains.baseSepolia.token = "0x...";
+    raw.chains.baseSepolia.confirmations = -1;
+    raw.chains.amoy.rpc = "https://example.org";
+    raw.chains.amoy.fee = { feeBps: 20000 };
+    expect(validateConfig(raw)).to.deep.equal([
+      'chains.baseSepolia.token: expected a checksummed or lowercase address, got "0x..."',
+      "chains.baseSepolia.confirmations: must be at least 0, got -1",
+      "chains.amoy.rpc: unknown field (expected chainId, rpcUrl, rpcUrlEnv, thisChainId, token, bridge, feeBridge, confirmations, validators, threshold, fee)",
+      "chains.amoy.fee.feeBps: must be at most 10000, got 20000",
+      "chains.amoy.fee.minimumAmount: required"
+    ]);
+  });
+
+  it("Should reject thresholds above the validator count and shared thisChainIds", function () {
+    const raw = testnet();
+    raw.chains.amoy.threshold = 2;
+    raw.chains.amoy.thisChainId = 84532;
+    expect(validateConfig(raw)).to.deep.equal([
+      "chains.amoy.threshold: 2 is more than the 1 validators",
+      "chains.amoy.thisChainId: 84532 is already used by baseSepolia"
+    ]);
+  });
+
+  it("Should apply defaults, env RPC overrides and build Hardhat networks", function () {
+    process.env.TEST_BASE_SEPOLIA_RPC_URL = "https://rpc.example.org/key";
+    try {
+      const config = loadConfig(configDir({ testnet: testnet() }));
+      const { baseSepolia, amoy } = config.chains;
+      expect(baseSepolia).to.include({ rpcUrl: "https://rpc.example.org/key", thisChainId: 84532, threshold: 2, confirmations: 3 });
+      expect(amoy).to.include({ threshold: 1, confirmations: 1 });
+      expect(amoy.fee).to.deep.equal({ feeBps: 30, minimumAmount: 1000n });
+      expect(hardhatNetworks(["0xkey"], config).amoy).to.deep.equal({ url: "https://rpc-amoy.polygon.technology", accounts: ["0xkey"], chainId: 80002 });
+    } finally {
+      delete process.env.TEST_BASE_SEPOLIA_RPC_URL;
+    }
+  });
+
+  it("Should refuse a network defined in two environments", function () {
+    const mainnet = { environment: "mainnet", chains: { amoy: { chainId: 80002, rpcUrl: "https://rpc-amoy.polygon.technology" } } };
+    expect(() => loadConfig(configDir({ testnet: testnet(), mainnet }))).to.throw("defined in both testnet.json and mainnet.json");
+  });
+});
@@ -1,77 +1,131 @@
 // base-crosschain-token-bridge/test/crosschain-token-bridge.test.js
+// End-to-end transfers between two local chains with real validator signatures.
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
-
-describe("Base Cross-Chain Token Bridge", function () {
-  let bridge;
-  let token;
-  let owner;
-  let addr1;
-
-  beforeEach(async function () {
-    [owner, addr1] = await ethers.getSigners();
-    
-    // Деплой токена
-    const TestToken = await ethers.getContractFactory("ERC20Token");
-    token = await TestToken.deploy("Test Token", "TEST");
-    await token.deployed();
-    
-    // Деплой Bridge контракта
-    const CrossChainTokenBridge = await ethers.getContractFactory("CrossChainTokenBridgeV3");
-    bridge = await CrossChainTokenBridge.deploy(
-      250, // 2.5% fee percentage
-      ethers.utils.parseEther("0.001"), // 0.001 ETH minimum amount
-      ethers.utils.parseEther("1000"), // 1000 ETH maximum amount
-      3600 // 1 hour transaction timeout
-    );
-    await bridge.deployed();
+const { ethers } = require("ethers");
+const { startTwoChains, lock, sign, release, revertOf } = require("./helpers/two-chains");
+
+describe("Base Cross-Chain Token Bridge (two chains)", function () {
+  this.timeout(180000);
+
+  let env;
+  let a;
+  let b;
+  let validators;
+  let nextNonce = 1n;
+  const amount = ethers.parseEther("25");
+
+  before(async function () {
+    env = await startTwoChains({ validators: 3, threshold: 2 });
+    ({ a, b, validators } = env);
   });
 
+  after(async function () {
+    if (env) await env.stop();
+  });
+
+  const transfer = (from, to) => lock(from, to, { amount, recipient: to.recipient.address, nonce: nextNonce++ });
+
   describe("Deployment", function () {
-    it("Should set the right owner", async function () {
-      expect(await bridge.owner()).to.equal(owner.address);
+    it("Should run two chains with their own chain ids and bridge configuration", async function () {
+      expect((await a.provider.getNetwork()).chainId).to.equal(31001n);
+      expect((await b.provider.getNetwork()).chainId).to.equal(31002n);
+      expect(await a.bridge.thisChainId()).to.equal(31001n);
+      expect(await b.bridge.thisChainId()).to.equal(31002n);
+      expect(await b.bridge.threshold()).to.equal(2n);
+      expect(await b.bridge.validatorCount()).to.equal(3n);
     });
+  });
 
-    it("Should initialize with correct parameters", async function () {
-      expect(await bridge.feePercentage()).to.equal(250);
-      expect(await bridge.minimumAmount()).to.equal(ethers.utils.parseEther("0.001"));
-      expect(await bridge.maximumAmount()).to.equal(ethers.utils.parseEther("1000"));
+  describe("Round trip", function () {
+    it("Should lock on one chain and release on the other", async function () {
+      const userBefore = await a.token.balanceOf(a.user.address);
+      const escrowABefore = await a.token.balanceOf(a.record.contracts.CrossChainTokenBridge);
+      const recipientBefore = await b.token.balanceOf(b.recipient.address);
+
+      const params = await transfer(a, b);
+      const receipt = await release(b, params, await sign(validators.slice(0, 2), params));
+
+      const released = receipt.logs.map((l) => b.bridge.interface.parseLog(l)).find((e) => e && e.name === "Released");
+      expect(released.args.fromChainId).to.equal(31001n);
+      expect(released.args.nonce).to.equal(params.nonce);
+      expect(await a.token.balanceOf(a.user.address)).to.equal(userBefore - amount);
+      expect(await a.token.balanceOf(a.record.contracts.CrossChainTokenBridge)).to.equal(escrowABefore + amount);
+      expect(await b.token.balanceOf(b.recipient.address)).to.equal(recipientBefore + amount);
+      expect(await b.bridge.usedNonce(params.nonce)).to.equal(true);
     });
-  });
 
-  describe("Chain Configuration", function () {
-    it("Should configure a chain", async function () {
-      await expect(bridge.configureChain(
-        1,
-        addr1.address,
-        true,
-        100000,
-        100
-      )).to.emit(bridge, "ChainConfigured");
+    it("Should transfer back in the other direction", async function () {
+      const params = await transfer(b, a);
+      const before = await a.token.balanceOf(a.recipient.address);
+
+      await release(a, params, await sign(validators.slice(1), params));
+      expect(await a.token.balanceOf(a.recipient.address)).to.equal(before + amount);
     });
   });
 
-  describe("Bridge Operations", function () {
-    beforeEach(async function () {
-      await bridge.configureChain(
-        1,
-        addr1.address,
-        true,
-        100000,
-        100
-      );
+  describe("Rejected releases", function () {
+    it("Should reject a replayed release", async function () {
+      const params = await transfer(a, b);
+      const signatures = await sign(validators.slice(0, 2), params);
+      await release(b, params, signatures);
+
+      expect(await revertOf(release(b, params, signatures))).to.equal("nonce used");
+    });
+
+    it("Should reject a lock that reuses a nonce", async function () {
+      const params = await transfer(a, b);
+      expect(await revertOf(lock(a, b, { amount, recipient: b.recipient.address, nonce: params.nonce }))).to.equal("nonce used");
+    });
+
+    it("Should reject fewer signatures than the threshold", async function () {
+      const params = await transfer(a, b);
+      expect(await revertOf(release(b, params, await sign(validators.slice(0, 1), params)))).to.equal("not enough sigs");
+    });
+
+    it("Should not count a duplicate signer twice", async function () {
+      const params = await transfer(a, b);
+      const [signature] = await sign(validators.slice(0, 1), params);
+      expect(await revertOf(release(b, params, [signature, signature]))).to.equal("threshold not met");
+    });
+
+    it("Should reject signatures over different parameters", async function () {
+      const params = await transfer(a, b);
+      const signatures = await sign(validators.slice(0, 2), { ...params, amount: params.amount * 2n });
+      expect(await revertOf(release(b, params, signatures))).to.equal("threshold not met");
     });
 
-    it("Should initiate a bridge", async function () {
-      await token.mint(owner.address, ethers.utils.parseEther("100"));
-      await token.approve(bridge.address, ethers.utils.parseEther("100"));
-      
-      await expect(bridge.initiateBridge(
-        1,
-        addr1.address,
-        token.address,
-        ethers.utils.parseEther("10")
-      )).to.emit(bridge, "TransactionInitiated");
+    it("Should ignore signatures from a removed validator", async function () {
+      const params = await transfer(a, b);
+      const [removed, kept, spare] = validators;
+      await (await b.bridge.removeValidator(removed.address)).wait();
+
+      try {
+        expect(await revertOf(release(b, params, await sign([removed, kept], params)))).to.equal("threshold not met");
+        await release(b, params, await sign([kept, spare], params));
+        expect(await b.bridge.usedNonce(params.nonce)).to.equal(true);
+      } finally {
+        await (await b.bridge.addValidator(removed.address)).wait();
+      }
+    });
+  });
+
+  describe("Pause", function () {
+    it("Should block locks and releases while paused and resume afterwards", async function () {
+      const params = await transfer(a, b);
+      const signatures = await sign(validators.slice(0, 2), params);
+
+      await (await a.bridge.pause()).wait();
+      await (await b.bridge.pause()).wait();
+      try {
+        expect(await revertOf(transfer(a, b))).to.equal("EnforcedPause");
+        expect(await revertOf(release(b, params, signatures))).to.equal("EnforcedPause");
+      } finally {
+        await (await a.bridge.unpause()).wait();
+        await (await b.bridge.unpause()).wait();
+      }
+
+      await release(b, params, signatures);
+      expect(await b.bridge.usedNonce(params.nonce)).to.equal(true);
     });
   });
 });
@@ -0,0 +1,87 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+const { ethers } = require("ethers");
+const hre = require("hardhat");
+const { BRIDGE_ABI } = require("../scripts/lib/abi");
+const { readRegistry } = require("../scripts/lib/deployments");
+const { startNode } = require("./helpers/two-chains");
+
+const SCRIPT = path.join(__dirname, "..", "scripts", "deploy-multichain.js");
+
+// Runs the orchestrator as operators do; resolves with its exit code and output instead of rejecting.
+function run(args) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [SCRIPT, ...args], { cwd: hre.config.paths.root, timeout: 120000 }, (error, stdout, stderr) =>
+      resolve({ code: error ? error.code : 0, stdout, stderr })
+    );
+  });
+}
+
+describe("Multi-network deployment (two chains)", function () {
+  this.timeout(180000);
+
+  const nodes = [];
+  let dir;
+  let planFile;
+  const validators = [ethers.Wallet.createRandom().address, ethers.Wallet.createRandom().address];
+  const writePlan = (fields = {}) =>
+    fs.writeFileSync(
+      planFile,
+      JSON.stringify({
+        registry: "deployments.json",
+        validators,
+        threshold: 2,
+        token: "",
+        networks: [
+          { name: "chainA", url: nodes[0].url, thisChainId: 8453 },
+          { name: "chainB", url: nodes[1].url, thisChainId: 137 }
+        ],
+        ...fields
+      })
+    );
+  const registry = () => readRegistry(path.join(dir, "deployments.json"));
+
+  before(async function () {
+    for (const id of [31001, 31002]) nodes.push(await startNode(id));
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "deploy-multichain-"));
+    planFile = path.join(dir, "plan.json");
+  });
+
+  after(async function () {
+    await Promise.all(nodes.map((n) => n.stop()));
+  });
+
+  it("Should deploy every network in the plan and record it in the registry", async function () {
+    writePlan();
+    const { code, stdout, stderr } = await run([planFile]);
+    expect(code, stderr).to.equal(0);
+    expect(stdout).to.contain("All chains share the same validator set and threshold.");
+
+    const { chainA, chainB } = registry().networks;
+    expect(chainA.history).to.deep.equal([]);
+    expect(chainA.current).to.deep.include({ network: "chainA", chainId: 31001, rpcUrl: nodes[0].url, params: { thisChainId: 8453, validators, threshold: 2 } });
+    expect(chainB.current).to.include({ network: "chainB", chainId: 31002 });
+    const bridge = new ethers.Contract(chainB.current.contracts.CrossChainTokenBridge, BRIDGE_ABI, nodes[1].provider);
+    expect(await bridge.thisChainId()).to.equal(137n);
+  });
+
+  it("Should move the previous deployment into history on a redeploy", async function () {
+    const before = registry().networks.chainA.current;
+    expect((await run([planFile])).code).to.equal(0);
+
+    const { chainA } = registry().networks;
+    expect(chainA.history).to.deep.equal([before]);
+    expect(chainA.current.contracts.CrossChainTokenBridge).to.not.equal(before.contracts.CrossChainTokenBridge);
+  });
+
+  it("Should fail the consistency check when the chains no longer match the plan", async function () {
+    writePlan({ threshold: 1 });
+    const { code, stderr } = await run([planFile, "--check-only"]);
+    expect(code).to.equal(1);
+    expect(stderr).to.contain("chainA: threshold 2, plan says 1");
+    expect(registry().networks.chainA.history).to.have.length(1);
+  });
+});
@@ -0,0 +1,51 @@
+const { expect } = require("chai");
+const { expectedState, diffState } = require("../scripts/lib/drift");
+
+const [owner, v1, v2, v3] = [
+  "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266",
+  "0x70997970C51812dc3A010C7d01b50e0d17dc79C8",
+  "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC",
+  "0x90F79bf6EB2c4f870365E785982E1f101E93b906"
+];
+const TOKEN = "0xC9a43158891282A2B1475592D5719c001986Aaec";
+
+const record = {
+  network: "baseSepolia",
+  deployer: owner,
+  contracts: { Token: TOKEN, CrossChainTokenBridge: "0x1c85638e118b37167e9298c2268758e058DdfDA0" },
+  params: { thisChainId: 84532, validators: [v1, v2], threshold: 2 }
+};
+const onChain = (changes = {}) => ({
+  token: TOKEN,
+  thisChainId: "84532",
+  validators: [v2, v1],
+  validatorCount: 2,
+  threshold: 2,
+  owner,
+  paused: false,
+  ...changes
+});
+
+describe("Deployment drift", function () {
+  it("Should report nothing when the chain matches the record", function () {
+    expect(diffState(expectedState(record), onChain())).to.deep.equal([]);
+  });
+
+  it("Should list every drifted field and the validator changes", function () {
+    const diffs = diffState(expectedState(record), onChain({ validators: [v2, v3], threshold: 1, owner: v1, paused: true }));
+    expect(diffs.map((d) => d.field)).to.deep.equal(["threshold", "owner", "paused", "validators"]);
+    expect(diffs[3].detail).to.deep.equal({ added: [v3], removed: [v1] });
+  });
+
+  it("Should take the validator set from a declared set that covers the network", function () {
+    const declared = { validators: [v2, v3], threshold: 1, networks: ["baseSepolia"] };
+    expect(diffState(expectedState(record, declared), onChain({ validators: [v2, v3], threshold: 1 }))).to.deep.equal([]);
+    const elsewhere = expectedState(record, { ...declared, networks: ["base"] });
+    expect(elsewhere.validators).to.deep.equal([v2, v1]);
+  });
+
+  it("Should flag a validator count the events do not account for and a missing contract", function () {
+    expect(diffState(expectedState(record), onChain({ validatorCount: 3 }))[0].field).to.equal("validatorCount");
+    expect(diffState(expectedState(record), { missing: true })[0].field).to.equal("code");
+  });
+});
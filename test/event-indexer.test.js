@@ -0,0 +1,126 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const { BRIDGE_ABI } = require("../scripts/lib/abi");
+const { createEventStore } = require("../scripts/lib/event-store");
+const { createIndexer, deploymentState, sourceKey } = require("../scripts/lib/indexer");
+const { signRelease } = require("../scripts/lib/digest");
+
+const BRIDGE = "0x00000000000000000000000000000000000b1d9e";
+const iface = new ethers.Interface(BRIDGE_ABI);
+
+// Minimal in-memory chain: blocks carry a hash and the bridge logs emitted in them; each log is its own
+// transaction, with calldata when the test passes one.
+function fakeChain() {
+  const blocks = [];
+  const transactions = new Map();
+  const chain = {
+    mine(fork, events = [], calldata = []) {
+      const number = blocks.length;
+      const hash = ethers.id(`${fork}:${number}`);
+      const logs = events.map(([name, args], index) => {
+        const { data, topics } = iface.encodeEventLog(name, args);
+        if (calldata[index]) transactions.set(ethers.id(`${hash}:${index}`), { to: BRIDGE, data: calldata[index] });
+        return { address: BRIDGE, data, topics, blockNumber: number, index };
+      });
+      blocks.push({ number, hash, timestamp: 1000 + number, logs });
+    },
+    reorg(fromBlock) {
+      blocks.length = fromBlock;
+    },
+    provider: {
+      getBlockNumber: async () => blocks.length - 1,
+      getBlock: async (n) => blocks[n] || null,
+      getTransaction: async (hash) => transactions.get(hash) || null,
+      getLogs: async ({ fromBlock, toBlock }) =>
+        blocks
+          .slice(fromBlock, toBlock + 1)
+          .flatMap((b) => b.logs.map((l) => ({ ...l, blockHash: b.hash, transactionHash: ethers.id(`${b.hash}:${l.index}`) })))
+    }
+  };
+  return chain;
+}
+
+describe("Event indexer", function () {
+  const to = "0x000000000000000000000000000000000000bEEF";
+  let file;
+
+  beforeEach(function () {
+    file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "bridge-index-")), "events.jsonl");
+  });
+
+  function setup(chain) {
+    const store = createEventStore(file);
+    const indexer = createIndexer({
+      store,
+      sources: [{ network: "local", bridge: BRIDGE, provider: chain.provider, startBlock: 0, thisChainId: "100" }],
+      log: () => {}
+    });
+    return { store, indexer };
+  }
+
+  it("Should backfill events and survive a restart", async function () {
+    const chain = fakeChain();
+    chain.mine("a", [["ThresholdUpdated", [1]]]);
+    chain.mine("a", [["Locked", [to, to, 5, 200, 1]]]);
+
+    await setup(chain).indexer.tick();
+    const { store } = setup(chain);
+
+    expect(store.events().map((e) => e.name)).to.deep.equal(["ThresholdUpdated", "Locked"]);
+    expect(store.events({ nonce: 1 })[0].args.amount).to.equal("5");
+    expect(store.cursor(sourceKey("local", BRIDGE)).block).to.equal(1);
+  });
+
+  it("Should write each range in one line and drop a line cut short by a crash", async function () {
+    const chain = fakeChain();
+    chain.mine("a", [["ThresholdUpdated", [1]]]);
+    chain.mine("a", [["Locked", [to, to, 5, 200, 1]]]);
+    await setup(chain).indexer.tick();
+
+    const lines = fs.readFileSync(file, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+    expect(lines.map((l) => [l.op, l.block])).to.deep.equal([["events", 1]]);
+
+    fs.appendFileSync(file, '{"op":"events","source":"local:0x');
+    const { store, indexer } = setup(chain);
+    expect(store.events()).to.have.length(2);
+    chain.mine("a", [["Locked", [to, to, 6, 200, 2]]]);
+    await indexer.tick();
+    expect(setup(chain).store.events().map((e) => e.args.nonce || "")).to.deep.equal(["", "1", "2"]);
+  });
+
+  it("Should roll back events from orphaned blocks", async function () {
+    const chain = fakeChain();
+    chain.mine("a");
+    chain.mine("a", [["Locked", [to, to, 5, 200, 1]]]);
+    const { store, indexer } = setup(chain);
+    await indexer.tick();
+    chain.mine("a", [["Paused", [to]]]);
+    await indexer.tick();
+
+    chain.reorg(2);
+    chain.mine("b", [["Locked", [to, to, 7, 200, 2]]]);
+    chain.mine("b");
+    await indexer.tick();
+
+    expect(store.events().map((e) => `${e.name}:${e.args.nonce || ""}`)).to.deep.equal(["Locked:1", "Locked:2"]);
+    expect(deploymentState(store, sourceKey("local", BRIDGE)).paused).to.equal(false);
+    expect(setup(chain).store.events()).to.have.length(2);
+  });
+
+  it("Should record the validators that signed a release", async function () {
+    const chain = fakeChain();
+    const [v1, v2] = [ethers.Wallet.createRandom(), ethers.Wallet.createRandom()];
+    const params = { to, amount: 5n, fromChainId: 200n, toChainId: 100n, nonce: 7n };
+    const signatures = [await signRelease(v1, params), await signRelease(v2, params), await signRelease(v1, params), "0x1234"];
+    chain.mine("a", [["Released", [to, 5, 200, 7]], ["Released", [to, 5, 200, 8]]], [iface.encodeFunctionData("release", [to, 5, 200, 7, signatures])]);
+    const { store, indexer } = setup(chain);
+    await indexer.tick();
+
+    const [direct, relayed] = store.events({ name: "Released" });
+    expect(direct.signers).to.deep.equal([v1.address, v2.address]);
+    expect(relayed.signers).to.equal(null);
+  });
+});
@@ -0,0 +1,75 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { FEE_BRIDGE_ABI, ERC20_ABI } = require("../scripts/lib/abi");
+const { readFeeLedger, summarizeLedger, ledgerRows } = require("../scripts/lib/fee-ledger");
+
+const DAY = 86400;
+const FEE_BRIDGE = "0x0000000000000000000000000000000000000fee";
+const TOKEN = "0x000000000000000000000000000000000000dEaD";
+const owner = "0x00000000000000000000000000000000000A11cE";
+const user = "0x0000000000000000000000000000000000000B0b";
+const feeIface = new ethers.Interface(FEE_BRIDGE_ABI);
+const erc20Iface = new ethers.Interface(ERC20_ABI);
+
+// Logs of a few fee bridge transactions; getLogs matches address and topics like a node would.
+function fakeProvider() {
+  const logs = [];
+  const emit = (block, tx, iface, address, name, args) => {
+    const { data, topics } = iface.encodeEventLog(name, args);
+    logs.push({ address, data, topics, blockNumber: block, index: logs.length, transactionHash: tx });
+  };
+  emit(1, "0x01", erc20Iface, TOKEN, "Transfer", [user, FEE_BRIDGE, 1000]);
+  emit(1, "0x01", erc20Iface, TOKEN, "Transfer", [FEE_BRIDGE, owner, 10]);
+  emit(1, "0x01", feeIface, FEE_BRIDGE, "TransactionInitiated", [0, user, user, TOKEN, 1000, 137, 0]);
+  emit(2, "0x02", erc20Iface, TOKEN, "Transfer", [FEE_BRIDGE, user, 990]);
+  emit(2, "0x02", feeIface, FEE_BRIDGE, "TransactionCompleted", [1, user, TOKEN, 990]);
+  emit(3, "0x03", erc20Iface, TOKEN, "Transfer", [owner, FEE_BRIDGE, 50]);
+  emit(4, "0x04", erc20Iface, TOKEN, "Transfer", [FEE_BRIDGE, owner, 40]);
+  emit(4, "0x04", erc20Iface, TOKEN, "Transfer", [owner, user, 1]);
+
+  const matches = (log, { address, topics }) =>
+    (!address || log.address.toLowerCase() === address.toLowerCase()) &&
+    topics.every((t, i) => t === null || (Array.isArray(t) ? t.includes(log.topics[i]) : t.toLowerCase() === log.topics[i]));
+  return {
+    getBlockNumber: async () => 4,
+    getBlock: async (n) => ({ number: n, timestamp: 10 * DAY + n }),
+    getLogs: async (filter) => logs.filter((l) => l.blockNumber >= filter.fromBlock && l.blockNumber <= filter.toBlock && matches(l, filter)),
+    call: async (tx) => {
+      const fn = erc20Iface.parseTransaction({ data: tx.data }).name;
+      return erc20Iface.encodeFunctionResult(fn, [fn === "symbol" ? "TT" : 2]);
+    }
+  };
+}
+
+const entry = (kind, amount, timestamp, extra = {}) => ({ network: "base", token: TOKEN, symbol: "TT", decimals: 2, kind, amount, timestamp, ...extra });
+
+describe("Fee ledger", function () {
+  it("Should classify transfers by the bridge event in the same transaction", async function () {
+    const entries = await readFeeLedger(fakeProvider(), { network: "base", chainId: 8453, contracts: { FeeBridge: FEE_BRIDGE } });
+    expect(entries.map((e) => `${e.kind}:${e.amount}`)).to.deep.equal(["deposit:1000", "fee:10", "payout:990", "funding:50", "withdrawal:40"]);
+    expect(entries[1]).to.include({ symbol: "TT", decimals: 2, destinationChainId: "137", bridgeTransactionId: "0", counterparty: owner });
+  });
+
+  it("Should summarize revenue per token, destination and day against the previous period", function () {
+    const now = 20 * DAY;
+    const summary = summarizeLedger(
+      [
+        entry("deposit", "1000", now - 9 * DAY),
+        entry("fee", "10", now - 9 * DAY, { destinationChainId: "137" }),
+        entry("fee", "30", now - DAY, { destinationChainId: "137" }),
+        entry("fee", "5", now - DAY, { destinationChainId: "1" }),
+        entry("withdrawal", "40", now - DAY)
+      ],
+      { now, periodDays: 7 }
+    );
+    expect(summary.tokens[0]).to.include({ feeRevenue: "45", revenueCurrentPeriod: "35", revenuePreviousPeriod: "10", revenueChangePercent: 250, withdrawn: "40", escrowNet: "915" });
+    expect(summary.byDestination.map((d) => [d.destinationChainId, d.feeRevenue])).to.deep.equal([["137", "40"], ["1", "5"]]);
+    expect(summary.daily.map((d) => [d.date, d.feeRevenue])).to.deep.equal([["1970-01-12", "10"], ["1970-01-20", "35"]]);
+  });
+
+  it("Should export signed decimal amounts for accounting", function () {
+    const [deposit, fee] = ledgerRows([entry("deposit", "1000", DAY), entry("fee", "15", DAY)]);
+    expect(deposit).to.include({ date: "1970-01-02", direction: "in", amount: "10.0", amountBaseUnits: "1000" });
+    expect(fee).to.include({ direction: "out", amount: "-0.15", amountBaseUnits: "-15" });
+  });
+});
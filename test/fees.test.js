@@ -0,0 +1,111 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const hre = require("hardhat");
+const { FEE_BRIDGE_ABI } = require("../scripts/lib/abi");
+const { deployFeeBridge } = require("../scripts/lib/deployer");
+const { splitFee, quoteTransfer, assertQuoteCurrent } = require("../scripts/lib/fees");
+const { startChain } = require("./helpers/two-chains");
+
+describe("Fee quotes", function () {
+  it("Should round the fee down like initiateBridge", function () {
+    expect(splitFee(1000n, 250n)).to.deep.equal({ fee: 25n, netAmount: 975n });
+    expect(splitFee(39n, 250n)).to.deep.equal({ fee: 0n, netAmount: 39n });
+    expect(splitFee("10000", 10000)).to.deep.equal({ fee: 10000n, netAmount: 0n });
+  });
+
+  it("Should refuse to submit when the fee or minimum changed after the quote", async function () {
+    const feeBridge = (feeBps, minimumAmount) => ({
+      feePercentage: async () => feeBps,
+      minimumAmount: async () => minimumAmount
+    });
+    const quote = { feeBps: 250n, minimumAmount: 100n };
+
+    await assertQuoteCurrent(feeBridge(250n, 100n), quote);
+    let error;
+    try {
+      await assertQuoteCurrent(feeBridge(300n, 100n), quote);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.match(/fee 250 -> 300 bps/);
+  });
+});
+
+describe("Fee quotes (local chain)", function () {
+  this.timeout(120000);
+
+  const MINIMUM = ethers.parseEther("1");
+  let chain;
+  let feeBridge;
+
+  before(async function () {
+    chain = await startChain();
+    const address = await deployFeeBridge({
+      artifacts: hre.artifacts,
+      signer: chain.owner,
+      network: chain.name,
+      feeBps: 250,
+      minimumAmount: MINIMUM,
+      log: () => {}
+    });
+    feeBridge = new ethers.Contract(address, FEE_BRIDGE_ABI, chain.owner);
+    await (await feeBridge.configureChain(31002, ethers.ZeroAddress, true)).wait();
+    await (await feeBridge.configureChain(137, ethers.ZeroAddress, false)).wait();
+  });
+
+  after(async function () {
+    if (chain) await chain.stop();
+  });
+
+  const quote = (amount, toChainId = 31002) =>
+    quoteTransfer({ feeBridge: feeBridge.target, provider: chain.provider, from: chain.user.address, toChainId, token: chain.token.target, amount });
+
+  it("Should quote the fee and net amount initiateBridge settles", async function () {
+    const amount = ethers.parseEther("10");
+    const unapproved = await quote(amount);
+    expect(unapproved).to.deep.include({ ok: true, feeBps: 250n, minimumAmount: MINIMUM });
+    expect(unapproved).to.deep.include({ fee: ethers.parseEther("0.25"), netAmount: ethers.parseEther("9.75") });
+    expect(unapproved).to.deep.include({ sourceChainId: 31001n, destinationChainId: 31002n, needsApproval: true });
+    expect(unapproved.gas.estimated).to.equal(false);
+    expect(unapproved.gas.approve > 0n).to.equal(true);
+
+    await (await chain.token.connect(chain.user).approve(feeBridge.target, amount)).wait();
+    const q = await quote(amount);
+    expect(q).to.deep.include({ ok: true, needsApproval: false });
+    expect(q.gas).to.deep.include({ estimated: true, approve: 0n });
+
+    const ownerBefore = await chain.token.balanceOf(chain.owner.address);
+    await (await feeBridge.connect(chain.user).initiateBridge(31002, chain.recipient.address, chain.token.target, amount)).wait();
+    const recorded = await feeBridge.transactions((await feeBridge.nextTransactionId()) - 1n);
+    expect(recorded.amount).to.equal(q.netAmount);
+    expect((await chain.token.balanceOf(chain.owner.address)) - ownerBefore).to.equal(q.fee);
+  });
+
+  it("Should list an amount below the minimum and a disabled destination as problems", async function () {
+    const small = await quote(ethers.parseEther("0.5"));
+    expect(small.ok).to.equal(false);
+    expect(small.problems).to.deep.equal([`amount is below the minimum of ${MINIMUM}`]);
+
+    const disabled = await quote(ethers.parseEther("10"), 137);
+    expect(disabled.problems).to.deep.equal(["chain 137 is not enabled on the fee bridge"]);
+    expect(disabled.gas.estimated).to.equal(false);
+  });
+
+  it("Should reject a quote once the owner changes the fee or minimum", async function () {
+    const q = await quote(ethers.parseEther("10"));
+    await assertQuoteCurrent(feeBridge, q);
+
+    await (await feeBridge.setFeePercentage(300)).wait();
+    await (await feeBridge.setMinimumAmount(ethers.parseEther("2"))).wait();
+    let error;
+    try {
+      await assertQuoteCurrent(feeBridge, q);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal(
+      `Fee bridge settings changed since the quote (fee 250 -> 300 bps, minimum ${MINIMUM} -> ${ethers.parseEther("2")}); quote again`
+    );
+    await assertQuoteCurrent(feeBridge, await quote(ethers.parseEther("10")));
+  });
+});
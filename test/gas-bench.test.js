@@ -0,0 +1,20 @@
+const { expect } = require("chai");
+const { sweepCases, caseKey, compareToBaseline } = require("../scripts/lib/gas-bench");
+
+describe("Gas benchmark", function () {
+  it("Should sweep thresholds of one, a majority and all validators", function () {
+    expect(sweepCases([1, 4]).map(caseKey)).to.deep.equal(["v1-t1", "v4-t1", "v4-t3", "v4-t4"]);
+  });
+
+  it("Should flag only changes beyond the margin", function () {
+    const baseline = { "v3-t2": { lock: 71000, release: 88000, pause: 28000 } };
+    const results = { "v3-t2": { lock: 71010, release: 92000, pause: 20000, unpause: 28000 }, "v5-t3": { lock: 71000 } };
+
+    const { regressions, improvements, unbaselined } = compareToBaseline(results, baseline, 2);
+    expect(regressions).to.deep.equal([
+      { case: "v3-t2", operation: "release", baseline: 88000, current: 92000, changePercent: 4.55 }
+    ]);
+    expect(improvements.map((c) => c.operation)).to.deep.equal(["pause"]);
+    expect(unbaselined).to.deep.equal(["v3-t2 unpause", "v5-t3"]);
+  });
+});
@@ -0,0 +1,22 @@
+// A real event store on a temp file, filled with test events the way the indexer files them.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createEventStore } = require("../../scripts/lib/event-store");
+const { sourceKey } = require("../../scripts/lib/indexer");
+
+// events: indexed-event shaped objects; each goes under its source, else one source per network (or chain id)
+// and bridge, so queries by name, network, nonce, where() etc. run through the store's own filters.
+function storeWith(events) {
+  const store = createEventStore(path.join(fs.mkdtempSync(path.join(os.tmpdir(), "event-store-")), "events.jsonl"));
+  const bySource = new Map();
+  for (const e of events) {
+    const key = e.source || sourceKey(e.network || `chain-${e.thisChainId}`, e.bridge || "");
+    if (!bySource.has(key)) bySource.set(key, []);
+    bySource.get(key).push({ ...e, source: key });
+  }
+  for (const [key, list] of bySource) store.addEvents(key, list);
+  return store;
+}
+
+module.exports = { storeWith };
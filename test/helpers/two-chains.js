@@ -0,0 +1,176 @@
+// Two independent Hardhat nodes with different chain ids, each with a TestToken and a lock/release bridge.
+const net = require("net");
+const { spawn } = require("child_process");
+const { ethers } = require("ethers");
+const hre = require("hardhat");
+const { BRIDGE_ABI } = require("../../scripts/lib/abi");
+const { deployBridge } = require("../../scripts/lib/deployer");
+const { signRelease } = require("../../scripts/lib/digest");
+const { revertReason } = require("../../scripts/lib/revert-reasons");
+
+const TOKEN_ABI = [
+  "function mint(address to, uint256 amount)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function transfer(address to, uint256 amount) returns (bool)",
+  "function balanceOf(address) view returns (uint256)"
+];
+const LIQUIDITY = ethers.parseEther("100000");
+const NODE_MNEMONIC = "test test test test test test test test test test test junk";
+
+// Private key of a funded account on every node, for code under test that signs with a key of its own.
+function accountKey(index) {
+  return ethers.HDNodeWallet.fromPhrase(NODE_MNEMONIC, undefined, `m/44'/60'/0'/0/${index}`).privateKey;
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Resolves once the node accepts JSON-RPC; the child is killed by the returned stop(), or here if it fails to start.
+async function startNode(chainId) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [require.resolve("hardhat/internal/cli/cli"), "node", "--hostname", "127.0.0.1", "--port", String(port)], {
+    cwd: hre.config.paths.root,
+    env: { ...process.env, HARDHAT_CHAIN_ID: String(chainId), HARDHAT_NETWORK: "hardhat" },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+
+  let output = "";
+  await new Promise((resolve, reject) => {
+    // The caller never gets stop() when startup fails, so the node is killed here or it keeps its port.
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`node for chain ${chainId} did not start:\n${output}`));
+    }, 60000);
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes("Started HTTP")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on("data", onData);
+    child.stderr.on("data", onData);
+    child.once("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`node for chain ${chainId} exited with code ${code}:\n${output}`));
+    });
+  });
+  child.stdout.resume();
+  child.stderr.resume();
+
+  const network = ethers.Network.from(chainId);
+  // No request cache: a test retrying the same transaction right after a state change must hit the node.
+  const url = `http://127.0.0.1:${port}`;
+  const provider = new ethers.JsonRpcProvider(url, network, { staticNetwork: network, cacheTimeout: -1 });
+  const stop = () =>
+    new Promise((resolve) => {
+      provider.destroy();
+      if (child.exitCode !== null) return resolve();
+      child.once("exit", resolve);
+      child.kill();
+    });
+  return { provider, url, stop };
+}
+
+// Deploys TestToken + bridge on the node, seeds the escrow so it can pay releases and funds `user`.
+// node: { provider, url, stop }; a second bridge on a running chain can pose as another chain id.
+async function deployOnNode(name, chainId, node, validators, threshold) {
+  const [deployer, user, recipient] = await Promise.all([0, 1, 2].map((i) => node.provider.getSigner(i)));
+  const record = await deployBridge({
+    artifacts: hre.artifacts,
+    signer: deployer,
+    network: name,
+    thisChainId: chainId,
+    validators: validators.map((v) => v.address),
+    threshold,
+    log: () => {}
+  });
+  const token = new ethers.Contract(record.contracts.Token, TOKEN_ABI, deployer);
+  await (await token.transfer(record.contracts.CrossChainTokenBridge, LIQUIDITY)).wait();
+  await (await token.mint(user.address, LIQUIDITY)).wait();
+  await (await token.connect(user).approve(record.contracts.CrossChainTokenBridge, ethers.MaxUint256)).wait();
+
+  return {
+    name,
+    chainId: BigInt(chainId),
+    record,
+    url: node.url,
+    provider: node.provider,
+    owner: deployer,
+    user,
+    recipient,
+    token,
+    bridge: new ethers.Contract(record.contracts.CrossChainTokenBridge, BRIDGE_ABI, deployer),
+    stop: node.stop
+  };
+}
+
+async function startTwoChains({ validators = 3, threshold = 2, chainIds = [31001, 31002] } = {}) {
+  const keys = Array.from({ length: validators }, () => ethers.Wallet.createRandom());
+  const nodes = [];
+  try {
+    for (const id of chainIds) nodes.push(await startNode(id));
+    const [a, b] = await Promise.all([
+      deployOnNode("chainA", chainIds[0], nodes[0], keys, threshold),
+      deployOnNode("chainB", chainIds[1], nodes[1], keys, threshold)
+    ]);
+    return { a, b, validators: keys, stop: () => Promise.all(nodes.map((n) => n.stop())) };
+  } catch (e) {
+    await Promise.all(nodes.map((n) => n.stop()));
+    throw e;
+  }
+}
+
+// A single node with its token and bridge, for tests that only need one chain.
+async function startChain({ name = "chainA", chainId = 31001, validators = 3, threshold = 2 } = {}) {
+  const keys = Array.from({ length: validators }, () => ethers.Wallet.createRandom());
+  const node = await startNode(chainId);
+  try {
+    return { ...(await deployOnNode(name, chainId, node, keys, threshold)), validators: keys };
+  } catch (e) {
+    await node.stop();
+    throw e;
+  }
+}
+
+// Locks on `from` and returns the release parameters as the destination chain will check them.
+async function lock(from, to, { amount, recipient, nonce }) {
+  const receipt = await (await from.bridge.connect(from.user).lock(amount, to.chainId, recipient, nonce)).wait();
+  const event = receipt.logs.map((l) => from.bridge.interface.parseLog(l)).find((e) => e && e.name === "Locked");
+  return {
+    to: event.args.to,
+    amount: event.args.amount,
+    fromChainId: from.chainId,
+    toChainId: event.args.toChainId,
+    nonce: event.args.nonce
+  };
+}
+
+function sign(validators, params) {
+  return Promise.all(validators.map((v) => signRelease(v, params)));
+}
+
+async function release(chain, params, signatures) {
+  const relayer = chain.recipient;
+  return (await chain.bridge.connect(relayer).release(params.to, params.amount, params.fromChainId, params.nonce, signatures)).wait();
+}
+
+// Resolves to the revert reason (require string or custom error name) of a call that must fail.
+async function revertOf(promise) {
+  try {
+    await promise;
+  } catch (e) {
+    return revertReason(e) || e.shortMessage || e.message;
+  }
+  throw new Error("expected the transaction to revert");
+}
+
+module.exports = { startNode, startTwoChains, startChain, deployOnNode, accountKey, lock, sign, release, revertOf };
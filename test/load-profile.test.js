@@ -0,0 +1,43 @@
+const { expect } = require("chai");
+const { PROFILES, rateAt, normalizeCurve, percentile, summarize } = require("../scripts/lib/load");
+
+describe("Traffic load profiles", function () {
+  it("Should interpolate the arrival rate along a curve", function () {
+    const curve = PROFILES.peak.curve;
+    expect(rateAt(curve, 0)).to.equal(200);
+    expect(rateAt(curve, 0.25)).to.equal(850);
+    expect(rateAt(curve, 0.5)).to.equal(1500);
+    expect(rateAt(curve, 1)).to.equal(200);
+  });
+
+  it("Should normalise custom curves given in seconds", function () {
+    expect(normalizeCurve([[0, 10], [30, 60], [60, 10]])).to.deep.equal([[0, 10], [0.5, 60], [1, 10]]);
+  });
+
+  it("Should pick nearest-rank percentiles", function () {
+    const sorted = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+    expect(percentile(sorted, 50)).to.equal(5);
+    expect(percentile(sorted, 90)).to.equal(9);
+    expect(percentile(sorted, 99)).to.equal(10);
+    expect(percentile([], 50)).to.equal(0);
+  });
+
+  it("Should summarise measured samples and group reverts by reason", function () {
+    const samples = [
+      { ok: true, latencyMs: 100, gasUsed: 70000, amount: 10n },
+      { ok: true, latencyMs: 300, gasUsed: 72000, amount: 30n },
+      { ok: false, latencyMs: 50, reason: "EnforcedPause" }
+    ];
+    const summary = summarize({ samples, rpcLatency: [4, 6], wallClockSec: 60 }, PROFILES.low.curve);
+
+    expect(summary.sent).to.equal(3);
+    expect(summary.confirmed).to.equal(2);
+    expect(summary.transactionsPerMinute).to.equal(2);
+    expect(summary.totalVolume).to.equal("40");
+    expect(summary.avgTransactionSize).to.equal("20");
+    expect(summary.avgProcessingTime).to.equal(200);
+    expect(summary.networkLatency).to.equal(5);
+    expect(summary.gasPerLock.avg).to.equal(71000);
+    expect(summary.reverts).to.deep.equal({ EnforcedPause: 1 });
+  });
+});
@@ -0,0 +1,97 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { deriveNonce, createNonceAllocator, withFreshNonce, findNonceCollisions } = require("../scripts/lib/nonces");
+const { storeWith } = require("./helpers/event-store");
+
+const alice = "0x00000000000000000000000000000000000A11cE";
+const bob = "0x0000000000000000000000000000000000000B0b";
+
+function fakeBridge(used = new Set()) {
+  return { target: "0x000000000000000000000000000000000000b12d", used, usedNonce: async (n) => used.has(n) };
+}
+
+function locked(chain, toChainId, nonce) {
+  return { name: "Locked", thisChainId: chain, network: `net${chain}`, txHash: `0xl${chain}-${nonce}`, args: { from: alice, to: bob, amount: "1", toChainId, nonce } };
+}
+
+function released(chain, fromChainId, nonce) {
+  return { name: "Released", thisChainId: chain, network: `net${chain}`, txHash: `0xr${chain}-${nonce}`, args: { to: bob, amount: "1", fromChainId, nonce } };
+}
+
+describe("Nonce allocation", function () {
+  let stateFile;
+
+  beforeEach(function () {
+    stateFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "nonces-")), "nonce-state.json");
+  });
+
+  it("Should derive distinct nonces per source chain, sender and counter", function () {
+    const base = { sourceChainId: 8453, from: alice, toChainId: 137, counter: 0 };
+    const nonces = [base, { ...base, sourceChainId: 1 }, { ...base, from: bob }, { ...base, counter: 1 }].map(deriveNonce);
+    expect(new Set(nonces).size).to.equal(4);
+    expect(deriveNonce(base)).to.equal(deriveNonce({ ...base }));
+  });
+
+  it("Should skip used nonces and keep the counter across allocators", async function () {
+    const params = { sourceChainId: 8453n, from: alice, toChainId: 137n };
+    const bridge = fakeBridge(new Set([deriveNonce({ ...params, counter: 0n })]));
+
+    const first = await createNonceAllocator({ bridge, ...params, stateFile }).next();
+    expect(first).to.equal(deriveNonce({ ...params, counter: 1n }));
+    const second = await createNonceAllocator({ bridge, ...params, stateFile }).next();
+    expect(second).to.equal(deriveNonce({ ...params, counter: 2n }));
+  });
+
+  it("Should retry with a fresh nonce when the lock loses a race", async function () {
+    const allocator = createNonceAllocator({ bridge: fakeBridge(), sourceChainId: 1n, from: alice, toChainId: 2n, strategy: "random" });
+    const tried = [];
+    const nonce = await withFreshNonce(allocator, async (n) => {
+      tried.push(n);
+      if (tried.length === 1) throw Object.assign(new Error("execution reverted"), { reason: "nonce used" });
+      return n;
+    });
+    expect(tried).to.have.length(2);
+    expect(nonce).to.equal(tried[1]);
+    expect(tried[0]).to.not.equal(tried[1]);
+  });
+
+  it("Should not retry other reverts", async function () {
+    const allocator = createNonceAllocator({ bridge: fakeBridge(), sourceChainId: 1n, from: alice, toChainId: 2n, strategy: "random" });
+    let calls = 0;
+    let error;
+    try {
+      await withFreshNonce(allocator, async () => {
+        calls++;
+        throw Object.assign(new Error("execution reverted"), { reason: "EnforcedPause" });
+      });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.reason).to.equal("EnforcedPause");
+    expect(calls).to.equal(1);
+  });
+});
+
+describe("Nonce collision analysis", function () {
+  it("Should flag nonces claimed by more than one lock or inbound transfer", function () {
+    const report = findNonceCollisions(
+      storeWith([
+        locked("8453", "137", "5"),
+        released("137", "8453", "5"),
+        locked("137", "8453", "7"),
+        locked("1", "8453", "7"),
+        locked("1", "137", "9"),
+        locked("137", "8453", "9")
+      ])
+    );
+
+    expect(report.summary).to.deep.equal({ slots: 8, collisions: 2, stuck: 3 });
+    const bySlot = Object.fromEntries(report.collisions.map((c) => [`${c.chainId}#${c.nonce}`, c]));
+    expect(bySlot["8453#7"].claims.map((c) => c.kind)).to.deep.equal(["inbound transfer", "inbound transfer"]);
+    // Claims come in the order the store returns sources, which is not chain order.
+    expect(bySlot["137#9"].claims.map((c) => c.kind)).to.have.members(["inbound transfer", "local lock"]);
+    expect(bySlot["137#9"].stuck).to.deep.equal(["1->137#9"]);
+  });
+});
@@ -0,0 +1,47 @@
+const { expect } = require("chai");
+const { reconcile } = require("../scripts/lib/reconcile");
+const { storeWith } = require("./helpers/event-store");
+
+const alice = "0x00000000000000000000000000000000000A11cE";
+const bob = "0x0000000000000000000000000000000000000B0b";
+
+function locked(chain, toChainId, nonce, to, amount, timestamp = 1000) {
+  return { name: "Locked", thisChainId: chain, timestamp, txHash: `0xl${nonce}`, args: { from: alice, to, amount, toChainId, nonce } };
+}
+
+function released(chain, fromChainId, nonce, to, amount) {
+  return { name: "Released", thisChainId: chain, timestamp: 1100, txHash: `0xr${nonce}`, args: { to, amount, fromChainId, nonce } };
+}
+
+describe("Reconciliation", function () {
+  it("Should classify completed, pending, orphaned and mismatched transfers", function () {
+    const report = reconcile(
+      storeWith([
+        locked("8453", "137", "1", bob, "100"),
+        locked("8453", "137", "2", bob, "100", 400),
+        locked("8453", "137", "3", bob, "100"),
+        released("137", "8453", "1", bob, "100"),
+        released("137", "8453", "3", alice, "90"),
+        released("137", "8453", "4", bob, "50")
+      ]),
+      { now: 1600 }
+    );
+
+    const byNonce = Object.fromEntries(report.transfers.map((t) => [t.nonce, t]));
+    expect(byNonce["1"].status).to.equal("completed");
+    expect(byNonce["2"].status).to.equal("pending");
+    expect(byNonce["2"].ageSeconds).to.equal(1200);
+    expect(byNonce["3"].status).to.equal("mismatched");
+    expect(byNonce["3"].issues).to.deep.equal(["recipient differs", "amount differs"]);
+    expect(byNonce["4"].status).to.equal("orphaned");
+    expect(report.summary).to.include({ completed: 1, pending: 1, orphaned: 1, mismatched: 1, oldestPendingSeconds: 1200 });
+  });
+
+  it("Should not pair a release with a lock from another chain", function () {
+    const report = reconcile(
+      storeWith([locked("8453", "137", "9", bob, "100"), released("137", "1", "9", bob, "100")]),
+      { now: 1000 }
+    );
+    expect(report.transfers.map((t) => t.status).sort()).to.deep.equal(["orphaned", "pending"]);
+  });
+});
@@ -0,0 +1,76 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const { connectChains } = require("../scripts/lib/chains");
+const { createRelayer } = require("../scripts/lib/relayer");
+const { startTwoChains, accountKey, lock } = require("./helpers/two-chains");
+
+describe("Relayer (two chains)", function () {
+  this.timeout(180000);
+
+  let env;
+  let chains;
+  let stateFile;
+  const amount = ethers.parseEther("10");
+
+  before(async function () {
+    env = await startTwoChains({ validators: 3, threshold: 2 });
+    chains = await connectChains(
+      [env.a, env.b].map((c) => ({ name: c.name, rpcUrl: c.url, bridge: c.record.contracts.CrossChainTokenBridge, confirmations: 0 })),
+      accountKey(3)
+    );
+    stateFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "relayer-")), "relayer-state.json");
+  });
+
+  after(async function () {
+    for (const chain of chains ? chains.values() : []) chain.provider.destroy();
+    if (env) await env.stop();
+  });
+
+  const relayer = (validators = env.validators) => createRelayer({ chains, validators: validators.map((wallet) => ({ wallet })), stateFile, log: () => {} });
+  const saved = () => JSON.parse(fs.readFileSync(stateFile, "utf8")).transfers;
+  const releases = async () => (await env.b.bridge.queryFilter(env.b.bridge.filters.Released())).length;
+
+  it("Should keep a transfer pending while too few validators sign", async function () {
+    await lock(env.a, env.b, { amount, recipient: env.b.recipient.address, nonce: 1 });
+    await relayer(env.validators.slice(0, 1)).tick();
+
+    expect(saved()["31001:1"]).to.include({ status: "pending", toChainId: "31002", attempts: 1 });
+    expect(saved()["31001:1"].lastError).to.contain("1/2 valid signers");
+    expect(await env.b.bridge.usedNonce(1)).to.equal(false);
+  });
+
+  it("Should release on the destination chain and persist the release", async function () {
+    const before = await env.b.token.balanceOf(env.b.recipient.address);
+    await relayer().tick();
+
+    const transfer = saved()["31001:1"];
+    expect(transfer.status).to.equal("released");
+    expect((await env.b.provider.getTransactionReceipt(transfer.releaseTx)).blockNumber).to.equal(transfer.releaseBlock);
+    expect(await env.b.token.balanceOf(env.b.recipient.address)).to.equal(before + amount);
+  });
+
+  it("Should not release twice after a restart, even if the release was never recorded", async function () {
+    const restartWith = (fields) => {
+      const state = JSON.parse(fs.readFileSync(stateFile, "utf8"));
+      state.transfers["31001:1"] = { ...state.transfers["31001:1"], ...fields };
+      fs.writeFileSync(stateFile, JSON.stringify(state));
+      return relayer().tick();
+    };
+    const { releaseTx } = saved()["31001:1"];
+
+    await relayer().tick();
+    expect(await releases()).to.equal(1);
+
+    // Crashed after persisting the hash but before the receipt: the receipt settles it.
+    await restartWith({ status: "submitted", releaseBlock: undefined });
+    expect(saved()["31001:1"]).to.include({ status: "released", releaseTx });
+
+    // Crashed between sending the release and saving its hash: usedNonce and the Released event settle it.
+    await restartWith({ status: "pending", releaseTx: undefined });
+    expect(saved()["31001:1"]).to.include({ status: "released", releaseTx });
+    expect(await releases()).to.equal(1);
+  });
+});
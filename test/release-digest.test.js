@@ -0,0 +1,41 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { releaseDigest, releaseMessageHash, signRelease, recoverReleaseSigner } = require("../scripts/lib/digest");
+
+describe("Release digest", function () {
+  const params = {
+    to: "0x000000000000000000000000000000000000dEaD",
+    amount: ethers.parseEther("5"),
+    fromChainId: 8453,
+    toChainId: 137,
+    nonce: 42
+  };
+
+  it("Should pack the fields like abi.encodePacked", function () {
+    const word = (v) => ethers.zeroPadValue(ethers.toBeHex(v), 32);
+    const packed = ethers.concat([
+      ethers.toUtf8Bytes("RELEASE"),
+      params.to,
+      word(params.amount),
+      word(params.fromChainId),
+      word(params.toChainId),
+      word(params.nonce)
+    ]);
+    expect(releaseDigest(params)).to.equal(ethers.keccak256(packed));
+  });
+
+  it("Should apply the EIP-191 prefix like toEthSignedMessageHash", function () {
+    const prefixed = ethers.concat([
+      ethers.toUtf8Bytes("\x19Ethereum Signed Message:\n32"),
+      releaseDigest(params)
+    ]);
+    expect(releaseMessageHash(params)).to.equal(ethers.keccak256(prefixed));
+  });
+
+  it("Should recover the signer of a release signature", async function () {
+    const wallet = ethers.Wallet.createRandom();
+    const signature = await signRelease(wallet, params);
+    expect(recoverReleaseSigner(params, signature)).to.equal(wallet.address);
+    expect(recoverReleaseSigner({ ...params, nonce: 43 }, signature)).to.not.equal(wallet.address);
+  });
+});
@@ -0,0 +1,59 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { BRIDGE_ABI } = require("../scripts/lib/abi");
+const { signRelease } = require("../scripts/lib/digest");
+const { decodeRelease, inspectRelease } = require("../scripts/lib/release-inspector");
+
+const iface = new ethers.Interface(BRIDGE_ABI);
+
+// Stands in for the bridge's views; runner.call replies the way a node would for a passing release.
+function fakeBridge(validators, { threshold = 2, thisChainId = 137, paused = false, used = [] } = {}) {
+  const set = new Set(validators.map((w) => w.address));
+  return {
+    target: "0x0000000000000000000000000000000000000001",
+    runner: { call: async () => "0x" },
+    threshold: async () => BigInt(threshold),
+    thisChainId: async () => BigInt(thisChainId),
+    validatorCount: async () => BigInt(set.size),
+    paused: async () => paused,
+    usedNonce: async (nonce) => used.includes(Number(nonce)),
+    isValidator: async (addr) => set.has(addr)
+  };
+}
+
+describe("Release inspector", function () {
+  const [v1, v2, outsider] = Array.from({ length: 3 }, () => ethers.Wallet.createRandom());
+  const params = { to: "0x000000000000000000000000000000000000dEaD", amount: ethers.parseEther("1"), fromChainId: 8453n, nonce: 7n };
+  const sign = (w, toChainId = 137) => signRelease(w, { ...params, toChainId });
+  const calldata = (signatures) => iface.encodeFunctionData("release", [params.to, params.amount, params.fromChainId, params.nonce, signatures]);
+
+  it("Should decode release calldata and refuse anything else", function () {
+    expect(decodeRelease(calldata(["0x12"]))).to.deep.equal({ ...params, signatures: ["0x12"] });
+    expect(() => decodeRelease(iface.encodeFunctionData("pause"))).to.throw("not a release");
+  });
+
+  it("Should classify every signer and name the threshold failure", async function () {
+    const signatures = [await sign(v1), await sign(v1), await sign(outsider), await sign(v2, 8453)];
+    const r = await inspectRelease(fakeBridge([v1, v2]), decodeRelease(calldata(signatures)));
+
+    expect(r.signatures.map((s) => s.status)).to.deep.equal(["valid", "duplicate", "not-validator", "not-validator"]);
+    expect(r.signatures[0].signer).to.equal(v1.address);
+    expect(r.failure.reason).to.equal("threshold not met");
+    expect(r.failure.detail).to.contain("1 of 2 distinct validator signatures; 2 recovered to non-validators");
+  });
+
+  it("Should report the checks in the contract's order", async function () {
+    const good = [await sign(v1), await sign(v2)];
+    const call = decodeRelease(calldata(good));
+    const failure = async (options, c = call) => (await inspectRelease(fakeBridge([v1, v2], options), c)).failure;
+
+    expect(await failure({})).to.equal(null);
+    expect((await failure({ paused: true, used: [7] })).reason).to.equal("EnforcedPause");
+    expect((await failure({ thisChainId: 8453 })).reason).to.equal("bad fromChain");
+    expect((await failure({ used: [7] })).detail).to.contain("usedNonce(7) is true");
+    expect((await failure({ threshold: 3 })).reason).to.equal("not enough sigs");
+    // Recovery stops at the threshold, so a malformed trailing signature is harmless.
+    expect(await failure({}, decodeRelease(calldata([...good, "0x1234"])))).to.equal(null);
+    expect((await failure({}, decodeRelease(calldata(["0x1234", ...good])))).reason).to.equal("ECDSAInvalidSignatureLength");
+  });
+});
@@ -0,0 +1,117 @@
+const { expect } = require("chai");
+const { prepareContext, sectionsFor } = require("../scripts/lib/report-sections");
+const { validateRules, evaluateRules, buildReport } = require("../scripts/lib/report-engine");
+const { renderReport } = require("../scripts/lib/report-format");
+const shippedRules = require("../report.rules.json");
+const { storeWith } = require("./helpers/event-store");
+
+const alice = "0x00000000000000000000000000000000000A11cE";
+const bob = "0x0000000000000000000000000000000000000B0b";
+const deployments = [
+  { network: "base", params: { thisChainId: 8453 }, contracts: { CrossChainTokenBridge: "0x0000000000000000000000000000000000000001" } },
+  { network: "polygon", params: { thisChainId: 137 }, contracts: { CrossChainTokenBridge: "0x0000000000000000000000000000000000000002" } }
+];
+const events = [
+  { name: "Locked", thisChainId: "8453", timestamp: 1000, txHash: "0xl1", args: { from: alice, to: bob, amount: "300000000000000000000000", toChainId: "137", nonce: "1" } },
+  { name: "Locked", thisChainId: "8453", timestamp: 2000, txHash: "0xl2", args: { from: alice, to: bob, amount: "100", toChainId: "137", nonce: "2" } },
+  { name: "Released", thisChainId: "137", timestamp: 1060, txHash: "0xr1", args: { to: bob, amount: "300000000000000000000000", fromChainId: "8453", nonce: "1" } }
+];
+const chainStates = [
+  { network: "base", bridge: "0x0000000000000000000000000000000000000001", state: { validators: [alice], threshold: 1, paused: false, owner: alice }, diffs: [] },
+  { network: "polygon", bridge: "0x0000000000000000000000000000000000000002", error: "timeout" }
+];
+
+const context = () => prepareContext({ store: storeWith(events), deployments, chainStates, now: 3000 });
+
+describe("Report engine", function () {
+  it("Should compose named reports into sections without repeats", function () {
+    expect(sectionsFor(["security", "performance"])).to.deep.equal(["security", "transfers", "performance"]);
+    expect(() => sectionsFor(["weekly"])).to.throw('Unknown report or section "weekly"');
+  });
+
+  it("Should compute sections from the event store", function () {
+    const { sections } = buildReport(["comprehensive"], context());
+    expect(sections.transfers).to.include({ completed: 1, pending: 1, completionRate: 50 });
+    expect(sections.performance.releaseLatency.maxSeconds).to.equal(60);
+    expect(sections.volume.routes).to.deep.equal([{ route: "8453->137", transfers: 2, volume: "300000000000000000000100" }]);
+    expect(sections.compliance.largeTransferCount).to.equal(1);
+    expect(sections.security.chains[1]).to.include({ network: "polygon", reachable: false, threshold: null });
+    expect(sections.solvency.solvent).to.equal(null);
+  });
+
+  it("Should validate rules files", function () {
+    expect(validateRules({ rules: [{ id: "a", section: "gas", metric: "x", op: "=~", value: 1, type: "alert", message: "m" }] })).to.deep.equal([
+      'rules[0] (a): unknown section "gas" (overview, transfers, solvency, volume, fees, performance, security, scalability, community, compliance)',
+      "rules[0] (a): op must be one of < <= > >= == !=",
+      "rules[0] (a): type must be finding or recommendation"
+    ]);
+  });
+
+  it("Should evaluate rules per list entry, as BigInt and skipping null metrics", function () {
+    const rules = [
+      { id: "threshold", section: "security", each: "chains", metric: "threshold", op: "<", value: 2, type: "finding", severity: "critical", message: "{network} threshold {value}" },
+      { id: "volume", section: "volume", metric: "totalLocked", op: ">", value: "300000000000000000000099", type: "recommendation", message: "volume {value}" },
+      { id: "latency", section: "performance", metric: "releaseLatency.p95Seconds", op: ">", value: 3600, type: "finding", message: "slow" }
+    ];
+    const results = evaluateRules(rules, buildReport(["comprehensive"], context()).sections);
+    expect(results.map((r) => r.message)).to.deep.equal(["base threshold 1", "volume 300000000000000000000100"]);
+    expect(results[0]).to.include({ severity: "critical", network: "base" });
+    expect(() => evaluateRules([{ ...rules[2], metric: "latency" }], { performance: {} })).to.throw('has no metric "latency"');
+  });
+
+  it("Should render every format", function () {
+    const spec = { rules: [{ id: "pending", section: "transfers", metric: "pending", op: ">", value: 0, type: "finding", message: "pending | {value}" }] };
+    const report = buildReport(["audit"], context(), spec);
+    expect(report.findings).to.have.length(1);
+    expect(JSON.parse(renderReport(report, "json")).report).to.equal("audit");
+    expect(renderReport(report, "markdown")).to.contain("| finding | info | pending | pending \\| 1 |");
+    expect(renderReport(report, "html")).to.contain("<h2>Transfers</h2>");
+    expect(renderReport(report, "csv").split("\n")[1]).to.equal("finding,transfers,pending,1,info,pending | 1,");
+  });
+
+  it("Should run the live security checks with their evidence", function () {
+    const carol = "0x00000000000000000000000000000000000C4501";
+    const dave = "0x0000000000000000000000000000000000000DA7";
+    const bridge = (n) => `0x000000000000000000000000000000000000000${n}`;
+    const ctx = prepareContext({
+      store: storeWith([]),
+      deployments: [
+        { network: "base", params: { thisChainId: 8453 }, contracts: { CrossChainTokenBridge: bridge(1) } },
+        { network: "baseCopy", params: { thisChainId: 8453 }, contracts: { CrossChainTokenBridge: bridge(3) } }
+      ],
+      balances: [
+        { network: "base", thisChainId: "8453", balance: 10n },
+        { network: "baseCopy", thisChainId: "8453", balance: 0n }
+      ],
+      chainStates: [
+        {
+          network: "base",
+          bridge: bridge(1),
+          state: { thisChainId: "8453", validators: [alice, bob, carol, dave], threshold: 2, paused: false, owner: alice },
+          diffs: [],
+          facts: { ownerIsContract: false, allowances: [{ holder: bob, allowance: "5" }] }
+        },
+        { network: "baseCopy", bridge: bridge(3), state: { thisChainId: "8453", validators: [bob], threshold: 1, paused: false, owner: carol }, diffs: [], facts: { ownerIsContract: true, allowances: [] } }
+      ],
+      now: 3000
+    });
+    const rules = shippedRules.rules.filter((r) => r.section === "security");
+    const report = buildReport(["security"], ctx, { rules });
+    const { findings } = report;
+    const found = (network) => findings.filter((f) => f.network === network).map((f) => f.rule);
+
+    expect(found("base")).to.deep.equal([
+      "security.low-threshold-ratio",
+      "security.owner-eoa",
+      "security.owner-is-validator",
+      "security.shared-validators",
+      "security.shared-this-chain-id",
+      "security.open-approvals"
+    ]);
+    expect(found("baseCopy")).to.deep.equal(["security.single-signature", "security.shared-validators", "security.shared-this-chain-id", "security.empty-escrow"]);
+    const replay = findings.find((f) => f.rule === "security.shared-this-chain-id" && f.network === "base");
+    expect(replay).to.include({ severity: "critical" });
+    expect(replay.evidence).to.deep.equal({ thisChainId: "8453", sharedThisChainIdWith: ["baseCopy"] });
+    expect(renderReport(report, "markdown")).to.contain(`approvals: ${bob}: 5`);
+  });
+});
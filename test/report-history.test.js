@@ -0,0 +1,86 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { validateTrends, trendMetrics, createHistory, sparkline, compareRuns, withTrends } = require("../scripts/lib/report-history");
+
+const HOUR = 3600;
+const trends = {
+  baselineHours: 24,
+  percent: 25,
+  metrics: [
+    { id: "volume", section: "volume", metric: "totalLocked", worse: "down" },
+    { id: "pending", section: "transfers", metric: "pending", worse: "up", min: 3 },
+    { id: "validators", section: "security", each: "chains", metric: "validatorCount", worse: "down", percent: 0, min: 1, severity: "critical" }
+  ]
+};
+
+const run = (at, metrics) => ({ kind: "report", report: "insights", at, metrics });
+
+describe("Report history", function () {
+  it("Should validate the trends block", function () {
+    expect(validateTrends(undefined)).to.deep.equal([]);
+    expect(validateTrends({ metrics: [{ id: "x", section: "gas", metric: "total", worse: "sideways", min: -1 }] })).to.deep.equal([
+      'trends.metrics[0] (x): unknown section "gas"',
+      'trends.metrics[0] (x): worse must be "up" or "down"',
+      "trends.metrics[0] (x): min must be a number of at least 0"
+    ]);
+  });
+
+  it("Should record tracked metrics per run and read them back in order", function () {
+    const history = createHistory(path.join(fs.mkdtempSync(path.join(os.tmpdir(), "report-history-")), "history.jsonl"));
+    const metrics = trendMetrics(trends, {
+      transfers: { pending: 2 },
+      security: { chains: [{ network: "base", validatorCount: 3 }, { network: "polygon", validatorCount: null }] }
+    });
+    expect(metrics).to.deep.equal({ pending: 2, "validators:base": 3, "validators:polygon": null });
+    history.append(run(20, metrics));
+    history.append({ kind: "monitor", at: 10, metrics: {} });
+    history.append(run(5, {}));
+    expect(history.runs({ kind: "report" }).map((r) => r.at)).to.deep.equal([5, 20]);
+  });
+
+  it("Should compare against the run from a day ago and flag regressions past the sensitivity", function () {
+    const now = 100 * HOUR;
+    const runs = [
+      run(now - 30 * HOUR, { volume: "1000000000000000000000", pending: 0, "validators:base": 3 }),
+      run(now - 25 * HOUR, { volume: "900000000000000000000", pending: 1, "validators:base": 3 }),
+      run(now - 2 * HOUR, { volume: "100", pending: 9, "validators:base": 3 })
+    ];
+    const changes = compareRuns(trends, runs, run(now, { volume: "700000000000000000000", pending: 3, "validators:base": 2 }));
+    const byMetric = Object.fromEntries(changes.map((c) => [c.metric, c]));
+
+    expect(byMetric.volume).to.include({ previous: "900000000000000000000", change: "-200000000000000000000", changePercent: -22.22, regression: false });
+    expect(byMetric.volume.since).to.equal(new Date((now - 25 * HOUR) * 1000).toISOString());
+    expect(byMetric.pending).to.include({ previous: 1, change: 2, regression: false });
+    expect(byMetric["validators:base"]).to.include({ change: -1, regression: true });
+
+    const report = withTrends({ sections: {}, titles: {}, findings: [] }, trends, changes);
+    expect(report.sections.trends.regressions).to.equal(1);
+    expect(report.findings).to.have.length(1);
+    expect(report.findings[0]).to.include({ rule: "trend.validators", severity: "critical", network: "base" });
+  });
+
+  it("Should only compare runs of the same report over the same networks", function () {
+    const now = 100 * HOUR;
+    const all = run(now - 30 * HOUR, { volume: "1000", "validators:base": 3 });
+    const baseOnly = { ...run(now - 28 * HOUR, { volume: "400" }), network: "base" };
+    const security = { ...run(now - 27 * HOUR, { "validators:base": 1 }), report: "security" };
+    const current = { ...run(now, { volume: "380", "validators:base": 3 }), network: "base" };
+
+    const byMetric = Object.fromEntries(compareRuns(trends, [all, baseOnly, security], current).map((c) => [c.metric, c]));
+    expect(byMetric.volume).to.include({ previous: "400", change: "-20", regression: false });
+    expect(byMetric["validators:base"]).to.include({ previous: null, regression: false });
+    expect(compareRuns(trends, [all, baseOnly, security], { ...current, network: null })[0]).to.include({ previous: "1000", regression: true });
+
+    const history = createHistory(path.join(fs.mkdtempSync(path.join(os.tmpdir(), "report-history-")), "history.jsonl"));
+    [all, baseOnly, security].forEach((r) => history.append(r));
+    expect(history.runs({ kind: "report", network: "base" })).to.deep.equal([baseOnly]);
+    expect(history.runs({ kind: "report", report: "insights", network: null })).to.deep.equal([all]);
+  });
+
+  it("Should draw sparklines scaled to the series", function () {
+    expect(sparkline([1, 8, null, 4])).to.equal("▁█▄");
+    expect(sparkline(["5", "5"])).to.equal("▁▁");
+  });
+});
@@ -0,0 +1,43 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { BRIDGE_ABI } = require("../scripts/lib/abi");
+const { explainRevert, revertReason, REASONS } = require("../scripts/lib/revert-reasons");
+
+const iface = new ethers.Interface(BRIDGE_ABI);
+const owner = "0x000000000000000000000000000000000000dEaD";
+
+describe("Revert reasons", function () {
+  it("Should read the reason ethers decoded from a require string", function () {
+    expect(revertReason({ reason: "nonce used", message: "execution reverted" })).to.equal("nonce used");
+  });
+
+  it("Should read a custom error name, also when it is nested in the provider error", function () {
+    expect(revertReason({ revert: { name: "EnforcedPause", args: [] } })).to.equal("EnforcedPause");
+    expect(revertReason({ message: "could not coalesce error", error: { revert: { name: "ExpectedPause" } } })).to.equal("ExpectedPause");
+    expect(revertReason({ message: "call failed", info: { error: { reason: "bad threshold" } } })).to.equal("bad threshold");
+  });
+
+  it("Should decode raw revert data against the bridge's errors", function () {
+    const unauthorized = iface.encodeErrorResult("OwnableUnauthorizedAccount", [owner]);
+    const required = ethers.AbiCoder.defaultAbiCoder().encode(["string"], ["same chain"]).replace("0x", "0x08c379a0");
+
+    expect(revertReason({ data: unauthorized })).to.equal("OwnableUnauthorizedAccount");
+    expect(revertReason({ error: { data: required } })).to.equal("same chain");
+    expect(revertReason({ data: "0xdeadbeef" })).to.equal(null);
+    expect(revertReason({ data: "0x" })).to.equal(null);
+  });
+
+  it("Should fall back to the reason string in the message, else null", function () {
+    expect(revertReason(new Error("VM Exception: reverted with reason string 'to=0'"))).to.equal("to=0");
+    expect(revertReason(new Error("insufficient funds for gas"))).to.equal(null);
+    expect(revertReason(null)).to.equal(null);
+  });
+
+  it("Should explain known reasons and pass the rest through", function () {
+    expect(explainRevert({ reason: "nonce used" })).to.equal(`nonce used: ${REASONS["nonce used"]}`);
+    expect(explainRevert({ data: iface.encodeErrorResult("EnforcedPause", []) })).to.equal("EnforcedPause: the bridge is paused");
+    expect(explainRevert({ reason: "custom token reason" })).to.equal("custom token reason");
+    expect(explainRevert({ shortMessage: "network error", message: "network error (long)" })).to.equal("network error");
+    expect(explainRevert("plain")).to.equal("plain");
+  });
+});
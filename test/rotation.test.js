@@ -0,0 +1,173 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { parseValidatorSet, planRotation, applyRotation } = require("../scripts/lib/rotation");
+const { startChain } = require("./helpers/two-chains");
+
+const [v1, v2, v3, v4, v5] = [
+  "0x70997970C51812dc3A010C7d01b50e0d17dc79C8",
+  "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC",
+  "0x90F79bf6EB2c4f870365E785982E1f101E93b906",
+  "0x15d34AAf54267DB7D7c367839AAf71A00a2C6A65",
+  "0x9965507D1a55bcC2695C58ba16FB37d819B0A4dc"
+];
+
+const live = (validators, threshold) => ({ validators, threshold, validatorCount: validators.length });
+
+// Replays the plan the way the contract would (including removeValidator's clamp) and fails on any call
+// it would reject. `exposed` counts steps after which the outgoing validators alone meet the threshold.
+function simulate(state, steps, desired) {
+  const set = new Set(state.validators);
+  const outgoing = state.validators.filter((v) => !desired.validators.includes(v));
+  let threshold = state.threshold;
+  const thresholds = [];
+  let exposed = 0;
+  for (const s of steps) {
+    if (s.action === "addValidator") set.add(s.arg);
+    if (s.action === "removeValidator") {
+      expect(set.size).to.be.above(1);
+      set.delete(s.arg);
+      threshold = Math.min(threshold, set.size);
+    }
+    if (s.action === "setThreshold") {
+      expect(s.arg).to.be.within(1, set.size);
+      threshold = s.arg;
+    }
+    expect({ validatorCount: set.size, threshold }).to.deep.equal({ validatorCount: s.validatorCount, threshold: s.threshold });
+    if (outgoing.filter((v) => set.has(v)).length >= threshold) exposed++;
+    thresholds.push(threshold);
+  }
+  return { validators: [...set].sort(), threshold, thresholds, exposed };
+}
+
+describe("Validator rotation", function () {
+  it("Should add, raise the threshold and only then remove", function () {
+    const desired = parseValidatorSet({ validators: [v2, v3, v4], threshold: 3 });
+    const steps = planRotation(live([v1, v2], 2), desired);
+
+    expect(steps.map((s) => s.action)).to.deep.equal(["addValidator", "addValidator", "setThreshold", "removeValidator"]);
+    const result = simulate(live([v1, v2], 2), steps, desired);
+    expect(result.validators).to.deep.equal([...desired.validators].sort());
+    expect(result.threshold).to.equal(3);
+  });
+
+  it("Should remove outgoing validators before lowering the threshold", function () {
+    const start = live([v1, v2, v3, v4, v5], 5);
+    const desired = parseValidatorSet({ validators: [v1, v2], threshold: 2 });
+    const steps = planRotation(start, desired);
+
+    // Lowering to 2-of-5 first would let two outgoing keys release on their own.
+    const result = simulate(start, steps, desired);
+    expect(steps.map((s) => s.action)).to.deep.equal(["removeValidator", "removeValidator", "removeValidator"]);
+    expect(result.exposed).to.equal(0);
+    expect(result.thresholds).to.deep.equal([4, 3, 2]);
+    expect(result.validators).to.deep.equal([v1, v2].sort());
+  });
+
+  it("Should never drop below the target threshold while shrinking the set", function () {
+    const start = live([v1, v2, v3, v4, v5], 5);
+    const desired = parseValidatorSet({ validators: [v1, v2, v3], threshold: 2 });
+    const steps = planRotation(start, desired);
+
+    const result = simulate(start, steps, desired);
+    expect(Math.min(...result.thresholds)).to.equal(2);
+    expect(result.exposed).to.equal(0);
+    expect(steps.map((s) => s.action)).to.deep.equal(["removeValidator", "removeValidator", "setThreshold"]);
+    expect(steps[steps.length - 1]).to.include({ action: "setThreshold", arg: 2 });
+    expect(result.validators).to.deep.equal([v1, v2, v3].sort());
+  });
+
+  it("Should replace every validator without emptying the set", function () {
+    const start = live([v1, v2], 1);
+    const desired = parseValidatorSet({ validators: [v3, v4], threshold: 2 });
+    const steps = planRotation(start, desired);
+    const result = simulate(start, steps, desired);
+    expect(steps.map((s) => s.action).slice(0, 3)).to.deep.equal(["addValidator", "addValidator", "setThreshold"]);
+    expect(result).to.include({ threshold: 2 });
+    expect(result.thresholds.slice(2).every((t) => t === 2)).to.equal(true);
+  });
+
+  it("Should plan nothing for a chain that already matches", function () {
+    expect(planRotation(live([v1, v2], 2), parseValidatorSet({ validators: [v2.toLowerCase(), v1], threshold: 2 }))).to.deep.equal([]);
+  });
+
+  it("Should reject an invalid validator set file", function () {
+    expect(() => parseValidatorSet({ validators: [], threshold: 1 })).to.throw(/non-empty/);
+    expect(() => parseValidatorSet({ validators: [v1, v1.toLowerCase()], threshold: 1 })).to.throw(/listed twice/);
+    expect(() => parseValidatorSet({ validators: [v1, v2], threshold: 3 })).to.throw(/between 1 and 2/);
+    expect(() => parseValidatorSet({ validators: ["0x1234"], threshold: 1 })).to.throw();
+  });
+});
+
+describe("Validator rotation (local chain)", function () {
+  this.timeout(120000);
+
+  let chain;
+  let state;
+  const desired = parseValidatorSet({ validators: [v1, v2], threshold: 2 });
+  const apply = (timeout = 500) =>
+    applyRotation({ bridge: chain.bridge, fromBlock: 0, desired, progress: state, save: () => {}, log: () => {}, receiptTimeoutMs: timeout });
+
+  before(async function () {
+    chain = await startChain({ validators: 3, threshold: 2 });
+  });
+
+  after(async function () {
+    if (chain) await chain.stop();
+  });
+
+  it("Should wait for a pending transaction that is still unmined instead of re-planning", async function () {
+    await chain.provider.send("evm_setAutomine", [false]);
+    const tx = await chain.bridge.addValidator(v1);
+    state = { pending: { action: "addValidator", arg: v1, txHash: tx.hash } };
+    try {
+      await apply();
+      expect.fail("apply should stop on the unmined transaction");
+    } catch (e) {
+      expect(e.message).to.contain("still waiting to be mined");
+    } finally {
+      await chain.provider.send("evm_setAutomine", [true]);
+      await chain.provider.send("evm_mine", []);
+    }
+    expect(state.pending).to.deep.include({ txHash: tx.hash });
+
+    await apply(30000);
+    expect(state.applied[0]).to.include({ action: "addValidator", txHash: tx.hash });
+  });
+
+  it("Should forget a replaced transaction without waiting out the receipt timeout", async function () {
+    await chain.provider.send("evm_setAutomine", [false]);
+    let tx;
+    try {
+      tx = await chain.bridge.pause();
+      // Same nonce, higher fees: the node swaps the pause out of its mempool.
+      await chain.owner.sendTransaction({
+        to: chain.owner.address,
+        nonce: tx.nonce,
+        maxFeePerGas: tx.maxFeePerGas * 2n,
+        maxPriorityFeePerGas: tx.maxPriorityFeePerGas * 2n
+      });
+    } finally {
+      await chain.provider.send("evm_setAutomine", [true]);
+      await chain.provider.send("evm_mine", []);
+    }
+    state = { applied: [], pending: { action: "pause", arg: "", txHash: tx.hash } };
+
+    const started = Date.now();
+    await apply(60000);
+    expect(Date.now() - started).to.be.below(20000);
+    expect(state.pending).to.equal(null);
+    expect(state.applied.map((a) => a.txHash)).to.not.include(tx.hash);
+    expect(await chain.bridge.paused()).to.equal(false);
+  });
+
+  it("Should forget a dropped transaction and re-plan from the live chain", async function () {
+    state = { pending: { action: "setThreshold", arg: 2, txHash: ethers.hexlify(ethers.randomBytes(32)) } };
+    const started = Date.now();
+    const result = await apply(60000);
+    expect(Date.now() - started).to.be.below(20000);
+
+    expect(state.pending).to.equal(null);
+    expect(result.state.validators).to.deep.equal(desired.validators);
+    expect(result.state.threshold).to.equal(2);
+  });
+});
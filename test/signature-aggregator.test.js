@@ -0,0 +1,63 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { signRelease } = require("../scripts/lib/digest");
+const { aggregateSignatures, explainAggregation } = require("../scripts/lib/aggregator");
+
+// Stands in for the bridge contract's view functions.
+function fakeBridge(validators, threshold, thisChainId = 137) {
+  const set = new Set(validators.map((w) => w.address));
+  return {
+    threshold: async () => BigInt(threshold),
+    thisChainId: async () => BigInt(thisChainId),
+    isValidator: async (addr) => set.has(addr)
+  };
+}
+
+describe("Signature aggregator", function () {
+  const [v1, v2, v3, outsider] = Array.from({ length: 4 }, () => ethers.Wallet.createRandom());
+  const params = {
+    to: "0x000000000000000000000000000000000000dEaD",
+    amount: ethers.parseEther("1"),
+    fromChainId: 8453,
+    nonce: 7
+  };
+  const sign = (w, p = params) => signRelease(w, { ...p, toChainId: 137 });
+
+  it("Should return exactly threshold signatures in order", async function () {
+    const sigs = [await sign(v1), await sign(v2), await sign(v3)];
+    const result = await aggregateSignatures(fakeBridge([v1, v2, v3], 2), params, sigs);
+
+    expect(result.ok).to.equal(true);
+    expect(result.signatures).to.deep.equal(sigs.slice(0, 2));
+    expect(result.signers).to.deep.equal([v1.address, v2.address]);
+  });
+
+  it("Should skip duplicates and non-validators like _verifyThreshold", async function () {
+    const sigs = [await sign(v1), await sign(v1), await sign(outsider), await sign(v2)];
+    const result = await aggregateSignatures(fakeBridge([v1, v2], 2), params, sigs);
+
+    expect(result.ok).to.equal(true);
+    expect(result.signatures).to.deep.equal([sigs[0], sigs[3]]);
+    expect(result.details.map((d) => d.status)).to.deep.equal(["valid", "duplicate", "not-validator", "valid"]);
+  });
+
+  it("Should drop malformed signatures that would make recover revert", async function () {
+    const good = await sign(v1);
+    const result = await aggregateSignatures(fakeBridge([v1], 1), params, ["0x1234", good.slice(0, -2) + "00"]);
+
+    expect(result.ok).to.equal(false);
+    expect(result.details.map((d) => d.status)).to.deep.equal(["malformed", "malformed"]);
+  });
+
+  it("Should explain which validators are missing", async function () {
+    const sigs = [await sign(v1), await sign(v2, { ...params, nonce: 8 })];
+    const result = await aggregateSignatures(fakeBridge([v1, v2, v3], 2), params, sigs, {
+      validators: [v1.address, v2.address, v3.address]
+    });
+
+    expect(result.ok).to.equal(false);
+    expect(result.missing).to.equal(1);
+    expect(result.missingValidators).to.deep.equal([v2.address, v3.address]);
+    expect(explainAggregation(result)).to.contain("1/2 valid signers");
+  });
+});
@@ -0,0 +1,27 @@
+const { expect } = require("chai");
+const { assessSolvency } = require("../scripts/lib/solvency");
+const { storeWith } = require("./helpers/event-store");
+
+const user = "0x0000000000000000000000000000000000000B0b";
+
+describe("Solvency", function () {
+  const events = [
+    { name: "Locked", thisChainId: "8453", timestamp: 1, args: { from: user, to: user, amount: "300", toChainId: "137", nonce: "1" } },
+    { name: "Locked", thisChainId: "8453", timestamp: 1, args: { from: user, to: user, amount: "200", toChainId: "137", nonce: "2" } },
+    { name: "Released", thisChainId: "137", timestamp: 2, args: { to: user, amount: "300", fromChainId: "8453", nonce: "1" } }
+  ];
+
+  it("Should compare escrow with pending inbound transfers", function () {
+    const report = assessSolvency(storeWith(events), [
+      { network: "base", thisChainId: "8453", balance: 500n },
+      { network: "polygon", thisChainId: "137", balance: 150n }
+    ], { now: 10 });
+
+    const [base, polygon] = report.chains;
+    expect(base).to.include({ lockedOut: 500n, netFlow: 500n, unexplained: 0n, pendingInbound: 0n, solvent: true });
+    expect(polygon).to.include({ releasedIn: 300n, netFlow: -300n, unexplained: 450n, pendingInbound: 200n, surplus: -50n, solvent: false });
+    expect(report.solvent).to.equal(false);
+    expect(report.alerts).to.have.length(1);
+    expect(report.alerts[0]).to.contain("deficit 50");
+  });
+});
@@ -0,0 +1,113 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const { connectChains } = require("../scripts/lib/chains");
+const { recoverReleaseSigner } = require("../scripts/lib/digest");
+const { createValidatorService, createValidatorServer } = require("../scripts/lib/validator");
+const { startTwoChains, deployOnNode } = require("./helpers/two-chains");
+
+describe("Validator signing service (two chains)", function () {
+  this.timeout(180000);
+
+  let env;
+  let third;
+  let chains;
+  let server;
+  let url;
+  const amount = ethers.parseEther("3");
+
+  before(async function () {
+    env = await startTwoChains({ validators: 2, threshold: 2 });
+    // A second bridge on chain A posing as chain 31003, so two sources can lock the same nonce for chain B.
+    third = await deployOnNode("chainC", 31003, { provider: env.a.provider, url: env.a.url, stop: async () => {} }, env.validators, 2);
+    chains = await connectChains([env.a, env.b, third].map((c) => ({ name: c.name, rpcUrl: c.url, bridge: c.record.contracts.CrossChainTokenBridge, confirmations: 0 })));
+
+    const wallet = env.validators[0];
+    const signLogFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "validator-")), "sign-log.json");
+    const service = createValidatorService({ wallet, chains, signLogFile, log: () => {} });
+    server = createValidatorServer(service, { wallet, chains, log: () => {} });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${server.address().port}/sign`;
+  });
+
+  after(async function () {
+    if (server) await new Promise((resolve) => server.close(resolve));
+    for (const chain of chains ? chains.values() : []) chain.provider.destroy();
+    if (env) await env.stop();
+  });
+
+  async function post(body) {
+    const res = await fetch(url, { method: "POST", headers: { "content-type": "application/json" }, body: JSON.stringify(body) });
+    return { status: res.status, body: await res.json() };
+  }
+
+  async function lockFor(from, nonce) {
+    const receipt = await (await from.bridge.connect(from.user).lock(amount, env.b.chainId, env.b.recipient.address, nonce)).wait();
+    return {
+      fromChainId: from.chainId.toString(),
+      toChainId: env.b.chainId.toString(),
+      nonce: String(nonce),
+      to: env.b.recipient.address,
+      amount: amount.toString(),
+      txHash: receipt.hash
+    };
+  }
+
+  it("Should sign a release that matches a Locked event", async function () {
+    const request = await lockFor(env.a, 1);
+    const { status, body } = await post(request);
+
+    expect(status).to.equal(200);
+    expect(body.signer).to.equal(env.validators[0].address);
+    expect(recoverReleaseSigner(request, body.signature)).to.equal(env.validators[0].address);
+    expect((await post(request)).body.signature).to.equal(body.signature);
+  });
+
+  it("Should refuse requests the Locked event does not back", async function () {
+    const request = await lockFor(env.a, 2);
+    expect((await post({ ...request, amount: (amount * 2n).toString() })).status).to.equal(422);
+    expect((await post({ ...request, nonce: "3" })).status).to.equal(404);
+    expect((await post({ ...request, fromChainId: "999" })).body.error).to.equal("unknown source chain 999");
+    expect((await post({ ...request, txHash: ethers.ZeroHash })).status).to.equal(404);
+  });
+
+  it("Should never sign the same destination nonce twice with different parameters", async function () {
+    const first = await post(await lockFor(env.a, 5));
+    expect(first.status).to.equal(200);
+
+    // A genuine lock on another source chain that reuses nonce 5 for chain B would sign a second release.
+    const conflict = await post(await lockFor(third, 5));
+    expect(conflict.status).to.equal(409);
+    expect(conflict.body.error).to.equal(`nonce 5 for chain ${env.b.chainId} was already signed with different parameters`);
+  });
+
+  it("Should answer 413 and close the connection when a body keeps growing past the limit", async function () {
+    const chunk = Buffer.alloc(64 * 1024, "a");
+    const { status, closed, sent } = await new Promise((resolve, reject) => {
+      const req = http.request(url, { method: "POST", headers: { "content-type": "application/json" } });
+      let sent = 0;
+      let status = null;
+      req.on("response", (res) => {
+        status = res.statusCode;
+        res.resume();
+      });
+      // The server hangs up, so the upload ends with a reset or an early close rather than a normal finish.
+      req.on("close", () => resolve({ status, closed: true, sent }));
+      req.on("error", () => {});
+      const pump = () => {
+        if (req.destroyed) return;
+        if (sent >= 64 * 1024 * 1024) return reject(new Error("the server read 64 MB without closing the connection"));
+        sent += chunk.length;
+        if (req.write(chunk)) setImmediate(pump);
+        else req.once("drain", pump);
+      };
+      pump();
+    });
+    expect(closed).to.equal(true);
+    expect(sent).to.be.below(64 * 1024 * 1024);
+    if (status !== null) expect(status).to.equal(413);
+  });
+});